@@ -14,6 +14,13 @@
  * ============================================
  */
 
+/** ===== 設定定数 ====================================== */
+/** 締切時刻（HH:mm）。締切日のこの時刻に Form の回答受付を停止する */
+const ESTIMATE_DEADLINE_TIME = "16:00";
+/** 回答受付停止後に Form に表示するメッセージ */
+const ESTIMATE_FORM_CLOSED_MESSAGE =
+  "この見積もりは締め切りました。ご協力ありがとうございました。";
+
 /** ===== ログ ========================================== */
 /**
  * @param {string} msg
@@ -59,6 +66,30 @@ const safeMain = (name, thunk) => {
   }
 };
 
+/** スクリプトロックを待つ時間 */
+const SCRIPT_LOCK_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * スクリプトロックを取ってから実行する。同じ処理を複数の実行が同時に進めないようにする。
+ * @template T
+ * @param {string} name
+ * @param {() => T} thunk
+ * @returns {T}
+ */
+const withScriptLock = (name, thunk) => {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(SCRIPT_LOCK_TIMEOUT_MS)) {
+    throw new Error(
+      `${name}: 他の処理が実行中のため開始できませんでした。しばらくしてから再実行してください`
+    );
+  }
+  try {
+    return thunk();
+  } finally {
+    lock.releaseLock();
+  }
+};
+
 /** ===== テスト型定義 =================================== */
 /** @typedef {{ name: string, failMessage: string, check: () => boolean }} TestCase */
 /** @typedef {{ name: string, ok: boolean, message: string, ms: number }} TestResult */
@@ -82,8 +113,11 @@ const estimateTemplatesTable = {
 /** 型メモ */
 /** @typedef {{ googleForm: string, midSpreadsheet: string, resultSpreadsheet: string }} EstimateTemplateLinks */
 
-/** @type {EstimateTemplateLinks|undefined} */
-let _estimateTemplateCache = undefined;
+/**
+ * テーブル名ごとのキャッシュ（チームごとに別のテーブルを指せるため）
+ * @type {Map<string, EstimateTemplateLinks>}
+ */
+const _estimateTemplateCache = new Map();
 
 /** ====== テーブル検索ユーティリティ ====== */
 
@@ -110,11 +144,12 @@ const isGridRange = (range) => {
 
 /**
  * スプレッドシート内の全テーブルを列挙し、name->meta の辞書を返す。
+ * @param {string} [targetSpreadsheetId] 省略時はアクティブなスプレッドシート
  * @returns {Record<string, TableMeta>}
  */
-const getTablesIndex = () => {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const spreadsheetId = ss.getId();
+const getTablesIndex = (targetSpreadsheetId) => {
+  const spreadsheetId =
+    targetSpreadsheetId ?? SpreadsheetApp.getActiveSpreadsheet().getId();
 
   if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
     throw new Error(
@@ -172,6 +207,31 @@ const getTableMetaByName = (tableName) => {
   return meta;
 };
 
+/**
+ * 指定スプレッドシート内のテーブルを名前で検索する。見つからない場合は undefined。
+ * @param {string} spreadsheetId
+ * @param {string} tableName
+ * @returns {TableMeta|undefined}
+ */
+const findTableMetaInSpreadsheet = (spreadsheetId, tableName) =>
+  getTablesIndex(spreadsheetId)[tableName];
+
+/**
+ * 指定スプレッドシート内のテーブルを名前で取得する。
+ * @param {string} spreadsheetId
+ * @param {string} tableName
+ * @returns {TableMeta}
+ */
+const getTableMetaInSpreadsheet = (spreadsheetId, tableName) => {
+  const meta = findTableMetaInSpreadsheet(spreadsheetId, tableName);
+  if (!meta) {
+    throw new Error(
+      `Table not found: ${tableName} in spreadsheet ${spreadsheetId}`
+    );
+  }
+  return meta;
+};
+
 /**
  * GridRange -> A1 変換
  * @param {GoogleAppsScript.Sheets.Schema.GridRange | undefined} gr
@@ -246,6 +306,11 @@ const getTableHeaderInfo = (meta, values) => {
     }
     return idx;
   };
+  /** 任意列用: 見つからない場合は undefined */
+  const idxByNameOrUndefined = /** @param {string} name */ (name) => {
+    const idx = headerVals.indexOf(name);
+    return idx === -1 ? undefined : idx;
+  };
   return {
     sheetId,
     sheetTitle,
@@ -254,18 +319,191 @@ const getTableHeaderInfo = (meta, values) => {
     dataTop0,
     headerVals,
     idxByName,
+    idxByNameOrUndefined,
+  };
+};
+
+/** @typedef {{ text: string, url: string }} TableCell */
+
+/**
+ * テーブル全体（ヘッダー行を含む）を表示値とリンク付きで読み込む。
+ * @param {string} spreadsheetId
+ * @param {TableMeta} meta
+ * @returns {Array<Array<TableCell>>}
+ */
+const readTableCells = (spreadsheetId, meta) => {
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
+  const resp = Sheets.Spreadsheets.get(spreadsheetId, {
+    ranges: [a1],
+    fields: "sheets(data(rowData(values(formattedValue,hyperlink))))",
+  });
+  const rowCount = meta.range.endRowIndex - meta.range.startRowIndex;
+  const rowData = (resp.sheets?.[0]?.data?.[0]?.rowData || []).slice(
+    0,
+    rowCount
+  );
+  const colCount = meta.range.endColumnIndex - meta.range.startColumnIndex;
+  return rowData.map((r) => {
+    const cells = r.values || [];
+    /** @type {Array<TableCell>} */
+    const out = [];
+    for (let i = 0; i < colCount; i++) {
+      const c = cells[i];
+      out.push({
+        text: String(c?.formattedValue ?? "").trim(),
+        url: String(c?.hyperlink ?? "").trim(),
+      });
+    }
+    return out;
+  });
+};
+
+/**
+ * テーブルのデータ行をすべて置き換える（ヘッダーは維持）。
+ * 行の挿入 → 既存行の削除 → テーブル範囲の更新 → 値の書き込み の順に行う。
+ * @param {string} spreadsheetId
+ * @param {TableMeta} meta
+ * @param {Array<Array<string|number>>} dataRows テーブル幅に揃えた行配列
+ */
+const replaceTableDataRows = (spreadsheetId, meta, dataRows) => {
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  const dataStartRow = meta.range.startRowIndex + 1;
+  const currentDataRows = meta.range.endRowIndex - dataStartRow;
+  const requiredRows = dataRows.length;
+
+  /** @type {Array<GoogleAppsScript.Sheets.Schema.Request>} */
+  const requests = [];
+  if (requiredRows > 0) {
+    requests.push({
+      insertDimension: {
+        range: {
+          sheetId: meta.sheetId,
+          dimension: "ROWS",
+          startIndex: dataStartRow,
+          endIndex: dataStartRow + requiredRows,
+        },
+        inheritFromBefore: false,
+      },
+    });
+  }
+  if (currentDataRows > 0) {
+    requests.push({
+      deleteDimension: {
+        range: {
+          sheetId: meta.sheetId,
+          dimension: "ROWS",
+          startIndex: dataStartRow + requiredRows,
+          endIndex: dataStartRow + requiredRows + currentDataRows,
+        },
+      },
+    });
+  }
+  requests.push({
+    updateTable: {
+      table: {
+        tableId: meta.tableId,
+        range: {
+          sheetId: meta.sheetId,
+          startRowIndex: meta.range.startRowIndex,
+          // データ 0 行のテーブルは作れないため最低 1 行は残す
+          endRowIndex: dataStartRow + Math.max(requiredRows, 1),
+          startColumnIndex: meta.range.startColumnIndex,
+          endColumnIndex: meta.range.endColumnIndex,
+        },
+      },
+      fields: "range",
+    },
+  });
+  Sheets.Spreadsheets.batchUpdate({ requests }, spreadsheetId);
+
+  if (requiredRows > 0) {
+    const dataA1 = gridRangeToA1(
+      {
+        sheetId: meta.sheetId,
+        startRowIndex: dataStartRow,
+        endRowIndex: dataStartRow + requiredRows,
+        startColumnIndex: meta.range.startColumnIndex,
+        endColumnIndex: meta.range.endColumnIndex,
+      },
+      meta.sheetTitle
+    );
+    Sheets.Spreadsheets.Values.update(
+      { values: dataRows },
+      spreadsheetId,
+      dataA1,
+      { valueInputOption: "USER_ENTERED" }
+    );
+  }
+
+  logInfo("Replaced table data rows", {
+    tableId: meta.tableId,
+    dataRows: requiredRows,
+    deletedRows: currentDataRows,
+  });
+};
+
+/**
+ * テーブルの「データ先頭」（ヘッダー直下）に行を挿入し、値を書き込む（ログ用途: 新しい行が上）。
+ * @param {string} spreadsheetId
+ * @param {TableMeta} meta
+ * @param {Array<Array<string>>} dataRows テーブル幅に揃えた行配列
+ */
+const insertTableTopRows = (spreadsheetId, meta, dataRows) => {
+  if (!dataRows.length) {
+    return;
+  }
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  const range = {
+    sheetId: meta.sheetId,
+    startRowIndex: meta.range.startRowIndex + 1,
+    endRowIndex: meta.range.startRowIndex + 1 + dataRows.length,
+    startColumnIndex: meta.range.startColumnIndex,
+    endColumnIndex: meta.range.endColumnIndex,
   };
+  Sheets.Spreadsheets.batchUpdate(
+    {
+      requests: [
+        { insertRange: { range, shiftDimension: "ROWS" } },
+        {
+          updateCells: {
+            range,
+            rows: dataRows.map((r) => ({
+              values: r.map((value) => ({
+                userEnteredValue: { stringValue: value },
+              })),
+            })),
+            fields: "userEnteredValue",
+          },
+        },
+      ],
+    },
+    spreadsheetId
+  );
+  logInfo("Inserted table top rows", {
+    tableId: meta.tableId,
+    rows: dataRows.length,
+  });
 };
 
 /**
  * 見積もり必要_テンプレート（テーブル）を読み込み、固定キーのオブジェクトを返す。
+ * @param {EstimateTeam} [team] - 省略時は既定のテーブル
  * @returns {EstimateTemplateLinks}
  */
-const getEstimateTemplateLinks = () => {
-  if (_estimateTemplateCache) {
-    return _estimateTemplateCache;
+const getEstimateTemplateLinks = (team = DEFAULT_TEAM) => {
+  const tableName = team.templates;
+  const cached = _estimateTemplateCache.get(tableName);
+  if (cached) {
+    return cached;
   }
-  const meta = getTableMetaByName(estimateTemplatesTable.tableName);
+  const meta = getTableMetaByName(tableName);
   const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const spreadsheetId = ss.getId();
@@ -295,7 +533,7 @@ const getEstimateTemplateLinks = () => {
       continue;
     }
     if (!link) {
-      logWarn("empty link in 見積もり必要_テンプレート", {
+      logWarn(`empty link in ${tableName}`, {
         row: i + 1,
         name,
       });
@@ -305,7 +543,7 @@ const getEstimateTemplateLinks = () => {
       Object.prototype.hasOwnProperty.call(tempMap, name) &&
       tempMap[name] !== link
     ) {
-      logWarn("duplicate key in 見積もり必要_テンプレート", {
+      logWarn(`duplicate key in ${tableName}`, {
         row: i + 1,
         name,
         prev: tempMap[name],
@@ -337,8 +575,8 @@ const getEstimateTemplateLinks = () => {
     resultSpreadsheet,
   };
 
-  _estimateTemplateCache = links;
-  logInfo("Loaded table 見積もり必要_テンプレート", {
+  _estimateTemplateCache.set(tableName, links);
+  logInfo(`Loaded table ${tableName}`, {
     a1,
     googleForm,
     midSpreadsheet,
@@ -349,10 +587,15 @@ const getEstimateTemplateLinks = () => {
 };
 
 /** 個別のリンクアクセサ */
-const getGoogleFormLink = () => getEstimateTemplateLinks().googleForm;
-const getMidSpreadsheetLink = () => getEstimateTemplateLinks().midSpreadsheet;
-const getResultSpreadsheetLink = () =>
-  getEstimateTemplateLinks().resultSpreadsheet;
+/** @param {EstimateTeam} [team] */
+const getGoogleFormLink = (team = DEFAULT_TEAM) =>
+  getEstimateTemplateLinks(team).googleForm;
+/** @param {EstimateTeam} [team] */
+const getMidSpreadsheetLink = (team = DEFAULT_TEAM) =>
+  getEstimateTemplateLinks(team).midSpreadsheet;
+/** @param {EstimateTeam} [team] */
+const getResultSpreadsheetLink = (team = DEFAULT_TEAM) =>
+  getEstimateTemplateLinks(team).resultSpreadsheet;
 
 /** ===== テンプレートコピー機能 =================== */
 
@@ -360,14 +603,17 @@ const getResultSpreadsheetLink = () =>
  * スプレッドシートをコピーして新しいタイトルを設定
  * @param {string} templateUrl - コピー元のスプレッドシートURL
  * @param {string} newTitle - 新しいスプレッドシートのタイトル
+ * @param {string} [folderUrl] - コピー先のフォルダの URL（省略時はマイドライブ直下）
  * @returns {string} - 新しいスプレッドシートのURL
  */
-const copySpreadsheetFromUrl = (templateUrl, newTitle) => {
+const copySpreadsheetFromUrl = (templateUrl, newTitle, folderUrl) => {
   // URLからスプレッドシートIDを抽出
   const templateId = extractSpreadsheetIdFromUrl(templateUrl);
 
   const templateFile = DriveApp.getFileById(templateId);
-  const copiedFile = templateFile.makeCopy(newTitle);
+  const copiedFile = folderUrl
+    ? templateFile.makeCopy(newTitle, getDriveFolderFromUrl(folderUrl))
+    : templateFile.makeCopy(newTitle);
   const copiedId = copiedFile.getId();
 
   return `https://docs.google.com/spreadsheets/d/${copiedId}/edit`;
@@ -377,19 +623,41 @@ const copySpreadsheetFromUrl = (templateUrl, newTitle) => {
  * Google FormのURLからコピーを作成
  * @param {string} templateUrl - コピー元のGoogle FormのURL
  * @param {string} newTitle - 新しいGoogle Formのタイトル
+ * @param {string} [folderUrl] - コピー先のフォルダの URL（省略時はマイドライブ直下）
  * @returns {string} - 新しいGoogle FormのURL
  */
-const copyFormFromUrl = (templateUrl, newTitle) => {
+const copyFormFromUrl = (templateUrl, newTitle, folderUrl) => {
   // URLからFormIDを抽出
   const templateId = extractFormIdFromUrl(templateUrl);
 
   const templateFile = DriveApp.getFileById(templateId);
-  const copiedFile = templateFile.makeCopy(newTitle);
+  const copiedFile = folderUrl
+    ? templateFile.makeCopy(newTitle, getDriveFolderFromUrl(folderUrl))
+    : templateFile.makeCopy(newTitle);
   const copiedId = copiedFile.getId();
 
   return `https://docs.google.com/forms/d/${copiedId}/edit`;
 };
 
+/**
+ * フォルダの URL から DriveApp のフォルダを開く（共有ドライブのフォルダ・共有ドライブ自体も可）
+ * @param {string} folderUrl
+ */
+const getDriveFolderFromUrl = (folderUrl) =>
+  DriveApp.getFolderById(extractDriveFolderIdFromUrl(folderUrl));
+
+/**
+ * 親フォルダの中に見積もり 1 回分のフォルダを作成する
+ * @param {string} parentUrl - 親フォルダ（見積もり必要_設定 の drive-folder-url）
+ * @param {string} name - フォルダ名（タイトルプレフィックス）
+ * @returns {string} 作成したフォルダの URL
+ */
+const createRoundFolder = (parentUrl, name) => {
+  const folder = getDriveFolderFromUrl(parentUrl).createFolder(name);
+  logInfo("Round folder created", { name, parentUrl });
+  return folder.getUrl();
+};
+
 /**
  * Google Formとスプレッドシートをリンクする（Formの送信先をSpreadsheetに設定）
  * @param {string} formUrl - Google FormのURL
@@ -427,53 +695,456 @@ const linkFormToSpreadsheet = (formUrl, spreadsheetUrl) => {
   }
 };
 
+/**
+ * 付与する権限 1 件。fileType は付与先のファイルの種類（中間スプシ / Google Form / 結果スプシ）。
+ * type: "group" は Google グループのアドレスとして付与する。
+ * view: "published" は Form の回答者として付与する。
+ * @typedef {{ fileType: string, type: ShareType, email: string, role: "writer" | "reader", view?: "published", notify: boolean }} PlannedPermission
+ */
+
+/**
+ * POグループメンバーへの編集権限（通知なし）。グループのアドレスはグループとして付与する。
+ * @param {string} fileType - ファイルの種類
+ * @param {PoShareInfo} po - POグループメンバーの共有先
+ * @returns {Array<PlannedPermission>}
+ */
+const planPoGroupPermissions = (fileType, po) =>
+  po.emails.map((email) => ({
+    fileType,
+    type: po.groupEmails.includes(email) ? "group" : "user",
+    email,
+    role: "writer",
+    notify: false,
+  }));
+
+/**
+ * POメンバーを除外した見積もり必要メンバーのメールアドレス一覧。
+ * POグループメンバーのアドレスに加え、そこに書かれたグループに所属する PO 本人のアドレスも除外する。
+ * 見積もり必要_メンバー 側のグループは PO を含んでいても除外しない
+ * （Drive では PO の編集権限が優先されるため、PO の権限は変わらない）。
+ * @param {Array<EstimateRequiredMemberRow>} members
+ * @param {PoShareInfo} po
+ * @returns {Array<EstimateRequiredMemberRow>}
+ */
+const excludePoMembers = (members, po) => {
+  const excluded = new Set(
+    [...po.emails, ...po.memberEmails].map((e) => e.toLowerCase())
+  );
+  return members.filter((m) => m.email && !excluded.has(m.email.toLowerCase()));
+};
+
+/**
+ * 見積もり必要メンバーへの閲覧権限（通知なし）。POメンバーは既に編集権限を持っているため除外する。
+ * @param {string} fileType - ファイルの種類
+ * @param {Array<EstimateRequiredMemberRow>} members
+ * @param {PoShareInfo} po
+ * @returns {Array<PlannedPermission>}
+ */
+const planMemberViewPermissions = (fileType, members, po) =>
+  excludePoMembers(members, po).map((m) => ({
+    fileType,
+    type: m.type,
+    email: m.email,
+    role: "reader",
+    notify: false,
+  }));
+
+/**
+ * 見積もり必要メンバーへの Form の回答権限。POメンバーは除外し、
+ * 見積もりが必要なメンバーにだけ通知する。
+ * @param {Array<EstimateRequiredMemberRow>} members
+ * @param {PoShareInfo} po
+ * @returns {Array<PlannedPermission>}
+ */
+const planFormResponsePermissions = (members, po) =>
+  excludePoMembers(members, po).map((m) => ({
+    fileType: "Google Form",
+    type: m.type,
+    email: m.email,
+    role: "reader",
+    view: "published",
+    notify: m.responseRequired === "必要",
+  }));
+
+tests.push({
+  name: "share:groups",
+  failMessage: "グループを含む共有先の計画が不正です",
+  check: () => {
+    /** @type {(email: string, type: ShareType) => EstimateRequiredMemberRow} */
+    const member = (email, type) => ({
+      displayName: email,
+      email,
+      responseRequired: "必要",
+      slackMention: "",
+      slackUserId: "",
+      type,
+    });
+    /** @type {PoShareInfo} */
+    const po = {
+      emails: ["po@example.com", "po-team@example.com"],
+      groupEmails: ["po-team@example.com"],
+      memberEmails: ["po@example.com", "Carol@example.com"],
+    };
+    const members = [
+      member("alice@example.com", "user"),
+      member("carol@example.com", "user"),
+      member("dev-team@example.com", "group"),
+      member("PO-team@example.com", "group"),
+    ];
+    // グループの所属メンバーの回答が結果まとめに入ること
+    const groupResponseSummarized = () => {
+      const midMembers = expandMemberGroups(
+        [
+          member("alice@example.com", "user"),
+          member("dev-team@example.com", "group"),
+        ],
+        (email) =>
+          email === "dev-team@example.com"
+            ? ["Alice@example.com", "dave@example.com"]
+            : []
+      );
+      const summary = summarizeIssueResponses(
+        "E1",
+        midMembers,
+        [
+          {
+            email: "alice@example.com",
+            points: { E1: "3" },
+            premises: {},
+            extras: {},
+          },
+          {
+            email: "dave@example.com",
+            points: { E1: "3" },
+            premises: { E1: "API のみ" },
+            extras: {},
+          },
+        ],
+        DEFAULT_ESTIMATE_SCALE,
+        resolveConsensusRule(undefined, undefined)
+      );
+      return (
+        midMembers.map((m) => `${m.email}:${m.responseRequired}`).join(",") ===
+          "alice@example.com:必要,dev-team@example.com:不要,dave@example.com:必要" &&
+        summary.status === RESULT_STATUS.confirmed &&
+        summary.responders === 2 &&
+        summary.responseSummary.includes("（dave@example.com）3P: API のみ")
+      );
+    };
+    const toText = (/** @type {Array<PlannedPermission>} */ ps) =>
+      ps.map((p) => `${p.type}:${p.email}:${p.role}`).join(",");
+    return (
+      parseShareTypeCell("") === "user" &&
+      parseShareTypeCell(" グループ ") === "group" &&
+      parseShareTypeCell("group") === undefined &&
+      toText(planPoGroupPermissions("f", po)) ===
+        "user:po@example.com:writer,group:po-team@example.com:writer" &&
+      toText(planFormResponsePermissions(members, po)) ===
+        "user:alice@example.com:reader,group:dev-team@example.com:reader" &&
+      groupResponseSummarized()
+    );
+  },
+});
+
+/**
+ * 計画した権限を 1 件付与する（失敗時は例外）
+ * @param {string} fileId - ファイルID
+ * @param {PlannedPermission} p
+ */
+const createDrivePermission = (fileId, p) => {
+  const permission = {
+    type: p.type,
+    role: p.role,
+    emailAddress: p.email,
+    ...(p.view ? { view: p.view } : {}),
+  };
+
+  // 共有ドライブ内のファイルは supportsAllDrives が無いと見つからない
+  Drive.Permissions.create(permission, fileId, {
+    sendNotificationEmail: p.notify,
+    supportsAllDrives: true,
+  });
+
+  logInfo(
+    `Permission (${p.role}) granted to ${p.email} for ${p.fileType} (notification: ${p.notify})`,
+    { fileId }
+  );
+};
+
+/** 権限の付与を試みる最大回数（レート制限で失敗した場合に再試行する） */
+const PERMISSION_GRANT_MAX_ATTEMPTS = 5;
+/** 再試行までの待ち時間の初期値（試行ごとに 2 倍にする） */
+const PERMISSION_GRANT_BASE_DELAY_MS = 1000;
+
+/** 権限付与の結果 */
+const PERMISSION_GRANT_STATUS = {
+  granted: "付与",
+  failed: "失敗",
+  skipped: "スキップ",
+};
+
+/**
+ * 権限 1 件の付与結果。skipped は同じ権限が付与済みだったもの。
+ * @typedef {{
+ *   fileType: string,
+ *   fileId: string,
+ *   email: string,
+ *   role: string,
+ *   status: string,
+ *   attempts: number,
+ *   message: string,
+ * }} PermissionGrantResult
+ */
+/**
+ * Drive の権限 API。既定は Drive 拡張サービス。テストではスタブに差し替える。
+ * @typedef {{
+ *   create: (fileId: string, p: PlannedPermission) => void,
+ *   list: (fileId: string) => Array<DrivePermission>,
+ *   sleep: (ms: number) => void,
+ * }} DrivePermissionApi
+ */
+/** @typedef {{ api: DrivePermissionApi, maxAttempts: number, baseDelayMs: number }} PermissionServiceOptions */
+/** @typedef {{ grant: (fileId: string, p: PlannedPermission) => PermissionGrantResult }} PermissionService */
+
+/** @type {DrivePermissionApi} */
+const drivePermissionApi = {
+  create: (fileId, p) => createDrivePermission(fileId, p),
+  list: (fileId) => listDrivePermissions(fileId),
+  sleep: (ms) => Utilities.sleep(ms),
+};
+
+/**
+ * 再試行すれば通る可能性のあるエラーか（429 と、理由がレート制限の 403）。
+ * 権限不足や共有の制限による 403 は何度試しても通らないため再試行しない。
+ * @param {string} message
+ */
+const isRetriablePermissionError = (message) =>
+  /\b429\b|too many requests|\b(user)?rateLimitExceeded\b|rate limit exceeded/i.test(
+    message
+  );
+
+/**
+ * 権限を付与するサービスを作る。ファイルごとに付与済みの権限を 1 度だけ読み、
+ * 同じ権限があればスキップする。レート制限（429 / 403 rateLimitExceeded）は待ち時間を倍にしながら再試行する。
+ * @param {PermissionServiceOptions} options
+ * @returns {PermissionService}
+ */
+const createPermissionService = ({ api, maxAttempts, baseDelayMs }) => {
+  /** @type {Map<string, Array<DrivePermission>>} */
+  const existingByFile = new Map();
+  /** @param {string} fileId */
+  const existingOf = (fileId) => {
+    const cached = existingByFile.get(fileId);
+    if (cached) {
+      return cached;
+    }
+    /** @type {Array<DrivePermission>} */
+    let existing = [];
+    try {
+      existing = api.list(fileId);
+    } catch (err) {
+      // 一覧できなくても付与は試みる（付与済みならスキップできないだけ）
+      const e = err instanceof Error ? err : new Error(String(err));
+      logWarn("Failed to list permissions", { fileId, error: e.message });
+    }
+    existingByFile.set(fileId, existing);
+    return existing;
+  };
+
+  /** @type {PermissionService["grant"]} */
+  const grant = (fileId, p) => {
+    const base = {
+      fileType: p.fileType,
+      fileId,
+      email: p.email,
+      role: describePermissionRole(p.role, p.view),
+    };
+    const email = p.email.toLowerCase();
+    const granted = existingOf(fileId).some(
+      (a) =>
+        (a.emailAddress ?? "").toLowerCase() === email &&
+        a.role === p.role &&
+        (a.view ?? "") === (p.view ?? "")
+    );
+    if (granted) {
+      return {
+        ...base,
+        status: PERMISSION_GRANT_STATUS.skipped,
+        attempts: 0,
+        message: "付与済み",
+      };
+    }
+    for (let attempt = 1; ; attempt++) {
+      try {
+        api.create(fileId, p);
+        return {
+          ...base,
+          status: PERMISSION_GRANT_STATUS.granted,
+          attempts: attempt,
+          message: "",
+        };
+      } catch (err) {
+        const e = err instanceof Error ? err : new Error(String(err));
+        if (attempt >= maxAttempts || !isRetriablePermissionError(e.message)) {
+          logWarn(
+            `Failed to grant permission to ${p.email} for ${p.fileType}`,
+            {
+              fileId,
+              attempts: attempt,
+              error: e.message,
+            }
+          );
+          return {
+            ...base,
+            status: PERMISSION_GRANT_STATUS.failed,
+            attempts: attempt,
+            message: e.message,
+          };
+        }
+        api.sleep(baseDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  };
+  return { grant };
+};
+
+/**
+ * Drive 拡張サービスで権限を付与するサービスを作る
+ * @returns {PermissionService}
+ */
+const createDrivePermissionService = () =>
+  createPermissionService({
+    api: drivePermissionApi,
+    maxAttempts: PERMISSION_GRANT_MAX_ATTEMPTS,
+    baseDelayMs: PERMISSION_GRANT_BASE_DELAY_MS,
+  });
+
+/**
+ * 付与結果を件数と失敗の一覧にまとめる（見積もり履歴の「権限付与結果」とダイアログ用）
+ * @param {Array<PermissionGrantResult>} results
+ * @returns {string}
+ */
+const formatPermissionGrantSummary = (results) => {
+  const counts = Object.values(PERMISSION_GRANT_STATUS).map(
+    (status) =>
+      `${status} ${results.filter((r) => r.status === status).length} 件`
+  );
+  const failures = results
+    .filter((r) => r.status === PERMISSION_GRANT_STATUS.failed)
+    .map((r) => `- ${r.email}（${r.fileType}・${r.role}）: ${r.message}`);
+  return [counts.join(" / "), ...failures].join("\n");
+};
+
+/**
+ * 権限を 1 件ずつ付与する。失敗は結果に残し、残りの付与を続ける。
+ * @param {string} fileId - ファイルID
+ * @param {Array<PlannedPermission>} permissions
+ * @param {PermissionService} [service]
+ * @returns {Array<PermissionGrantResult>}
+ */
+const grantPlannedPermissions = (
+  fileId,
+  permissions,
+  service = createDrivePermissionService()
+) => permissions.map((p) => service.grant(fileId, p));
+
+tests.push({
+  name: "permissions:retry",
+  failMessage: "権限付与の再試行・結果の集計が不正です",
+  check: () => {
+    /** @type {Array<number>} */
+    const sleeps = [];
+    /** @type {Record<string, number>} */
+    const calls = {};
+    const service = createPermissionService({
+      api: {
+        create: (_fileId, p) => {
+          calls[p.email] = (calls[p.email] ?? 0) + 1;
+          if (p.email === "busy@example.com" && (calls[p.email] ?? 0) < 3) {
+            throw new Error(
+              "API call to drive.permissions.create failed with error: 429 Too Many Requests"
+            );
+          }
+          if (p.email === "bad@example.com") {
+            throw new Error("Invalid email address");
+          }
+        },
+        list: () => [
+          { id: "1", role: "writer", emailAddress: "PO@example.com" },
+        ],
+        sleep: (ms) => {
+          sleeps.push(ms);
+        },
+      },
+      maxAttempts: 4,
+      baseDelayMs: 100,
+    });
+    /** @type {(email: string, role: PlannedPermission["role"]) => PlannedPermission} */
+    const planned = (email, role) => ({
+      fileType: ESTIMATE_FILE_TYPES.result,
+      type: "user",
+      email,
+      role,
+      notify: false,
+    });
+    const results = grantPlannedPermissions(
+      "f",
+      [
+        planned("po@example.com", "writer"),
+        planned("busy@example.com", "reader"),
+        planned("bad@example.com", "reader"),
+      ],
+      service
+    );
+    return (
+      results.map((r) => `${r.status}:${r.attempts}`).join(",") ===
+        "スキップ:0,付与:3,失敗:1" &&
+      sleeps.join(",") === "100,200" &&
+      calls["po@example.com"] === undefined &&
+      isRetriablePermissionError(
+        "API call to drive.permissions.create failed with error: User rate limit exceeded."
+      ) &&
+      isRetriablePermissionError('403 {"reason": "rateLimitExceeded"}') &&
+      !isRetriablePermissionError(
+        "API call to drive.permissions.create failed with error: 403 The user does not have sufficient permissions for this file."
+      ) &&
+      !isRetriablePermissionError('403 {"reason": "dailyLimitExceeded"}') &&
+      formatPermissionGrantSummary(results) ===
+        "付与 1 件 / 失敗 1 件 / スキップ 1 件\n" +
+          "- bad@example.com（結果スプシ・閲覧者）: Invalid email address"
+    );
+  },
+});
+
 /**
  * ファイルIDから編集権限をPOグループメンバーに付与する（通知なし）
  * @param {string} fileId - ファイルID
  * @param {string} fileType - ファイルの種類（ログ用）
+ * @param {EstimateTeam} [team] - POグループを読むチーム
+ * @returns {Array<PermissionGrantResult>}
  */
-const grantEditPermissionToPoGroup = (fileId, fileType) => {
-  const poEmails = getPoEmails();
-
-  if (!poEmails.length) {
+const grantEditPermissionToPoGroup = (
+  fileId,
+  fileType,
+  team = DEFAULT_TEAM
+) => {
+  const permissions = planPoGroupPermissions(fileType, getPoShareInfo(team));
+
+  if (!permissions.length) {
     logWarn(
       `PO group has no email addresses, skipping permission setup for ${fileType}`
     );
-    return;
+    return [];
   }
 
   logInfo(
     `Granting edit permissions to PO group for ${fileType} (no notification)`,
     {
       fileId,
-      emailCount: poEmails.length,
+      emailCount: permissions.length,
     }
   );
-
-  for (const email of poEmails) {
-    try {
-      const permission = {
-        type: "user",
-        role: "writer",
-        emailAddress: email,
-      };
-
-      Drive.Permissions.create(permission, fileId, {
-        sendNotificationEmail: false,
-      });
-
-      logInfo(
-        `Edit permission granted to ${email} for ${fileType} (no notification)`,
-        { fileId }
-      );
-    } catch (err) {
-      const e = err instanceof Error ? err : new Error(String(err));
-      logWarn(`Failed to grant permission to ${email} for ${fileType}`, {
-        fileId,
-        error: e.message,
-      });
-    }
-  }
+  return grantPlannedPermissions(fileId, permissions);
 };
 
 /**
@@ -481,120 +1152,77 @@ const grantEditPermissionToPoGroup = (fileId, fileType) => {
  * POメンバーは既に編集権限を持っているため除外する
  * @param {string} fileId - ファイルID
  * @param {string} fileType - ファイルの種類（ログ用）
+ * @param {EstimateTeam} [team] - メンバー・POグループを読むチーム
+ * @param {Array<EstimateRequiredMemberRow>} [members] - 対象メンバー（省略時はチームの見積もり必要_メンバー全員）
+ * @returns {Array<PermissionGrantResult>}
  */
-const grantViewPermissionToEstimateMembers = (fileId, fileType) => {
-  const members = getEstimateRequiredMembers();
-  const poEmails = getPoEmails();
-
-  // POメンバーを除外した見積もり必要メンバーのメールアドレス一覧を作成
-  const memberEmails = members
-    .map((member) => member.email)
-    .filter((email) => email && !poEmails.includes(email));
+const grantViewPermissionToEstimateMembers = (
+  fileId,
+  fileType,
+  team = DEFAULT_TEAM,
+  members = getEstimateRequiredMembers(team)
+) => {
+  const permissions = planMemberViewPermissions(
+    fileType,
+    members,
+    getPoShareInfo(team)
+  );
 
-  if (!memberEmails.length) {
+  if (!permissions.length) {
     logWarn(
       `No email addresses found in estimate required members (excluding PO members), skipping permission setup for ${fileType}`
     );
-    return;
+    return [];
   }
 
   logInfo(
     `Granting view permissions to estimate members for ${fileType} (no notification, excluding PO members)`,
     {
       fileId,
-      emailCount: memberEmails.length,
+      emailCount: permissions.length,
       totalMembersCount: members.length,
-      excludedPoCount: members.length - memberEmails.length,
+      excludedPoCount: members.length - permissions.length,
     }
   );
-
-  for (const email of memberEmails) {
-    try {
-      const permission = {
-        type: "user",
-        role: "reader",
-        emailAddress: email,
-      };
-
-      Drive.Permissions.create(permission, fileId, {
-        sendNotificationEmail: false,
-      });
-
-      logInfo(
-        `View permission granted to ${email} for ${fileType} (no notification)`,
-        { fileId }
-      );
-    } catch (err) {
-      const e = err instanceof Error ? err : new Error(String(err));
-      logWarn(`Failed to grant permission to ${email} for ${fileType}`, {
-        fileId,
-        error: e.message,
-      });
-    }
-  }
-};
+  return grantPlannedPermissions(fileId, permissions);
+};
 
 /**
  * フォームIDから回答権限を見積もり必要メンバーに付与する
  * POメンバーは既に編集権限を持っているため除外する
  * 見積もりが必要なメンバーには通知を送信し、それ以外には通知を送信しない
  * @param {string} formId - フォームID
+ * @param {EstimateTeam} [team] - メンバー・POグループを読むチーム
+ * @param {Array<EstimateRequiredMemberRow>} [members] - 対象メンバー（省略時はチームの見積もり必要_メンバー全員）
+ * @returns {Array<PermissionGrantResult>}
  */
-const grantFormResponsePermissionToEstimateMembers = (formId) => {
-  const members = getEstimateRequiredMembers();
-  const poEmails = getPoEmails();
-
-  // POメンバーを除外した見積もり必要メンバーのメールアドレス一覧を作成
-  const memberEmails = members
-    .map((member) => member.email)
-    .filter((email) => email && !poEmails.includes(email));
+const grantFormResponsePermissionToEstimateMembers = (
+  formId,
+  team = DEFAULT_TEAM,
+  members = getEstimateRequiredMembers(team)
+) => {
+  const permissions = planFormResponsePermissions(
+    members,
+    getPoShareInfo(team)
+  );
 
-  if (!memberEmails.length) {
+  if (!permissions.length) {
     logWarn(
       `No email addresses found in estimate required members (excluding PO members), skipping form response permission setup`
     );
-    return;
+    return [];
   }
 
   logInfo(
     `Granting form response permissions to estimate members (excluding PO members)`,
     {
       formId,
-      emailCount: memberEmails.length,
+      emailCount: permissions.length,
       totalMembersCount: members.length,
-      excludedPoCount: members.length - memberEmails.length,
+      excludedPoCount: members.length - permissions.length,
     }
   );
-
-  for (const email of memberEmails) {
-    try {
-      // 見積もりが必要なメンバーかどうかを判定
-      const member = members.find((m) => m.email === email);
-      const needsEstimate = member && member.responseRequired === "必要";
-
-      const permission = {
-        role: "reader",
-        type: "user",
-        emailAddress: email,
-        view: "published",
-      };
-
-      Drive.Permissions.create(permission, formId, {
-        sendNotificationEmail: needsEstimate,
-      });
-
-      logInfo(
-        `Form response permission granted to ${email} (notification: ${needsEstimate})`,
-        { formId, needsEstimate }
-      );
-    } catch (err) {
-      const e = err instanceof Error ? err : new Error(String(err));
-      logWarn(`Failed to grant form response permission to ${email}`, {
-        formId,
-        error: e.message,
-      });
-    }
-  }
+  return grantPlannedPermissions(formId, permissions);
 };
 
 /**
@@ -683,6 +1311,31 @@ const extractDriveFileIdFromUrl = (url) => {
   return driveFileId;
 };
 
+/**
+ * Google DriveフォルダのURLからフォルダIDを抽出する
+ * 共有ドライブのURL（drive/folders/<共有ドライブID>）もそのまま扱える。
+ * @param {string} url - Google DriveフォルダのURL
+ * @returns {string|undefined} フォルダID、見つからない場合はundefined
+ */
+const extractDriveFolderIdFromUrlOrUndefined = (url) => {
+  const match = url.match(/\/folders\/([a-zA-Z0-9-_]+)/);
+  return match && match[1] ? match[1] : undefined;
+};
+
+/**
+ * Google DriveフォルダのURLからフォルダIDを抽出する
+ * @param {string} url - Google DriveフォルダのURL
+ * @returns {string} フォルダID
+ * @throws {Error} フォルダのIDが見つからない場合
+ */
+const extractDriveFolderIdFromUrl = (url) => {
+  const folderId = extractDriveFolderIdFromUrlOrUndefined(url);
+  if (folderId === undefined) {
+    throw new Error(`Could not extract folder ID from URL: ${url}`);
+  }
+  return folderId;
+};
+
 /**
  * URLからファイルIDを抽出する（見つからない場合はundefinedを返す）
  * @param {string} url - Google DriveファイルのURL
@@ -711,182 +1364,449 @@ const extractFileIdFromUrlOrUndefined = (url) => {
 };
 
 /**
- * テンプレートから3つのファイルをコピーして見積もり履歴に追加
- * 締切日を使用してタイトルプレフィックスを生成
- * @param {string} deadlineDate - 締切日（YYYY-MM-DD形式）
+ * @typedef {{
+ *   sectionNotes?: Record<string, string>,
+ *   anonymous?: boolean,
+ *   title?: string,
+ *   issues?: Array<EstimateIssueRow>,
+ *   members?: Array<EstimateRequiredMemberRow>,
+ *   team?: EstimateTeam,
+ * }} CreateEstimateOptions
  */
-const createEstimateFromTemplates = (deadlineDate) => {
-  logInfo("createEstimateFromTemplates start");
-
-  // タイトルプレフィックスを生成（締切日 + "async ポーカー"）
-  const titlePrefix = `${deadlineDate} async ポーカー`;
-
-  logInfo("Using deadline date for title", { deadlineDate, titlePrefix });
-
-  // テンプレートリンクを取得
-  const templates = getEstimateTemplateLinks();
-
-  // 各ファイルをコピー
-  const midUrl = copySpreadsheetFromUrl(templates.midSpreadsheet, titlePrefix);
-  const formUrl = copyFormFromUrl(templates.googleForm, titlePrefix);
-  const resultUrl = copySpreadsheetFromUrl(
-    templates.resultSpreadsheet,
-    `${titlePrefix}結果`
-  );
 
-  logInfo("Files copied successfully", {
-    midUrl,
-    formUrl,
-    resultUrl,
-  });
+/** 見積もりごとにテンプレートからコピーするファイルの種類（ログ・権限の付与先の名前） */
+const ESTIMATE_FILE_TYPES = {
+  mid: "中間スプシ",
+  form: "Google Form",
+  result: "結果スプシ",
+};
 
-  // Google FormとSpreadsheetをリンク（FormのdestinationをSpreadsheetに設定）
-  linkFormToSpreadsheet(formUrl, midUrl);
+/** 計画の時点では Form の回答 URL が無いため、Slack メッセージのプレビューではこの文字列を入れる */
+const PLAN_FORM_URL_PLACEHOLDER = "（Google Form の回答 URL）";
 
-  logInfo("Form linked to spreadsheet", {
-    formUrl,
-    midUrl,
-  });
+/**
+ * 見積もり発行の計画。作成するファイル・Form のセクション・書き込む行・付与する権限・Slack メッセージを全て含む。
+ * executeEstimatePlan はテーブルを読み直さず、この内容だけで見積もりを作成する。
+ * - round: 見積もり必要_ラウンド から発行する場合のラウンド（発行後に発行済みにする）
+ * - driveFolderUrl: ファイルを置くフォルダ（この中に fileTitles.folder のフォルダを作る）。空ならマイドライブ直下
+ * @typedef {{
+ *   deadlineDate: string,
+ *   titlePrefix: string,
+ *   team: EstimateTeam,
+ *   templates: EstimateTemplateLinks,
+ *   fileTitles: { folder: string, mid: string, form: string, result: string },
+ *   driveFolderUrl: string,
+ *   issues: Array<EstimateIssueRow>,
+ *   members: Array<EstimateRequiredMemberRow>,
+ *   sections: Array<FormSectionSpec>,
+ *   anonymous: boolean,
+ *   permissions: Array<PlannedPermission>,
+ *   requestSlackText: string,
+ *   round?: EstimateRound,
+ * }} EstimatePlan
+ */
 
-  // Google Formのタイトルとセクションをセットアップ
-  const issueList = getEstimateIssueList().filter(({ title, url }) => title || url);
-  setupFormSections(formUrl, titlePrefix, issueList);
+/**
+ * 見積もり 1 回分の 3 ファイルに付与する権限（POグループは編集、メンバーは Form の回答・結果スプシの閲覧）
+ * @param {Array<EstimateRequiredMemberRow>} members
+ * @param {PoShareInfo} po
+ * @returns {Array<PlannedPermission>}
+ */
+const planEstimatePermissions = (members, po) => [
+  ...planPoGroupPermissions(ESTIMATE_FILE_TYPES.mid, po),
+  ...planPoGroupPermissions(ESTIMATE_FILE_TYPES.form, po),
+  ...planPoGroupPermissions(ESTIMATE_FILE_TYPES.result, po),
+  ...planFormResponsePermissions(members, po),
+  ...planMemberViewPermissions(ESTIMATE_FILE_TYPES.result, members, po),
+];
 
-  logInfo("Form sections setup completed", {
-    formUrl,
+/**
+ * 読み込んだテーブルの内容から見積もり発行の計画を作る（副作用なし）
+ * 締切日はここで解釈し、解釈できなければファイルを作る前に例外にする。
+ * @param {{ deadlineDate: string, titlePrefix: string, team: EstimateTeam, templates: EstimateTemplateLinks, driveFolderUrl: string, issues: Array<EstimateIssueRow>, members: Array<EstimateRequiredMemberRow>, po: PoShareInfo, sectionNotes: Record<string, string>, extraQuestions: Array<ExtraQuestion>, anonymous: boolean }} input
+ * @returns {EstimatePlan}
+ */
+const planEstimate = (input) => {
+  const { deadlineDate, titlePrefix, members, po } = input;
+  parseDeadlineDateTime(deadlineDate);
+  const issues = input.issues.filter(({ title, url }) => title || url);
+  const requestSlackMessage = buildRequestSlackMessage(
+    deadlineDate,
+    members.filter((m) => m.responseRequired === "必要"),
+    PLAN_FORM_URL_PLACEHOLDER
+  );
+  return {
+    deadlineDate,
     titlePrefix,
-    issueCount: issueList.length,
-  });
-
-  // Google Form を公開する
-  const form = getFormFromUrl(formUrl);
-  form.setPublished(true);
-
-  const formResponseUrl = form.getPublishedUrl();
-
-  logInfo("Form published successfully", {
-    formUrl,
-    formResponseUrl,
-  });
-
-  // Form_Responses テーブルにダミー行を追加
-  addFormResponsesDummyRow(midUrl);
-
-  logInfo("Added dummy row to Form_Responses table", {
-    midUrl,
-  });
-
-  // 中間スプシの「メンバー」テーブルを「見積もり必要_メンバー」テーブルのデータで更新
-  updateMembersTable(midUrl);
-
-  logInfo("Updated Members table with estimate required members data", {
-    midUrl,
-  });
-
-  // 中間スプシの「結果まとめ」テーブルを見積もり課題リストのデータで更新
-  updateResultSummaryTable(midUrl);
-
-  logInfo("Updated ResultSummary table with estimate issue list data", {
-    midUrl,
-  });
-
-  // Slack メッセージを生成
-  const members = getEstimateRequiredMembers();
-  const mentionList = members
-    .filter((m) => m.responseRequired === "必要")
-    .map((m) => m.slackMention)
-    .join(" ");
-
-  /** @type {RichText} */
-  const requestSlackMessage = {
-    elements: [
-      {
-        type: "plain",
-        text:
-          `${mentionList}\n\n${deadlineDate} の非同期ポーカーです。\n` +
-          `締切を${deadlineDate} 16:00 に設定しています。\n\nお手数ですが、`,
-      },
-      { type: "link", text: "こちら", url: formResponseUrl },
-      { type: "plain", text: "からご回答のほどよろしくお願いいたします。" },
-    ],
-  };
-
-  /** @type {RichText} */
-  const completionSlackMessage = {
-    elements: [
-      { type: "plain", text: "ご回答ありがとうございます。\n\n結果を" },
-      { type: "link", text: "こちら", url: resultUrl },
-      {
-        type: "plain",
-        text:
-          "にまとめましたので、ご確認のほどよろしくお願いいたします。\n" +
-          "特に violation がでた部分については、再見積もりとなりますので、次回の見積もりのためにご参考ください。",
-      },
-    ],
+    team: input.team,
+    templates: input.templates,
+    fileTitles: {
+      folder: titlePrefix,
+      mid: titlePrefix,
+      form: titlePrefix,
+      result: `${titlePrefix}結果`,
+    },
+    driveFolderUrl: input.driveFolderUrl,
+    issues,
+    members,
+    sections: buildFormSectionSpecs(
+      issues,
+      input.sectionNotes,
+      input.extraQuestions
+    ),
+    anonymous: input.anonymous,
+    permissions: planEstimatePermissions(members, po),
+    requestSlackText: richTextToSlackMrkdwn(requestSlackMessage),
   };
+};
 
-  // 見積もり履歴テーブルに行を追加
-  addEstimateHistoryTopRow({
-    date: deadlineDate,
-    midText: titlePrefix,
-    midUrl: midUrl,
-    formText: titlePrefix,
-    formUrl: formResponseUrl,
-    resultText: `${titlePrefix}結果`,
-    resultUrl: resultUrl,
-    requestSlackMessage,
-    completionSlackMessage,
+/**
+ * テーブルを読み込み、見積もり発行の計画を作る（ファイルの作成・共有はしない）
+ * @param {string} deadlineDate - 締切日（YYYY-MM-DD形式）
+ * @param {CreateEstimateOptions} [options] - createEstimateFromTemplates と同じ
+ * @returns {EstimatePlan}
+ */
+const buildEstimatePlan = (deadlineDate, options = {}) => {
+  const team = options.team ?? DEFAULT_TEAM;
+  return planEstimate({
+    deadlineDate,
+    // タイトルプレフィックスを生成（指定が無ければ締切日 + "async ポーカー"）
+    titlePrefix: options.title || `${deadlineDate} async ポーカー`,
+    team,
+    templates: getEstimateTemplateLinks(team),
+    driveFolderUrl: getEstimateSetting(SETTING_KEYS.driveFolderUrl) ?? "",
+    issues: options.issues ?? getEstimateIssueList(team),
+    members: options.members ?? getEstimateRequiredMembers(team),
+    po: getPoShareInfo(team),
+    sectionNotes: options.sectionNotes ?? {},
+    extraQuestions: getEstimateExtraQuestions(),
+    anonymous: options.anonymous ?? getAnonymousModeSetting(),
   });
+};
 
-  try {
-    const midFileId = extractSpreadsheetIdFromUrl(midUrl);
-    const formFileId = extractFormIdFromUrl(formUrl);
-    const resultFileId = extractSpreadsheetIdFromUrl(resultUrl);
-
-    grantEditPermissionToPoGroup(midFileId, "中間スプシ");
-    grantEditPermissionToPoGroup(formFileId, "Google Form");
-    grantEditPermissionToPoGroup(resultFileId, "結果スプシ");
-
-    logInfo("PO group permissions granted successfully", {
-      midUrl,
-      resultUrl,
-    });
+/**
+ * テンプレートから3つのファイルをコピーして見積もり履歴に追加
+ * 締切日を使用してタイトルプレフィックスを生成
+ * @param {string} deadlineDate - 締切日（YYYY-MM-DD形式）
+ * @param {CreateEstimateOptions} [options] - sectionNotes: 課題 URL ごとに Form セクションの説明へ追記する文、
+ *   anonymous: 匿名モード（省略時は見積もり必要_設定 の anonymous-mode）、
+ *   title: タイトルプレフィックス、issues / members: 対象の課題・メンバー（省略時は各テーブル全体）、
+ *   team: テンプレート・メンバー・POグループ・見積もり履歴を読むチーム（省略時は既定のテーブル）
+ */
+const createEstimateFromTemplates = (deadlineDate, options = {}) =>
+  executeEstimatePlan(buildEstimatePlan(deadlineDate, options));
 
-    // フォームに見積もりメンバー全員の回答権限を付与（POメンバー除外、通知は必要な人のみ）
-    grantFormResponsePermissionToEstimateMembers(formFileId);
-    logInfo("Form response permissions granted to estimate members", {
-      formUrl,
-    });
+/**
+ * 見積もり発行の計画どおりにファイルをコピー・設定・共有し、見積もり履歴に追加する。
+ * 進捗は ScriptProperties に保存し、実行時間の上限に近づいたら続きをトリガーで実行する。
+ * 途中で失敗した場合は、それまでの変更を逆順に元に戻し、結果をまとめた例外を投げる。
+ * @param {EstimatePlan} plan
+ * @returns {EstimateCreationResult}
+ */
+const executeEstimatePlan = (plan) => {
+  logInfo("executeEstimatePlan start", {
+    titlePrefix: plan.titlePrefix,
+    team: plan.team.name,
+  });
+  return runEstimateCreation(createEstimateCreationState(plan));
+};
 
-    // 結果スプシに見積もりメンバー全員の閲覧権限を付与
-    grantViewPermissionToEstimateMembers(resultFileId, "結果スプシ");
-    logInfo("Estimate members view permissions granted successfully", {
-      resultUrl,
-    });
-  } catch (err) {
-    const e = err instanceof Error ? err : new Error(String(err));
-    logWarn("Failed to grant PO group permissions", {
-      error: e.message,
-      midUrl,
-      formUrl,
-      resultUrl,
-    });
-  }
+/**
+ * 見積もり作成の 1 手順。run は再実行しても結果が変わらないように作り、
+ * 実行時間が足りずに途中で止めた場合は false を返す。
+ * 時間のかかるループでは checkpoint を呼んで途中の進捗を保存する。
+ * @typedef {{
+ *   name: string,
+ *   label: string,
+ *   run: (
+ *     state: EstimateCreationState,
+ *     hasTimeLeft: () => boolean,
+ *     checkpoint: () => void
+ *   ) => boolean,
+ * }} EstimateCreationStep
+ */
 
-  logInfo("createEstimateFromTemplates completed", {
-    date: deadlineDate,
-    titlePrefix,
-    deadlineDate,
-  });
+/** @type {Array<EstimateCreationStep>} */
+const ESTIMATE_CREATION_STEPS = [
+  {
+    // 保存先のフォルダが設定されていれば、見積もり 1 回分のフォルダを作ってその中にコピーする
+    name: "createFolder",
+    label: "フォルダの作成",
+    run: (state) => {
+      if (state.plan.driveFolderUrl && !state.folderUrl) {
+        state.folderUrl = createRoundFolder(
+          state.plan.driveFolderUrl,
+          state.plan.fileTitles.folder
+        );
+      }
+      return true;
+    },
+  },
+  {
+    name: "copyMid",
+    label: `${ESTIMATE_FILE_TYPES.mid}のコピー`,
+    run: (state) => {
+      if (!state.midUrl) {
+        state.midUrl = copySpreadsheetFromUrl(
+          state.plan.templates.midSpreadsheet,
+          state.plan.fileTitles.mid,
+          state.folderUrl
+        );
+      }
+      return true;
+    },
+  },
+  {
+    name: "copyForm",
+    label: `${ESTIMATE_FILE_TYPES.form}のコピー`,
+    run: (state) => {
+      if (!state.formUrl) {
+        state.formUrl = copyFormFromUrl(
+          state.plan.templates.googleForm,
+          state.plan.fileTitles.form,
+          state.folderUrl
+        );
+      }
+      return true;
+    },
+  },
+  {
+    name: "copyResult",
+    label: `${ESTIMATE_FILE_TYPES.result}のコピー`,
+    run: (state) => {
+      if (!state.resultUrl) {
+        state.resultUrl = copySpreadsheetFromUrl(
+          state.plan.templates.resultSpreadsheet,
+          state.plan.fileTitles.result,
+          state.folderUrl
+        );
+      }
+      return true;
+    },
+  },
+  {
+    // Google FormとSpreadsheetをリンク（FormのdestinationをSpreadsheetに設定）
+    name: "linkForm",
+    label: "Google Form の回答先の設定",
+    run: (state) => {
+      linkFormToSpreadsheet(state.formUrl, state.midUrl);
+      return true;
+    },
+  },
+  {
+    // Google Formのタイトルとセクションをセットアップ（課題が多いと時間がかかるため途中で止められる）
+    name: "setupForm",
+    label: "Google Form のセクション作成",
+    run: (state, hasTimeLeft, checkpoint) =>
+      setupFormSections(
+        state.formUrl,
+        state.plan.titlePrefix,
+        state.plan.sections,
+        hasTimeLeft,
+        checkpoint
+      ),
+  },
+  {
+    name: "publishForm",
+    label: "Google Form の公開",
+    run: (state) => {
+      const form = getFormFromUrl(state.formUrl);
+      form.setPublished(true);
+      state.formResponseUrl = form.getPublishedUrl();
+      return true;
+    },
+  },
+  {
+    // Form_Responses テーブルにダミー行を追加（ヘッダー直下の行を上書きするので再実行しても増えない）
+    name: "dummyRow",
+    label: "Form_Responses のダミー行",
+    run: (state) => {
+      addFormResponsesDummyRow(state.midUrl);
+      return true;
+    },
+  },
+  {
+    // 中間スプシの「メンバー」「結果まとめ」テーブルを計画のメンバー・課題で置き換え
+    name: "midTables",
+    label: "中間スプシのメンバー・結果まとめ",
+    run: (state) => {
+      updateMembersTable(
+        state.midUrl,
+        expandMemberGroups(state.plan.members, getGoogleGroupMemberEmails)
+      );
+      updateResultSummaryTable(state.midUrl, state.plan.issues);
+      return true;
+    },
+  },
+  {
+    // 匿名モードでは仮名の対応表を中間スプシに作る
+    name: "anonymousMapping",
+    label: "匿名対応表の作成",
+    run: (state) => {
+      if (state.plan.anonymous && !getAnonymousPseudonyms(state.midUrl)) {
+        createAnonymousMapping(state.midUrl);
+      }
+      return true;
+    },
+  },
+  {
+    // 「結果まとめ」のステータス等を集計（この時点では全て見積もり中）
+    name: "refreshResultSummary",
+    label: "結果まとめの集計",
+    run: (state) => {
+      refreshResultSummary(state.midUrl, state.plan.team);
+      return true;
+    },
+  },
+  {
+    name: "history",
+    label: "見積もり履歴への追加",
+    run: (state) => {
+      const { plan } = state;
+      const added = getEstimateHistoryRows(plan.team).some(
+        (r) => r.midUrl === state.midUrl
+      );
+      if (!added) {
+        addEstimateHistoryTopRow(
+          {
+            date: plan.deadlineDate,
+            midText: plan.fileTitles.mid,
+            midUrl: state.midUrl,
+            formText: plan.fileTitles.form,
+            formUrl: state.formResponseUrl,
+            resultText: plan.fileTitles.result,
+            resultUrl: state.resultUrl,
+            folderText: state.folderUrl ? plan.fileTitles.folder : "",
+            folderUrl: state.folderUrl,
+            requestSlackMessage: buildEstimateCreationRequestMessage(state),
+            completionSlackMessage: buildCompletionSlackMessage(
+              state.resultUrl
+            ),
+          },
+          plan.team
+        );
+      }
+      return true;
+    },
+  },
+  {
+    // 締切時刻に回答受付を停止するトリガーを設置（設置済みのものは置き直す）
+    name: "triggers",
+    label: "締切・リマインドのトリガー設置",
+    run: (state) => {
+      const { deadlineDate, titlePrefix } = state.plan;
+      removeRoundTriggers(state.midUrl);
+      const deadline = parseDeadlineDateTime(deadlineDate);
+      if (deadline.getTime() > Date.now()) {
+        installDeadlineTriggers(state.midUrl, titlePrefix, deadline);
+      } else {
+        logWarn("Deadline is in the past, skipping deadline trigger", {
+          deadlineDate,
+          titlePrefix,
+        });
+      }
+      return true;
+    },
+  },
+  {
+    // 計画した権限を 1 件ずつ付与（POグループは編集、メンバーは Form の回答・結果スプシの閲覧）
+    // 付与結果を保存し、再開時はその続きから付与する。終わったら結果を見積もり履歴に書く
+    name: "permissions",
+    label: "権限の付与",
+    run: (state, hasTimeLeft, checkpoint) => {
+      /** @type {Record<string, string>} */
+      const fileIds = {
+        [ESTIMATE_FILE_TYPES.mid]: extractSpreadsheetIdFromUrl(state.midUrl),
+        [ESTIMATE_FILE_TYPES.form]: extractFormIdFromUrl(state.formUrl),
+        [ESTIMATE_FILE_TYPES.result]: extractSpreadsheetIdFromUrl(
+          state.resultUrl
+        ),
+      };
+      const { permissions, team } = state.plan;
+      const service = createDrivePermissionService();
+      for (const p of permissions.slice(state.permissionResults.length)) {
+        if (!hasTimeLeft()) {
+          return false;
+        }
+        const fileId = fileIds[p.fileType];
+        state.permissionResults.push(
+          fileId
+            ? service.grant(fileId, p)
+            : {
+                fileType: p.fileType,
+                fileId: "",
+                email: p.email,
+                role: describePermissionRole(p.role, p.view),
+                status: PERMISSION_GRANT_STATUS.skipped,
+                attempts: 0,
+                message: "付与先のファイルがありません",
+              }
+        );
+        if (
+          state.permissionResults.length %
+            ESTIMATE_CREATION_CHECKPOINT_INTERVAL ===
+          0
+        ) {
+          checkpoint();
+        }
+      }
+      const summary = formatPermissionGrantSummary(state.permissionResults);
+      logInfo("Planned permissions granted", {
+        midUrl: state.midUrl,
+        summary,
+      });
+      if (
+        hasEstimateHistoryColumn(
+          estimateHistoryTable.headers.permissionResult,
+          team
+        )
+      ) {
+        updateEstimateHistoryRow(
+          state.midUrl,
+          { permissionResult: summary },
+          team
+        );
+      }
+      return true;
+    },
+  },
+  {
+    // 見積もり必要_ラウンド から発行した場合はラウンドを発行済みにする
+    name: "roundStatus",
+    label: "ラウンドのステータス更新",
+    run: (state) => {
+      if (state.plan.round) {
+        updateRoundStatus(state.plan.round, ROUND_STATUS.issued);
+      }
+      return true;
+    },
+  },
+  {
+    // Slack Webhook が設定されていれば依頼メッセージを送信
+    // 送信したメッセージは取り消せないため、元に戻す可能性のある手順が全て終わってから送る
+    name: "notifySlack",
+    label: "Slack への依頼の送信",
+    run: (state) => {
+      notifySlackIfConfigured(
+        state.midUrl,
+        "依頼",
+        buildEstimateCreationRequestMessage(state)
+      );
+      return true;
+    },
+  },
+];
 
-  return {
-    date: deadlineDate,
-    titlePrefix,
-    midUrl,
-    formUrl,
-    resultUrl,
-  };
-};
+/**
+ * 見積もり依頼の Slack メッセージ（回答必要なメンバーと公開した Form の URL）
+ * @param {EstimateCreationState} state
+ */
+const buildEstimateCreationRequestMessage = (state) =>
+  buildRequestSlackMessage(
+    state.plan.deadlineDate,
+    state.plan.members.filter((m) => m.responseRequired === "必要"),
+    state.formResponseUrl
+  );
 
 /** ===== サンプルテスト（削除/置換OK） ================= */
 // 成功する例
@@ -1020,21 +1940,47 @@ const poGroupMembersTable = {
   headers: {
     displayName: "表示名",
     email: "メールアドレス",
+    shareType: "種別",
   },
 };
 
-/** @type {{ displayNames: string[], emails: string[] }|undefined } */
-let _poMembersCache = undefined;
+/** 共有先の種別（POグループメンバー・見積もり必要_メンバー の任意列「種別」の値） */
+const SHARE_TYPE = {
+  user: "ユーザー",
+  group: "グループ",
+};
+
+/** @typedef {"user" | "group"} ShareType */
+
+/**
+ * 「種別」セルの値を Drive の権限の type にする。空欄はユーザー。
+ * @param {string} text
+ * @returns {ShareType|undefined} 不正な値は undefined
+ */
+const parseShareTypeCell = (text) => {
+  const t = text.trim();
+  if (!t || t === SHARE_TYPE.user) {
+    return "user";
+  }
+  return t === SHARE_TYPE.group ? "group" : undefined;
+};
+
+/** @type {Map<string, { displayNames: string[], emails: string[], groupEmails: string[] }>} */
+const _poMembersCache = new Map();
 
 /**
  * POグループメンバー（テーブル）を読み込み、表示名とメールの配列を返す。
- * @returns {{ displayNames: string[], emails: string[] }}
+ * groupEmails は emails のうち「種別」がグループのアドレス（任意列。無ければ全てユーザー）。
+ * @param {EstimateTeam} [team] - 省略時は既定のテーブル
+ * @returns {{ displayNames: string[], emails: string[], groupEmails: string[] }}
  */
-const getPoGroupMembers = () => {
-  if (_poMembersCache) {
-    return _poMembersCache;
+const getPoGroupMembers = (team = DEFAULT_TEAM) => {
+  const tableName = team.poMembers;
+  const cached = _poMembersCache.get(tableName);
+  if (cached) {
+    return cached;
   }
-  const meta = getTableMetaByName(poGroupMembersTable.tableName);
+  const meta = getTableMetaByName(tableName);
   const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const spreadsheetId = ss.getId();
@@ -1044,17 +1990,20 @@ const getPoGroupMembers = () => {
   const vr = Sheets.Spreadsheets.Values.get(spreadsheetId, a1);
   const values = vr.values || [];
   if (!values.length || !values[0]) {
-    throw new Error("テーブルが空です: POグループメンバー");
+    throw new Error(`テーブルが空です: ${tableName}`);
   }
 
-  const { idxByName } = getTableHeaderInfo(meta, values);
+  const { idxByName, idxByNameOrUndefined } = getTableHeaderInfo(meta, values);
   const dnIdx = idxByName(poGroupMembersTable.headers.displayName);
   const emIdx = idxByName(poGroupMembersTable.headers.email);
+  const typeIdx = idxByNameOrUndefined(poGroupMembersTable.headers.shareType);
 
   /** @type {string[]} */
   const displayNames = [];
   /** @type {string[]} */
   const emails = [];
+  /** @type {string[]} */
+  const groupEmails = [];
   for (let i = 1; i < values.length; i++) {
     const row = values[i] || [];
     const dn = String(row[dnIdx] ?? "").trim();
@@ -1062,66 +2011,190 @@ const getPoGroupMembers = () => {
     if (!dn && !em) {
       continue;
     }
+    const typeText = typeIdx === undefined ? "" : String(row[typeIdx] ?? "");
+    const type = parseShareTypeCell(typeText);
+    if (type === undefined) {
+      logWarn(`invalid shareType value in ${tableName}`, {
+        row: i + 1,
+        displayName: dn,
+        email: em,
+        shareType: typeText,
+      });
+      continue;
+    }
     if (dn) {
       displayNames.push(dn);
     }
     if (em) {
       emails.push(em);
+      if (type === "group") {
+        groupEmails.push(em);
+      }
     }
   }
-  _poMembersCache = { displayNames, emails };
-  logInfo("Loaded table POグループメンバー", {
+  const poMembers = { displayNames, emails, groupEmails };
+  _poMembersCache.set(tableName, poMembers);
+  logInfo(`Loaded table ${tableName}`, {
     a1,
     countRows: values.length - 1,
     displayNames: displayNames.length,
     emails: emails.length,
     tableId: meta.tableId,
   });
-  return _poMembersCache;
+  return poMembers;
 };
 
-/** @returns {string[]} */
-const getPoDisplayNames = () => getPoGroupMembers().displayNames;
-/** @returns {string[]} */
-const getPoEmails = () => getPoGroupMembers().emails;
+/**
+ * @param {EstimateTeam} [team]
+ * @returns {string[]}
+ */
+const getPoDisplayNames = (team = DEFAULT_TEAM) =>
+  getPoGroupMembers(team).displayNames;
+/**
+ * @param {EstimateTeam} [team]
+ * @returns {string[]}
+ */
+const getPoEmails = (team = DEFAULT_TEAM) => getPoGroupMembers(team).emails;
 
-/** ===== 追加: 見積もり必要_メンバー ローダ =================== */
-const estimateRequiredMembersTable = {
-  tableName: "見積もり必要_メンバー",
-  headers: {
-    displayName: "表示名",
-    email: "メールアドレス",
-    responseRequired: "回答要否",
-    slackMention: "Slack メンション名",
-  },
-};
+/**
+ * POへの共有先と、メンバーへの権限から除外する PO 本人のアドレス。
+ * - emails: POグループメンバーのアドレス（編集権限の付与先。グループのアドレスを含む）
+ * - groupEmails: emails のうちグループのアドレス
+ * - memberEmails: PO 本人のアドレス（ユーザーのアドレスと、グループに所属するメンバー）
+ * @typedef {{ emails: Array<string>, groupEmails: Array<string>, memberEmails: Array<string> }} PoShareInfo
+ */
 
-/** @typedef {{ displayName: string, email: string, responseRequired: "不要" | "必要", slackMention: string }} EstimateRequiredMemberRow */
-/** @type {Array<EstimateRequiredMemberRow>|undefined} */
-let _estimateRequiredMembersCache = undefined;
+/** @type {Map<string, PoShareInfo>} */
+const _poShareInfoCache = new Map();
 
 /**
- * 見積もり必要_メンバー（テーブル）を読み込み、行配列を返す。
- * @returns {Array<EstimateRequiredMemberRow>}
+ * Google グループに所属するメンバーのアドレス（直下のメンバーのみ）。
+ * 実行ユーザーがメンバーを見られないグループは空として扱う。
+ * @param {string} groupEmail
+ * @returns {Array<string>}
  */
-const getEstimateRequiredMembers = () => {
-  if (_estimateRequiredMembersCache) {
-    return _estimateRequiredMembersCache;
-  }
-  const meta = getTableMetaByName(estimateRequiredMembersTable.tableName);
-  const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const spreadsheetId = ss.getId();
-  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
-    throw new Error("Sheets.Spreadsheets is not available");
-  }
-  const vr = Sheets.Spreadsheets.Values.get(spreadsheetId, a1);
-  const values = vr.values || [];
-  if (!values.length || !values[0]) {
-    throw new Error("テーブルが空です: 見積もり必要_メンバー");
+const getGoogleGroupMemberEmails = (groupEmail) => {
+  try {
+    return GroupsApp.getGroupByEmail(groupEmail)
+      .getUsers()
+      .map((u) => u.getEmail());
+  } catch (err) {
+    const e = err instanceof Error ? err : new Error(String(err));
+    logWarn("Failed to read Google Group members", {
+      groupEmail,
+      error: e.message,
+    });
+    return [];
   }
+};
 
-  const { idxByName } = getTableHeaderInfo(meta, values);
+/**
+ * 中間スプシの「メンバー」に書く行。Form の回答は個人のアドレスで届くため、
+ * グループは所属メンバーの行に展開し、所属メンバーは回答要否をグループから引き継ぐ。
+ * グループの行は見積もりのメンバー（権限の監査・アーカイブの対象）と分かるよう、回答要否を「不要」にして残す。
+ * 所属メンバーを読めないグループはそのまま残し、個別に載っているメンバーは重複させない。
+ * @param {Array<EstimateRequiredMemberRow>} members
+ * @param {(groupEmail: string) => Array<string>} groupMemberEmails - getGoogleGroupMemberEmails
+ * @returns {Array<EstimateRequiredMemberRow>}
+ */
+const expandMemberGroups = (members, groupMemberEmails) => {
+  const listed = new Set(members.map((m) => m.email.toLowerCase()));
+  /** @type {Array<EstimateRequiredMemberRow>} */
+  const rows = [];
+  for (const member of members) {
+    const emails =
+      member.type === "group" ? groupMemberEmails(member.email) : [];
+    if (!emails.length) {
+      rows.push(member);
+      continue;
+    }
+    rows.push({ ...member, responseRequired: "不要" });
+    for (const email of emails) {
+      if (listed.has(email.toLowerCase())) {
+        continue;
+      }
+      listed.add(email.toLowerCase());
+      rows.push({
+        displayName: email,
+        email,
+        responseRequired: member.responseRequired,
+        slackMention: "",
+        slackUserId: "",
+        type: "user",
+      });
+    }
+  }
+  return rows;
+};
+
+/**
+ * POグループメンバーの共有先を読み込む（グループは所属メンバーに展開して除外対象にする）
+ * @param {EstimateTeam} [team]
+ * @returns {PoShareInfo}
+ */
+const getPoShareInfo = (team = DEFAULT_TEAM) => {
+  const cached = _poShareInfoCache.get(team.poMembers);
+  if (cached) {
+    return cached;
+  }
+  const { emails, groupEmails } = getPoGroupMembers(team);
+  const info = {
+    emails,
+    groupEmails,
+    memberEmails: [
+      ...emails.filter((e) => !groupEmails.includes(e)),
+      ...groupEmails.flatMap(getGoogleGroupMemberEmails),
+    ],
+  };
+  _poShareInfoCache.set(team.poMembers, info);
+  return info;
+};
+
+/** ===== 追加: 見積もり必要_メンバー ローダ =================== */
+const estimateRequiredMembersTable = {
+  tableName: "見積もり必要_メンバー",
+  headers: {
+    displayName: "表示名",
+    email: "メールアドレス",
+    responseRequired: "回答要否",
+    slackMention: "Slack メンション名",
+    slackUserId: "Slack ユーザー ID",
+    shareType: "種別",
+  },
+};
+
+/**
+ * type は共有先の種別（任意列「種別」。グループのアドレスはグループとして共有する）
+ * @typedef {{ displayName: string, email: string, responseRequired: "不要" | "必要", slackMention: string, slackUserId: string, type: ShareType }} EstimateRequiredMemberRow
+ */
+/** @type {Map<string, Array<EstimateRequiredMemberRow>>} */
+const _estimateRequiredMembersCache = new Map();
+
+/**
+ * 見積もり必要_メンバー（テーブル）を読み込み、行配列を返す。
+ * @param {EstimateTeam} [team] - 省略時は既定のテーブル
+ * @returns {Array<EstimateRequiredMemberRow>}
+ */
+const getEstimateRequiredMembers = (team = DEFAULT_TEAM) => {
+  const tableName = team.members;
+  const cached = _estimateRequiredMembersCache.get(tableName);
+  if (cached) {
+    return cached;
+  }
+  const meta = getTableMetaByName(tableName);
+  const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const spreadsheetId = ss.getId();
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  const vr = Sheets.Spreadsheets.Values.get(spreadsheetId, a1);
+  const values = vr.values || [];
+  if (!values.length || !values[0]) {
+    throw new Error(`テーブルが空です: ${tableName}`);
+  }
+
+  const { idxByName, idxByNameOrUndefined } = getTableHeaderInfo(meta, values);
   const displayNameIdx = idxByName(
     estimateRequiredMembersTable.headers.displayName
   );
@@ -1132,6 +2205,14 @@ const getEstimateRequiredMembers = () => {
   const slackMentionIdx = idxByName(
     estimateRequiredMembersTable.headers.slackMention
   );
+  // 任意列。無ければ Slack 送信時もメンション名のまま
+  const slackUserIdIdx = idxByNameOrUndefined(
+    estimateRequiredMembersTable.headers.slackUserId
+  );
+  // 任意列。無ければ全てユーザー
+  const shareTypeIdx = idxByNameOrUndefined(
+    estimateRequiredMembersTable.headers.shareType
+  );
 
   /** @type {Array<EstimateRequiredMemberRow>} */
   const rows = [];
@@ -1141,6 +2222,10 @@ const getEstimateRequiredMembers = () => {
     const email = String(row[emailIdx] ?? "").trim();
     const responseRequired = String(row[responseRequiredIdx] ?? "").trim();
     const slackMention = String(row[slackMentionIdx] ?? "").trim();
+    const slackUserId =
+      slackUserIdIdx === undefined
+        ? ""
+        : String(row[slackUserIdIdx] ?? "").trim();
 
     if (!displayName && !email) {
       continue;
@@ -1148,7 +2233,7 @@ const getEstimateRequiredMembers = () => {
 
     // 回答要否の値チェック
     if (responseRequired !== "不要" && responseRequired !== "必要") {
-      logWarn("invalid responseRequired value in 見積もり必要_メンバー", {
+      logWarn(`invalid responseRequired value in ${tableName}`, {
         row: i + 1,
         displayName,
         email,
@@ -1157,16 +2242,31 @@ const getEstimateRequiredMembers = () => {
       continue;
     }
 
+    const shareTypeText =
+      shareTypeIdx === undefined ? "" : String(row[shareTypeIdx] ?? "");
+    const type = parseShareTypeCell(shareTypeText);
+    if (type === undefined) {
+      logWarn(`invalid shareType value in ${tableName}`, {
+        row: i + 1,
+        displayName,
+        email,
+        shareType: shareTypeText,
+      });
+      continue;
+    }
+
     rows.push({
       displayName,
       email,
       responseRequired: /** @type {"不要" | "必要"} */ (responseRequired),
       slackMention,
+      slackUserId,
+      type,
     });
   }
 
-  _estimateRequiredMembersCache = rows;
-  logInfo("Loaded table 見積もり必要_メンバー", {
+  _estimateRequiredMembersCache.set(tableName, rows);
+  logInfo(`Loaded table ${tableName}`, {
     a1,
     countRows: rows.length,
     tableId: meta.tableId,
@@ -1284,13 +2384,13 @@ const addFormResponsesDummyRow = (spreadsheetUrl) => {
     const dummyRowData = header.map((headerCell) => {
       const headerName = headerCell.trim();
       if (headerName === formResponsesTable.headers.email) {
-        return "dummy";
+        return FORM_RESPONSES_DUMMY_EMAIL;
       }
       if (headerName.endsWith(". 見積もりの前提、質問")) {
         return "dummy premise";
       }
       if (headerName.endsWith(". 見積り値")) {
-        return "skip";
+        return getEstimateScale().skipTokens[0] ?? "";
       }
       return ""; // その他の列は空
     });
@@ -1369,14 +2469,20 @@ const membersTable = {
     email: "メールアドレス",
     responseRequired: "回答要否",
     responseStatus: "回答状況",
+    slackMention: "Slack メンション名",
+    slackUserId: "Slack ユーザー ID",
   },
 };
 
 /**
  * 指定されたスプレッドシートの「メンバー」テーブルを元のスプシの「見積もり必要_メンバー」テーブルのデータで更新
  * @param {string} spreadsheetUrl - 対象スプレッドシートのURL
+ * @param {Array<EstimateRequiredMemberRow>} [estimateMembers] - 書き込むメンバー（省略時は見積もり必要_メンバー全員）
  */
-const updateMembersTable = (spreadsheetUrl) => {
+const updateMembersTable = (
+  spreadsheetUrl,
+  estimateMembers = getEstimateRequiredMembers()
+) => {
   // SpreadsheetのURLからIDを抽出
   const spreadsheetId = extractSpreadsheetIdFromUrl(spreadsheetUrl);
 
@@ -1384,8 +2490,6 @@ const updateMembersTable = (spreadsheetUrl) => {
     spreadsheetId,
   });
 
-  // 元のスプシの「見積もり必要_メンバー」テーブルのデータを取得
-  const estimateMembers = getEstimateRequiredMembers();
   logInfo("Retrieved estimate required members", {
     count: estimateMembers.length,
   });
@@ -1473,7 +2577,10 @@ const updateMembersTable = (spreadsheetUrl) => {
       throw new Error(`Table is empty: ${membersTable.tableName}`);
     }
 
-    const { idxByName, headerVals } = getTableHeaderInfo(membersMeta, values);
+    const { idxByName, idxByNameOrUndefined, headerVals } = getTableHeaderInfo(
+      membersMeta,
+      values
+    );
     logInfo("Members table headers", { header: headerVals });
     const displayNameIdx = idxByName(membersTable.headers.displayName);
     const emailIdx = idxByName(membersTable.headers.email);
@@ -1483,6 +2590,13 @@ const updateMembersTable = (spreadsheetUrl) => {
     const responseStatusIdx = idxByName(
       membersTable.headers.responseStatus
     );
+    // Slack の列は任意（リマインドのメンションに使う。無いテンプレートでは表示名で代用する）
+    const slackMentionIdx = idxByNameOrUndefined(
+      membersTable.headers.slackMention
+    );
+    const slackUserIdIdx = idxByNameOrUndefined(
+      membersTable.headers.slackUserId
+    );
 
     // データ行の開始位置を計算
     const dataStartRow = (membersMeta.range.startRowIndex || 0) + 1; // ヘッダーの次の行（0-based）
@@ -1578,6 +2692,12 @@ const updateMembersTable = (spreadsheetUrl) => {
       row[displayNameIdx] = member.displayName;
       row[emailIdx] = member.email;
       row[responseRequiredIdx] = member.responseRequired;
+      if (slackMentionIdx !== undefined) {
+        row[slackMentionIdx] = member.slackMention;
+      }
+      if (slackUserIdIdx !== undefined) {
+        row[slackUserIdIdx] = member.slackUserId;
+      }
       // 1行目（index === 0）の回答状況には式を、それ以外は空
       row[responseStatusIdx] = (() => {
         if (index !== 0) {
@@ -1660,14 +2780,48 @@ const resultSummaryTable = {
     max: "max",
     minBy: "min by",
     maxBy: "max by",
+    rule: "判定ルール",
+    median: "median",
+    mode: "mode",
+    histogram: "分布",
+    stddev: "標準偏差",
+    skips: "skip 数",
+    responders: "回答者数",
+    extras: "追加の質問",
   },
 };
 
+/** 結果まとめの任意列（テンプレートにある場合だけ書き込む） */
+const RESULT_SUMMARY_OPTIONAL_HEADERS = [
+  resultSummaryTable.headers.rule,
+  resultSummaryTable.headers.median,
+  resultSummaryTable.headers.mode,
+  resultSummaryTable.headers.histogram,
+  resultSummaryTable.headers.stddev,
+  resultSummaryTable.headers.skips,
+  resultSummaryTable.headers.responders,
+  resultSummaryTable.headers.extras,
+];
+
+/** 結果まとめ「ステータス」列の値 */
+const RESULT_STATUS = {
+  estimating: "見積もり中",
+  noAssignee: "必須回答者なし",
+  allSkip: "全員 skip",
+  error: "error",
+  confirmed: "確定",
+  violation: "violation",
+};
+
 /**
  * 指定されたスプレッドシートの「結果まとめ」テーブルを見積もり課題リストのデータで更新
  * @param {string} spreadsheetUrl - 対象スプレッドシートのURL
+ * @param {Array<EstimateIssueRow>} [issues] - 書き込む課題（省略時は見積もり必要_課題リスト全体）
  */
-const updateResultSummaryTable = (spreadsheetUrl) => {
+const updateResultSummaryTable = (
+  spreadsheetUrl,
+  issues = getEstimateIssueList()
+) => {
   // SpreadsheetのURLからIDを抽出
   const spreadsheetId = extractSpreadsheetIdFromUrl(spreadsheetUrl);
 
@@ -1675,8 +2829,7 @@ const updateResultSummaryTable = (spreadsheetUrl) => {
     spreadsheetId,
   });
 
-  // 見積もり課題リストを取得
-  const issueList = getEstimateIssueList().filter(({ title, url }) => title || url);
+  const issueList = issues.filter(({ title, url }) => title || url);
   logInfo("Retrieved estimate issue list", {
     count: issueList.length,
   });
@@ -1772,15 +2925,6 @@ const updateResultSummaryTable = (spreadsheetUrl) => {
     const estimateTargetIdx = idxByName(
       resultSummaryTable.headers.estimateTarget
     );
-    const statusIdx = idxByName(resultSummaryTable.headers.status);
-    const averageIdx = idxByName(resultSummaryTable.headers.average);
-    const responseSummaryIdx = idxByName(
-      resultSummaryTable.headers.responseSummary
-    );
-    const minIdx = idxByName(resultSummaryTable.headers.min);
-    const maxIdx = idxByName(resultSummaryTable.headers.max);
-    const minByIdx = idxByName(resultSummaryTable.headers.minBy);
-    const maxByIdx = idxByName(resultSummaryTable.headers.maxBy);
 
     // データ行の開始位置を計算
     const dataStartRow = (resultSummaryMeta.range.startRowIndex || 0) + 1; // ヘッダーの次の行（0-based）
@@ -1877,179 +3021,11 @@ const updateResultSummaryTable = (spreadsheetUrl) => {
     const columnCount =
       (resultSummaryMeta.range.endColumnIndex || 0) -
       (resultSummaryMeta.range.startColumnIndex || 0);
+    // ステータス以降の列は refreshResultSummary が JS で集計して書き込む
     const dataRows = issueList.map((issue, index) => {
       const row = Array(columnCount).fill("");
       row[idIdx] = `E${index + 1}`;
       row[estimateTargetIdx] = issue.title; // セルにリンクは後で設定
-      row[statusIdx] = `\
-=LET(
-  membersNames, ${membersTable.tableName}[${membersTable.headers.displayName}],
-  membersResponseNecessities, ${membersTable.tableName}[${
-        membersTable.headers.responseRequired
-      }],
-  membersEmails, ${membersTable.tableName}[${membersTable.headers.email}],
-  estimatesEmails, ${formResponsesTable.tableName}[${
-        formResponsesTable.headers.email
-      }],
-  estimatesPoints, ${formResponsesTable.tableName}[E${index + 1}. 見積り値],
-  assigneeCount, COUNTIF(membersResponseNecessities, "必要"),
-  respondedAssigneeCount, SUM(MAP(membersResponseNecessities, membersEmails, LAMBDA(n, e, IF(AND(n="必要", COUNTIF(estimatesEmails, e)), 1, 0)))),
-  respondedMemberCount, SUM(MAP(membersEmails, LAMBDA(e, IF(COUNTIF(estimatesEmails, e), 1, 0)))),
-  IF(
-    assigneeCount > respondedAssigneeCount,
-    "見積もり中",
-    IF(
-      AND(assigneeCount = 0, respondedMemberCount = 0),
-      "必須回答者なし",
-      LET(
-        respondedMemberEstimates, FILTER(estimatesPoints, COUNTIF(membersEmails, estimatesEmails)),
-        noSkipCount, COUNTIF(respondedMemberEstimates, "<>skip"),
-        IF(
-          noSkipCount = 0,
-          "全員 skip",
-          LET(
-            points, FILTER(respondedMemberEstimates, respondedMemberEstimates<>"skip"),
-            keys, {1;2;3;5;8;13;21;34;55;89},
-            pos,  MAP(points, LAMBDA(v, IFERROR(MATCH(v, keys, 0), 0))),
-            IF(
-              SUM(--(pos=0))>0,
-              "error",
-              IF(MAX(pos)-MIN(pos) <= 2, "確定", "violation")
-            )
-          )
-        )
-      )
-    )
-  )
-)
-`;
-      row[averageIdx] = `\
-=LET(
-  membersEmails, ${membersTable.tableName}[${membersTable.headers.email}],
-  estimatesEmails, ${formResponsesTable.tableName}[${
-        formResponsesTable.headers.email
-      }],
-  estimatesPoints, ${formResponsesTable.tableName}[E${index + 1}. 見積り値],
-  respondedNoSkipMemberCount, SUM(MAP(estimatesEmails, estimatesPoints, LAMBDA(email, point, IF(AND(point<>"skip", COUNTIF(membersEmails, email)), 1, 0)))),
-  IF(
-    respondedNoSkipMemberCount = 0,
-    "",
-    ROUND(AVERAGE(FILTER(estimatesPoints, COUNTIF(membersEmails, estimatesEmails), estimatesPoints<>"skip")))
-  )
-)
-`;
-      row[responseSummaryIdx] = `\
-=LET(
-  membersEmails, ${membersTable.tableName}[${membersTable.headers.email}],
-  membersNames,  ${membersTable.tableName}[${membersTable.headers.displayName}],
-  estimatesEmails, ${formResponsesTable.tableName}[${
-        formResponsesTable.headers.email
-      }],
-  estimatesPoints, ${formResponsesTable.tableName}[E${index + 1}. 見積り値],
-  estimatesComments, ${formResponsesTable.tableName}[E${
-        index + 1
-      }. 見積もりの前提、質問],
-  estimatesDisplayNames, MAP(estimatesEmails, LAMBDA(l, IFERROR(INDEX(membersNames, MATCH(l, membersEmails, 0)), l))),
-  respondedMemberCount, SUM(MAP(estimatesEmails, LAMBDA(email, IF(COUNTIF(membersEmails, email), 1, 0)))),
-  IF(
-    respondedMemberCount = 0,
-    "",
-    LET(
-      displayTexts, FILTER(
-        MAP(
-          estimatesDisplayNames,
-          estimatesPoints,
-          estimatesComments,
-          LAMBDA(name, point, comment,
-            SUBSTITUTE(
-              SUBSTITUTE(
-                SUBSTITUTE("（%name%）%point%: %comment%", "%name%", name),
-                "%point%", IF(point = "skip", point, point & "P")
-              ),
-              "%comment%", comment
-            )
-          )
-        ),
-        estimatesEmails <> "dummy"
-      ),
-      TEXTJOIN(CHAR(10) & CHAR(10), TRUE, displayTexts)
-    )
-  )
-)
-`;
-      row[minIdx] = `\
-=LET(
-  membersEmails, ${membersTable.tableName}[${membersTable.headers.email}],
-  estimatesEmails, ${formResponsesTable.tableName}[${
-        formResponsesTable.headers.email
-      }],
-  estimatesPoints, ${formResponsesTable.tableName}[E${index + 1}. 見積り値],
-  respondedNoSkipMemberCount, SUM(MAP(estimatesEmails, estimatesPoints, LAMBDA(email, point, IF(AND(point<>"skip", COUNTIF(membersEmails, email)), 1, 0)))),
-  IF(
-    respondedNoSkipMemberCount = 0,
-    "",
-    MIN(FILTER(estimatesPoints, COUNTIF(membersEmails, estimatesEmails), estimatesPoints<>"skip"))
-  )
-)
-`;
-      row[maxIdx] = `\
-=LET(
-  membersEmails, ${membersTable.tableName}[${membersTable.headers.email}],
-  estimatesEmails, ${formResponsesTable.tableName}[${
-        formResponsesTable.headers.email
-      }],
-  estimatesPoints, ${formResponsesTable.tableName}[E${index + 1}. 見積り値],
-  respondedNoSkipMemberCount, SUM(MAP(estimatesEmails, estimatesPoints, LAMBDA(email, point, IF(AND(point<>"skip", COUNTIF(membersEmails, email)), 1, 0)))),
-  IF(
-    respondedNoSkipMemberCount = 0,
-    "",
-    MAX(FILTER(estimatesPoints, COUNTIF(membersEmails, estimatesEmails), estimatesPoints<>"skip"))
-  )
-)
-`;
-      row[minByIdx] = `\
-=LET(
-  membersEmails, ${membersTable.tableName}[${membersTable.headers.email}],
-  membersNames,  ${membersTable.tableName}[${membersTable.headers.displayName}],
-  estimatesEmails, ${formResponsesTable.tableName}[${
-        formResponsesTable.headers.email
-      }],
-  estimatesPoints, ${formResponsesTable.tableName}[E${index + 1}. 見積り値],
-  respondedNoSkipMemberCount, SUM(MAP(estimatesEmails, estimatesPoints, LAMBDA(email, point, IF(AND(point<>"skip", COUNTIF(membersEmails, email)), 1, 0)))),
-  IF(
-    respondedNoSkipMemberCount = 0,
-    "",
-    LET(
-      value, MIN(FILTER(estimatesPoints, COUNTIF(membersEmails, estimatesEmails), estimatesPoints<>"skip")),
-      nameOrEmptyList, MAP(membersNames, membersEmails, LAMBDA(n, e, IF(COUNTIF(FILTER(estimatesEmails, estimatesPoints = value), e), n, ""))),
-      names, FILTER(nameOrEmptyList, nameOrEmptyList <> ""),
-      TEXTJOIN("、", TRUE, names)
-    )
-  )
-)
-`;
-      row[maxByIdx] = `\
-=LET(
-  membersEmails, ${membersTable.tableName}[${membersTable.headers.email}],
-  membersNames,  ${membersTable.tableName}[${membersTable.headers.displayName}],
-  estimatesEmails, ${formResponsesTable.tableName}[${
-        formResponsesTable.headers.email
-      }],
-  estimatesPoints, ${formResponsesTable.tableName}[E${index + 1}. 見積り値],
-  respondedNoSkipMemberCount, SUM(MAP(estimatesEmails, estimatesPoints, LAMBDA(email, point, IF(AND(point<>"skip", COUNTIF(membersEmails, email)), 1, 0)))),
-  IF(
-    respondedNoSkipMemberCount = 0,
-    "",
-    LET(
-      value, MAX(FILTER(estimatesPoints, COUNTIF(membersEmails, estimatesEmails), estimatesPoints<>"skip")),
-      nameOrEmptyList, MAP(membersNames, membersEmails, LAMBDA(n, e, IF(COUNTIF(FILTER(estimatesEmails, estimatesPoints = value), e), n, ""))),
-      names, FILTER(nameOrEmptyList, nameOrEmptyList <> ""),
-      TEXTJOIN("、", TRUE, names)
-    )
-  )
-)
-`;
-
       return row;
     });
 
@@ -2146,9 +3122,32 @@ const estimateHistoryTable = {
     result: "結果スプシ",
     requestSlack: "依頼 Slack メッセージ",
     completionSlack: "完了 Slack メッセージ",
+    status: "ステータス",
+    reminder: "リマインド Slack メッセージ",
+    slackResult: "Slack 送信結果",
+    folder: "フォルダ",
+    permissionResult: "権限付与結果",
   },
 };
 
+/** 見積もり履歴の任意列（後から追加された列のため、ある場合だけ書き込む） */
+const ESTIMATE_HISTORY_OPTIONAL_HEADERS = [
+  estimateHistoryTable.headers.status,
+  estimateHistoryTable.headers.reminder,
+  estimateHistoryTable.headers.slackResult,
+  estimateHistoryTable.headers.folder,
+  estimateHistoryTable.headers.permissionResult,
+];
+
+/** 見積もり履歴「ステータス」列の値 */
+const ESTIMATE_HISTORY_STATUS = {
+  open: "回答受付中",
+  deadlinePassed: "締切済み",
+  closed: "クローズ済み",
+  cancelled: "キャンセル",
+  archived: "アーカイブ済み",
+};
+
 /**
  * セルにリンクを設定する（表示文字列は値として、リンクは cell に付与）。
  * @param {any} cell
@@ -2164,7 +3163,8 @@ const setCellLink = (cell, text, url) => {
 
 /**
  * リッチテキストの要素
- * @typedef {{type: 'plain', text: string} | {type: 'link', text: string, url: string}} RichTextElement
+ * - mention: Slack のメンション。slackUserId があれば Slack 送信時に実際のメンションにする
+ * @typedef {{type: 'plain', text: string} | {type: 'link', text: string, url: string} | {type: 'mention', text: string, slackUserId: string}} RichTextElement
  */
 
 /** @typedef {{ elements: Array<RichTextElement> }} RichText */
@@ -2215,16 +3215,19 @@ const buildLinkCell = (text, url) =>
 /**
  * テーブルの「データ先頭」（ヘッダー直下）に 1 行挿入し、値を書き込む。
  * - headerRowCount は 1 と仮定（現行UIの標準）
- * @param {{ date: string, midText: string, midUrl: string, formText: string, formUrl: string, resultText: string, resultUrl: string, requestSlackMessage: RichText, completionSlackMessage: RichText }} row
+ * - folderText / folderUrl: 見積もり 1 回分のフォルダ（作らなかった場合は空。フォルダ列が無ければ書き込まない）
+ * @param {{ date: string, midText: string, midUrl: string, formText: string, formUrl: string, resultText: string, resultUrl: string, folderText?: string, folderUrl?: string, requestSlackMessage: RichText, completionSlackMessage: RichText }} row
+ * @param {EstimateTeam} [team] - 書き込む見積もり履歴のチーム
  */
-const addEstimateHistoryTopRow = (row) => {
-  const meta = getTableMetaByName(estimateHistoryTable.tableName);
+const addEstimateHistoryTopRow = (row, team = DEFAULT_TEAM) => {
+  const meta = getTableMetaByName(team.history);
   const {
     sheetId,
     startCol0,
     endCol0,
     dataTop0,
     idxByName,
+    idxByNameOrUndefined,
   } = getTableHeaderInfo(meta);
   const colCount = endCol0 - startCol0;
 
@@ -2236,6 +3239,9 @@ const addEstimateHistoryTopRow = (row) => {
   const idxCompletionSlack = idxByName(
     estimateHistoryTable.headers.completionSlack
   );
+  // ステータス列・フォルダ列は後から追加された列のため、無い場合は書き込まない
+  const idxStatus = idxByNameOrUndefined(estimateHistoryTable.headers.status);
+  const idxFolder = idxByNameOrUndefined(estimateHistoryTable.headers.folder);
 
   /** @type {string[]} */
   const valuesRow = Array(colCount).fill("");
@@ -2246,6 +3252,9 @@ const addEstimateHistoryTopRow = (row) => {
   valuesRow[idxResult] = row.resultText;
   valuesRow[idxRequestSlack] = richTextToString(row.requestSlackMessage);
   valuesRow[idxCompletionSlack] = richTextToString(row.completionSlackMessage);
+  if (idxStatus !== undefined) {
+    valuesRow[idxStatus] = ESTIMATE_HISTORY_STATUS.open;
+  }
 
   // batchUpdate の内容
   // 1) データ先頭に 1 行分のスペースを挿入（テーブル幅に限定）
@@ -2349,6 +3358,22 @@ const addEstimateHistoryTopRow = (row) => {
     },
   ];
 
+  if (idxFolder !== undefined && row.folderText && row.folderUrl) {
+    batchRequests.push({
+      updateCells: {
+        range: {
+          sheetId,
+          startRowIndex: dataTop0,
+          endRowIndex: dataTop0 + 1,
+          startColumnIndex: startCol0 + idxFolder,
+          endColumnIndex: startCol0 + idxFolder + 1,
+        },
+        rows: [{ values: [buildLinkCell(row.folderText, row.folderUrl)] }],
+        fields: "userEnteredValue,textFormatRuns",
+      },
+    });
+  }
+
   if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
     throw new Error("Sheets.Spreadsheets is not available");
   }
@@ -2373,28 +3398,226 @@ const addEstimateHistoryTopRow = (row) => {
   logInfo("addEstimateHistoryTopRow done (unified batch)", { dataTop0, colCount });
 };
 
+/** @typedef {keyof typeof estimateHistoryTable.headers} EstimateHistoryColumnKey */
+
+/**
+ * 見積もり履歴に任意の列があるか（後から追加された列を書き込む前に確かめる）
+ * @param {string} header
+ * @param {EstimateTeam} [team]
+ */
+const hasEstimateHistoryColumn = (header, team = DEFAULT_TEAM) =>
+  getTableHeaderInfo(getTableMetaByName(team.history)).idxByNameOrUndefined(
+    header
+  ) !== undefined;
+
+/**
+ * 見積もり履歴の 1 行。URL は各セルのリンク先。team は行を読んだ見積もり履歴のチーム。
+ * @typedef {{ rowIndex0: number, date: string, midText: string, midUrl: string, formUrl: string, resultText: string, resultUrl: string, folderUrl: string, status: string, slackResult: string, team: EstimateTeam }} EstimateHistoryRow
+ */
+
+/**
+ * 見積もり履歴（テーブル）を読み込み、リンク先 URL を含む行配列を返す。
+ * 先頭挿入で行位置が変わるため、キャッシュせず毎回読み込む。
+ * 中間スプシのリンクが無い行（手入力の行など）は対象外。
+ * @param {EstimateTeam} [team] - 省略時は既定のテーブル
+ * @returns {Array<EstimateHistoryRow>}
+ */
+const getEstimateHistoryRows = (team = DEFAULT_TEAM) => {
+  const spreadsheetId = SpreadsheetApp.getActiveSpreadsheet().getId();
+  const meta = getTableMetaByName(team.history);
+  const cells = readTableCells(spreadsheetId, meta);
+  const header = cells[0];
+  if (!header) {
+    throw new Error(`テーブルが空です: ${team.history}`);
+  }
+
+  const { idxByName, idxByNameOrUndefined } = getTableHeaderInfo(meta, [
+    header.map((c) => c.text),
+  ]);
+  const dateIdx = idxByName(estimateHistoryTable.headers.date);
+  const midIdx = idxByName(estimateHistoryTable.headers.mid);
+  const formIdx = idxByName(estimateHistoryTable.headers.form);
+  const resultIdx = idxByName(estimateHistoryTable.headers.result);
+  const statusIdx = idxByNameOrUndefined(estimateHistoryTable.headers.status);
+  const slackResultIdx = idxByNameOrUndefined(
+    estimateHistoryTable.headers.slackResult
+  );
+  const folderIdx = idxByNameOrUndefined(estimateHistoryTable.headers.folder);
+
+  /** @type {Array<EstimateHistoryRow>} */
+  const rows = [];
+  for (let i = 1; i < cells.length; i++) {
+    const row = cells[i] || [];
+    const midUrl = row[midIdx]?.url ?? "";
+    if (!midUrl) {
+      continue;
+    }
+    rows.push({
+      rowIndex0: meta.range.startRowIndex + i,
+      date: row[dateIdx]?.text ?? "",
+      midText: row[midIdx]?.text ?? "",
+      midUrl,
+      formUrl: row[formIdx]?.url ?? "",
+      resultText: row[resultIdx]?.text ?? "",
+      resultUrl: row[resultIdx]?.url ?? "",
+      folderUrl: folderIdx === undefined ? "" : (row[folderIdx]?.url ?? ""),
+      status: statusIdx === undefined ? "" : (row[statusIdx]?.text ?? ""),
+      slackResult:
+        slackResultIdx === undefined ? "" : (row[slackResultIdx]?.text ?? ""),
+      team,
+    });
+  }
+
+  logInfo(`Loaded table ${team.history}`, {
+    countRows: rows.length,
+    tableId: meta.tableId,
+  });
+  return rows;
+};
+
+/**
+ * 中間スプシの URL で見積もり履歴の行を特定し、指定列の値を上書きする。
+ * RichText を渡した場合はリンクも設定する。任意列が無い場合はその列だけ書き込まない。
+ * @param {string} midUrl
+ * @param {Partial<Record<EstimateHistoryColumnKey, string|RichText>>} values
+ * @param {EstimateTeam} [team] - 行のある見積もり履歴のチーム
+ */
+const updateEstimateHistoryRow = (midUrl, values, team = DEFAULT_TEAM) => {
+  const target = getEstimateHistoryRows(team).find((r) => r.midUrl === midUrl);
+  if (!target) {
+    throw new Error(`${team.history} に該当する行がありません: ${midUrl}`);
+  }
+  const meta = getTableMetaByName(team.history);
+  const { sheetId, startCol0, idxByName, idxByNameOrUndefined } =
+    getTableHeaderInfo(meta);
+
+  /** @type {Array<GoogleAppsScript.Sheets.Schema.Request>} */
+  const requests = [];
+  for (const [key, value] of Object.entries(values)) {
+    const header =
+      estimateHistoryTable.headers[
+        /** @type {EstimateHistoryColumnKey} */ (key)
+      ];
+    const idx = ESTIMATE_HISTORY_OPTIONAL_HEADERS.includes(header)
+      ? idxByNameOrUndefined(header)
+      : idxByName(header);
+    if (idx === undefined) {
+      logInfo(`No ${header} column in ${team.history}, skipping`, { midUrl });
+      continue;
+    }
+    const col0 = startCol0 + idx;
+    requests.push({
+      updateCells: {
+        range: {
+          sheetId,
+          startRowIndex: target.rowIndex0,
+          endRowIndex: target.rowIndex0 + 1,
+          startColumnIndex: col0,
+          endColumnIndex: col0 + 1,
+        },
+        rows: [
+          {
+            values: [
+              typeof value === "string"
+                ? { userEnteredValue: { stringValue: value } }
+                : richTextToCell(value),
+            ],
+          },
+        ],
+        fields: "userEnteredValue,textFormatRuns",
+      },
+    });
+  }
+  if (!requests.length) {
+    return;
+  }
+
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  Sheets.Spreadsheets.batchUpdate(
+    { requests },
+    SpreadsheetApp.getActiveSpreadsheet().getId()
+  );
+  logInfo(`Updated ${team.history} row`, {
+    midUrl,
+    rowIndex0: target.rowIndex0,
+    columns: Object.keys(values),
+  });
+};
+
+/**
+ * 中間スプシの URL で見積もり履歴の行を特定し、行ごと削除する
+ * @param {string} midUrl
+ * @param {EstimateTeam} [team] - 行のある見積もり履歴のチーム
+ */
+const deleteEstimateHistoryRow = (midUrl, team = DEFAULT_TEAM) => {
+  const target = getEstimateHistoryRows(team).find((r) => r.midUrl === midUrl);
+  if (!target) {
+    throw new Error(`${team.history} に該当する行がありません: ${midUrl}`);
+  }
+  const meta = getTableMetaByName(team.history);
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  // 同じシートの隣に別チームのテーブルがあり得るため、行全体ではなくテーブルの列だけを詰める
+  Sheets.Spreadsheets.batchUpdate(
+    {
+      requests: [
+        {
+          deleteRange: {
+            range: {
+              sheetId: meta.sheetId,
+              startRowIndex: target.rowIndex0,
+              endRowIndex: target.rowIndex0 + 1,
+              startColumnIndex: meta.range.startColumnIndex,
+              endColumnIndex: meta.range.endColumnIndex,
+            },
+            shiftDimension: "ROWS",
+          },
+        },
+      ],
+    },
+    SpreadsheetApp.getActiveSpreadsheet().getId()
+  );
+  logInfo(`Deleted ${team.history} row`, {
+    midUrl,
+    rowIndex0: target.rowIndex0,
+  });
+};
+
 /** ===== 追加: 見積もり必要_課題リスト ローダ =================== */
 const estimateIssueListTable = {
   tableName: "見積もり必要_課題リスト",
   headers: {
     title: "タイトル",
     url: "URL",
+    summary: "概要",
+    acceptanceCriteria: "受け入れ条件",
+    labels: "ラベル",
+    links: "関連リンク",
   },
 };
 
-/** @typedef {{ title: string, url: string }} EstimateIssueRow */
-/** @type {Array<EstimateIssueRow>|undefined} */
-let _estimateIssueListCache = undefined;
+/**
+ * 概要・受け入れ条件・ラベル・関連リンクは任意列（Form のセクションの説明に載せる）
+ * @typedef {{ title: string, url: string, summary?: string, acceptanceCriteria?: string, labels?: string, links?: string }} EstimateIssueRow
+ */
+/** @type {Map<string, Array<EstimateIssueRow>>} */
+const _estimateIssueListCache = new Map();
 
 /**
  * 見積もり必要_課題リスト（テーブル）を読み込み、行配列を返す。
+ * @param {EstimateTeam} [team] - 省略時は既定のテーブル
  * @returns {Array<EstimateIssueRow>}
  */
-const getEstimateIssueList = () => {
-  if (_estimateIssueListCache) {
-    return _estimateIssueListCache;
+const getEstimateIssueList = (team = DEFAULT_TEAM) => {
+  const tableName = team.issues;
+  const cached = _estimateIssueListCache.get(tableName);
+  if (cached) {
+    return cached;
   }
-  const meta = getTableMetaByName(estimateIssueListTable.tableName);
+  const meta = getTableMetaByName(tableName);
   const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const spreadsheetId = ss.getId();
@@ -2404,11 +3627,20 @@ const getEstimateIssueList = () => {
   const vr = Sheets.Spreadsheets.Values.get(spreadsheetId, a1);
   const values = vr.values || [];
   if (!values.length || !values[0]) {
-    throw new Error("テーブルが空です: 見積もり必要_課題リスト");
+    throw new Error(`テーブルが空です: ${tableName}`);
   }
-  const { idxByName } = getTableHeaderInfo(meta, values);
+  const { idxByName, idxByNameOrUndefined } = getTableHeaderInfo(meta, values);
   const titleIdx = idxByName(estimateIssueListTable.headers.title);
   const urlIdx = idxByName(estimateIssueListTable.headers.url);
+  // 任意列。無ければ空
+  const summaryIdx = idxByNameOrUndefined(
+    estimateIssueListTable.headers.summary
+  );
+  const acceptanceCriteriaIdx = idxByNameOrUndefined(
+    estimateIssueListTable.headers.acceptanceCriteria
+  );
+  const labelsIdx = idxByNameOrUndefined(estimateIssueListTable.headers.labels);
+  const linksIdx = idxByNameOrUndefined(estimateIssueListTable.headers.links);
 
   /** @type {Array<EstimateIssueRow>} */
   const rows = [];
@@ -2416,6 +3648,8 @@ const getEstimateIssueList = () => {
     const row = values[i] || [];
     const title = String(row[titleIdx] ?? "").trim();
     const url = String(row[urlIdx] ?? "").trim();
+    const optionalCell = (/** @type {number|undefined} */ idx) =>
+      idx === undefined ? "" : String(row[idx] ?? "").trim();
 
     if (!title && !url) {
       continue;
@@ -2424,11 +3658,15 @@ const getEstimateIssueList = () => {
     rows.push({
       title,
       url,
+      summary: optionalCell(summaryIdx),
+      acceptanceCriteria: optionalCell(acceptanceCriteriaIdx),
+      labels: optionalCell(labelsIdx),
+      links: optionalCell(linksIdx),
     });
   }
 
-  _estimateIssueListCache = rows;
-  logInfo("Loaded table 見積もり必要_課題リスト", {
+  _estimateIssueListCache.set(tableName, rows);
+  logInfo(`Loaded table ${tableName}`, {
     a1,
     countRows: rows.length,
     tableId: meta.tableId,
@@ -2436,50 +3674,268 @@ const getEstimateIssueList = () => {
   return rows;
 };
 
-/** ===== 追加: 見積もり必要_締切 ローダ =================== */
-const estimateDeadlineTable = {
-  tableName: "見積もり必要_締切",
+/** ===== 追加: 見積もり必要_チーム ローダ =================== */
+const estimateTeamsTable = {
+  tableName: "見積もり必要_チーム",
   headers: {
-    dueDate: "締切日",
+    name: "チーム",
+    templates: "テンプレート",
+    poMembers: "POグループ",
+    members: "メンバー",
+    issues: "課題リスト",
+    history: "見積もり履歴",
   },
 };
 
-/** @typedef {{ dueDate: string }} EstimateDeadlineRow */
-/** @type {Array<EstimateDeadlineRow>|undefined} */
-let _estimateDeadlineCache = undefined;
+/**
+ * チームごとに読み書きするテーブルの名前（いずれも操作用スプレッドシート内のテーブル）
+ * @typedef {{ name: string, templates: string, poMembers: string, members: string, issues: string, history: string }} EstimateTeam
+ */
 
 /**
- * 見積もり必要_締切（テーブル）を読み込み、行配列を返す（常に長さ1を想定）
- * @returns {Array<EstimateDeadlineRow>}
+ * 見積もり必要_チーム が無い場合（単一チーム）のテーブル。
+ * 見積もり必要_チーム の空欄の列もこのテーブル名になる。
+ * @type {EstimateTeam}
  */
-const getEstimateDeadlines = () => {
-  if (_estimateDeadlineCache) {
-    return _estimateDeadlineCache;
-  }
-  const meta = getTableMetaByName(estimateDeadlineTable.tableName);
-  const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const spreadsheetId = ss.getId();
-  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
-    throw new Error("Sheets.Spreadsheets is not available");
-  }
-  const vr = Sheets.Spreadsheets.Values.get(spreadsheetId, a1);
-  const values = vr.values || [];
-  if (!values.length || !values[0]) {
-    throw new Error("テーブルが空です: 見積もり必要_締切");
-  }
+const DEFAULT_TEAM = {
+  name: "",
+  templates: estimateTemplatesTable.tableName,
+  poMembers: poGroupMembersTable.tableName,
+  members: estimateRequiredMembersTable.tableName,
+  issues: estimateIssueListTable.tableName,
+  history: estimateHistoryTable.tableName,
+};
 
-  const { idxByName } = getTableHeaderInfo(meta, values);
-  const dueIdx = idxByName(estimateDeadlineTable.headers.dueDate);
+/** @type {Array<EstimateTeam>|undefined} */
+let _estimateTeamsCache = undefined;
 
-  /** @type {Array<EstimateDeadlineRow>} */
-  const rows = [];
+/**
+ * 見積もり必要_チーム の値（ヘッダー行を含む）をチームの配列にする
+ * @param {Array<Array<any>>} values
+ * @param {Record<keyof typeof estimateTeamsTable.headers, number>} idx - 列インデックス
+ * @returns {Array<EstimateTeam>}
+ */
+const parseEstimateTeamRows = (values, idx) => {
+  /** @type {(row: Array<any>, i: number) => string} */
+  const cell = (row, i) => String(row[i] ?? "").trim();
+  /** @type {Array<EstimateTeam>} */
+  const teams = [];
   for (let i = 1; i < values.length; i++) {
     const row = values[i] || [];
-    const due = String(row[dueIdx] ?? "").trim();
-    rows.push({ dueDate: due });
-  }
-
+    const name = cell(row, idx.name);
+    if (!name) {
+      continue;
+    }
+    if (teams.some((t) => t.name === name)) {
+      throw new Error(
+        `見積もり必要_チーム のチーム名が重複しています: ${name}`
+      );
+    }
+    teams.push({
+      name,
+      templates: cell(row, idx.templates) || DEFAULT_TEAM.templates,
+      poMembers: cell(row, idx.poMembers) || DEFAULT_TEAM.poMembers,
+      members: cell(row, idx.members) || DEFAULT_TEAM.members,
+      issues: cell(row, idx.issues) || DEFAULT_TEAM.issues,
+      history: cell(row, idx.history) || DEFAULT_TEAM.history,
+    });
+  }
+  if (!teams.length) {
+    throw new Error("見積もり必要_チーム にチームがありません");
+  }
+  return teams;
+};
+
+/**
+ * 見積もり必要_チーム（テーブル）を読み込む。
+ * 任意のテーブルのため、存在しない場合は既定のテーブルを使う 1 チームとして扱う。
+ * @returns {Array<EstimateTeam>}
+ */
+const getEstimateTeams = () => {
+  if (_estimateTeamsCache) {
+    return _estimateTeamsCache;
+  }
+  const spreadsheetId = SpreadsheetApp.getActiveSpreadsheet().getId();
+  const meta = findTableMetaInSpreadsheet(
+    spreadsheetId,
+    estimateTeamsTable.tableName
+  );
+  if (!meta) {
+    _estimateTeamsCache = [DEFAULT_TEAM];
+    return _estimateTeamsCache;
+  }
+  const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  const vr = Sheets.Spreadsheets.Values.get(spreadsheetId, a1);
+  const values = vr.values || [];
+  if (!values.length || !values[0]) {
+    throw new Error("テーブルが空です: 見積もり必要_チーム");
+  }
+
+  const { idxByName } = getTableHeaderInfo(meta, values);
+  const teams = parseEstimateTeamRows(values, {
+    name: idxByName(estimateTeamsTable.headers.name),
+    templates: idxByName(estimateTeamsTable.headers.templates),
+    poMembers: idxByName(estimateTeamsTable.headers.poMembers),
+    members: idxByName(estimateTeamsTable.headers.members),
+    issues: idxByName(estimateTeamsTable.headers.issues),
+    history: idxByName(estimateTeamsTable.headers.history),
+  });
+
+  _estimateTeamsCache = teams;
+  logInfo("Loaded table 見積もり必要_チーム", {
+    a1,
+    teams: teams.map((t) => t.name),
+    tableId: meta.tableId,
+  });
+  return teams;
+};
+
+/**
+ * チーム名からチームを引く。名前が空ならチームが 1 つの場合に限りそのチーム。
+ * @param {string} name
+ * @returns {EstimateTeam}
+ */
+const getEstimateTeamByName = (name) => {
+  const teams = getEstimateTeams();
+  if (!name) {
+    const [only] = teams;
+    if (teams.length !== 1 || !only) {
+      throw new Error("チームを指定してください");
+    }
+    return only;
+  }
+  const team = teams.find((t) => t.name === name);
+  if (!team) {
+    throw new Error(`見積もり必要_チーム に見つかりません: ${name}`);
+  }
+  return team;
+};
+
+/**
+ * 全チームの見積もり履歴の行。見積もり履歴を共有するチームは最初のチームとして読む。
+ * @returns {Array<EstimateHistoryRow>}
+ */
+const getAllEstimateHistoryRows = () => {
+  /** @type {Set<string>} */
+  const seen = new Set();
+  /** @type {Array<EstimateHistoryRow>} */
+  const rows = [];
+  for (const team of getEstimateTeams()) {
+    if (seen.has(team.history)) {
+      continue;
+    }
+    seen.add(team.history);
+    rows.push(...getEstimateHistoryRows(team));
+  }
+  return rows;
+};
+
+/**
+ * 中間スプシの URL で全チームの見積もり履歴から行を探す
+ * @param {string} midUrl
+ * @returns {EstimateHistoryRow|undefined}
+ */
+const findEstimateHistoryRow = (midUrl) =>
+  getAllEstimateHistoryRows().find((r) => r.midUrl === midUrl);
+
+/**
+ * 選択ダイアログ等に出すラベル。チーム名があれば先頭に付ける。
+ * @param {string} teamName
+ * @param {string} text
+ * @returns {string}
+ */
+const withTeamLabel = (teamName, text) =>
+  teamName ? `[${teamName}] ${text}` : text;
+
+tests.push({
+  name: "teams:parse",
+  failMessage: "見積もり必要_チーム の解釈が不正です",
+  check: () => {
+    const idx = {
+      name: 0,
+      templates: 1,
+      poMembers: 2,
+      members: 3,
+      issues: 4,
+      history: 5,
+    };
+    const header = Object.values(estimateTeamsTable.headers);
+    const teams = parseEstimateTeamRows(
+      [
+        header,
+        ["A", "A_テンプレート", "A_PO", "A_メンバー", "A_課題", "A_履歴"],
+        ["", "", "", "", "", ""],
+        ["B", "", "", "B_メンバー"],
+      ],
+      idx
+    );
+    let duplicateRejected = false;
+    try {
+      parseEstimateTeamRows([header, ["A"], ["A"]], idx);
+    } catch (_e) {
+      duplicateRejected = true;
+    }
+    const b = teams[1];
+    return (
+      teams.length === 2 &&
+      teams[0]?.history === "A_履歴" &&
+      b?.members === "B_メンバー" &&
+      b.templates === DEFAULT_TEAM.templates &&
+      b.history === DEFAULT_TEAM.history &&
+      withTeamLabel(b.name, "x") === "[B] x" &&
+      withTeamLabel(DEFAULT_TEAM.name, "x") === "x" &&
+      duplicateRejected
+    );
+  },
+});
+
+/** ===== 追加: 見積もり必要_締切 ローダ =================== */
+const estimateDeadlineTable = {
+  tableName: "見積もり必要_締切",
+  headers: {
+    dueDate: "締切日",
+  },
+};
+
+/** @typedef {{ dueDate: string }} EstimateDeadlineRow */
+/** @type {Array<EstimateDeadlineRow>|undefined} */
+let _estimateDeadlineCache = undefined;
+
+/**
+ * 見積もり必要_締切（テーブル）を読み込み、行配列を返す（常に長さ1を想定）
+ * @returns {Array<EstimateDeadlineRow>}
+ */
+const getEstimateDeadlines = () => {
+  if (_estimateDeadlineCache) {
+    return _estimateDeadlineCache;
+  }
+  const meta = getTableMetaByName(estimateDeadlineTable.tableName);
+  const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const spreadsheetId = ss.getId();
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  const vr = Sheets.Spreadsheets.Values.get(spreadsheetId, a1);
+  const values = vr.values || [];
+  if (!values.length || !values[0]) {
+    throw new Error("テーブルが空です: 見積もり必要_締切");
+  }
+
+  const { idxByName } = getTableHeaderInfo(meta, values);
+  const dueIdx = idxByName(estimateDeadlineTable.headers.dueDate);
+
+  /** @type {Array<EstimateDeadlineRow>} */
+  const rows = [];
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i] || [];
+    const due = String(row[dueIdx] ?? "").trim();
+    rows.push({ dueDate: due });
+  }
+
   _estimateDeadlineCache = rows;
   logInfo("Loaded table 見積もり必要_締切", {
     a1,
@@ -2508,366 +3964,6713 @@ tests.push({
   },
 });
 
-// 行数が常に 1 であること
+// 行数が常に 1 であること（見積もり必要_ラウンド を使う場合は問わない）
 tests.push({
   name: "estimate_deadline:length1",
   failMessage: "行数が 1 ではありません",
-  check: () => getEstimateDeadlines().length === 1,
+  check: () =>
+    getEstimateRounds() !== undefined || getEstimateDeadlines().length === 1,
 });
 
-/** ===== テストランナー ================================= */
-/** @typedef {{ names?: string[] | undefined }} RunTestsCoreInput */
-
-/** @param {RunTestsCoreInput} [input] 指定時はその名前だけ実行 */
-const runTestsCore = (input) => {
-  const names = input?.names;
-  /** @type {Array<TestCase>} */
-  const selected =
-    Array.isArray(names) && names.length
-      ? tests.filter((t) => names.includes(t.name))
-      : tests.slice();
-
-  if (Array.isArray(names) && names.length) {
-    const known = new Set(selected.map((t) => t.name));
-    const unknown = names.filter((n) => !known.has(n));
-    if (unknown.length) {
-      logWarn("unknown test names", { unknown });
-    }
-  }
-
-  /** @type {Array<TestResult>} */
-  const results = [];
-
-  for (const tc of selected) {
-    const t0 = Date.now();
-    try {
-      const ok = tc.check() === true;
-      const ms = Date.now() - t0;
-      results.push({
-        name: tc.name,
-        ok,
-        message: ok ? "" : tc.failMessage,
-        ms,
-      });
-      logInfo(`[TEST] ${ok ? "PASS" : "FAIL"} - ${tc.name}`, {
-        ms,
-        message: ok ? undefined : tc.failMessage,
-      });
-    } catch (err) {
-      const e = err instanceof Error ? err : new Error(String(err));
-      const ms = Date.now() - t0;
-      results.push({
-        name: tc.name,
-        ok: false,
-        message: `${tc.failMessage} :: ${e.message}`,
-        ms,
-      });
-      logError(`[TEST] EXCEPTION - ${tc.name}`, { ms, error: e.message });
-    }
-  }
-
-  const pass = results.filter((r) => r.ok).length;
-  const fail = results.length - pass;
-  logInfo("[TEST] summary", { total: results.length, pass, fail });
+/** ===== 追加: 見積もり必要_ラウンド ローダ =================== */
+const estimateRoundsTable = {
+  tableName: "見積もり必要_ラウンド",
+  headers: {
+    title: "タイトル",
+    dueDate: "締切日",
+    issues: "課題",
+    members: "メンバー",
+    anonymous: "匿名",
+    status: "ステータス",
+    team: "チーム",
+  },
+};
 
-  return results;
+/** 見積もり必要_ラウンド「ステータス」列の値（空欄は未発行として扱う） */
+const ROUND_STATUS = {
+  pending: "未発行",
+  issued: "発行済み",
 };
 
+/**
+ * 見積もり必要_ラウンド の 1 行。
+ * - issueKeys: 対象課題のタイトルまたは URL（空なら課題リスト全体）
+ * - memberKeys: 対象メンバーの表示名またはメールアドレス（空ならメンバー全員）
+ * - anonymous: 匿名列が空なら undefined（見積もり必要_設定 に従う）
+ * - teamName: 見積もり必要_チーム のチーム名（任意列。空ならチームが 1 つの場合のみ可）
+ * @typedef {{ rowIndex0: number, title: string, dueDate: string, issueKeys: Array<string>, memberKeys: Array<string>, anonymous: boolean|undefined, status: string, teamName: string }} EstimateRound
+ */
 
-/** ===== Google Form セクション操作機能 =================== */
+/**
+ * カンマ・読点・改行区切りのセルを配列にする
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const splitListCell = (text) =>
+  text
+    .split(/[,、\n]/)
+    .map((v) => v.trim())
+    .filter((v) => v);
 
 /**
- * Google FormのURLからFormオブジェクトを取得
- * @param {string} formUrl - Google FormのURL
- * @returns {any} - Formオブジェクト
+ * チェックボックス等の真偽値セルを解釈する。空欄は undefined。
+ * @param {string} text
+ * @returns {boolean|undefined}
  */
-const getFormFromUrl = (formUrl) => {
-  const formId = extractFormIdFromUrl(formUrl);
-  return FormApp.openById(formId);
+const parseBooleanCell = (text) => {
+  const v = text.trim().toLowerCase();
+  if (!v) {
+    return undefined;
+  }
+  return v === "true" || v === "はい" || v === "1";
 };
 
 /**
- * Formのタイトルと見積もり課題セクションを課題リストに基づいてセットアップ
- * @param {string} formUrl - Google FormのURL
- * @param {string} title - フォームのタイトル
- * @param {Array<EstimateIssueRow>} issueList - 見積もり課題リスト
+ * 見積もり必要_ラウンド（テーブル）を読み込む。発行すると行のステータスが変わるため、キャッシュしない。
+ * 任意のテーブルのため、存在しない場合は undefined（見積もり必要_締切 の 1 行を使う）。
+ * @returns {Array<EstimateRound>|undefined}
  */
-const setupFormSections = (formUrl, title, issueList) => {
-  const form = getFormFromUrl(formUrl);
-
-  // 1. フォームタイトルを設定
-  form.setTitle(title);
-  logInfo("Updated form title", { title });
-
-  const targetCount = issueList.length;
-
-  let items = form.getItems();
-
-  logInfo("Initial form structure analysis", {
-    totalItems: items.length,
-    targetCount,
-    issueListCount: issueList.length,
-  });
-
-  // 3. PAGE_BREAKを探し、2つ目以降があれば削除
-  let pageBreakIndices = [];
-  for (let i = 0; i < items.length; i++) {
-    if (items[i].getType() === FormApp.ItemType.PAGE_BREAK) {
-      pageBreakIndices.push(i);
-    }
+const getEstimateRounds = () => {
+  const spreadsheetId = SpreadsheetApp.getActiveSpreadsheet().getId();
+  const meta = findTableMetaInSpreadsheet(
+    spreadsheetId,
+    estimateRoundsTable.tableName
+  );
+  if (!meta) {
+    return undefined;
   }
-
-  if (pageBreakIndices.length === 0) {
-    throw new Error("No PAGE_BREAK found in form");
+  const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
   }
-
-  const firstPageBreakIndex = pageBreakIndices[0];
-  if (firstPageBreakIndex === undefined) {
-    throw new Error("No PAGE_BREAK found");
+  const vr = Sheets.Spreadsheets.Values.get(spreadsheetId, a1);
+  const values = vr.values || [];
+  if (!values.length || !values[0]) {
+    throw new Error("テーブルが空です: 見積もり必要_ラウンド");
   }
-  const secondPageBreakIndex = pageBreakIndices[1];
 
-  // 2つ目以降のPAGE_BREAKとそれ以降のアイテムを削除
-  if (pageBreakIndices.length > 1) {
-    logInfo("Removing extra PAGE_BREAK items", {
-      extraPageBreaks: pageBreakIndices.length - 1,
-      firstPageBreakIndex,
-      secondPageBreakIndex,
-    });
+  const { idxByName, idxByNameOrUndefined } = getTableHeaderInfo(meta, values);
+  const titleIdx = idxByName(estimateRoundsTable.headers.title);
+  const dueIdx = idxByName(estimateRoundsTable.headers.dueDate);
+  const issuesIdx = idxByName(estimateRoundsTable.headers.issues);
+  const membersIdx = idxByName(estimateRoundsTable.headers.members);
+  const statusIdx = idxByName(estimateRoundsTable.headers.status);
+  const anonymousIdx = idxByNameOrUndefined(
+    estimateRoundsTable.headers.anonymous
+  );
+  const teamIdx = idxByNameOrUndefined(estimateRoundsTable.headers.team);
 
-    if (secondPageBreakIndex !== undefined) {
-      // 後ろから削除（インデックスがずれないように）
-      for (let i = items.length - 1; i >= secondPageBreakIndex; i--) {
-        form.deleteItem(i);
-      }
+  /** @type {Array<EstimateRound>} */
+  const rows = [];
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i] || [];
+    const title = String(row[titleIdx] ?? "").trim();
+    const dueDate = String(row[dueIdx] ?? "").trim();
+    if (!title && !dueDate) {
+      continue;
     }
-
-    // アイテムリストを再取得
-    items = form.getItems();
+    rows.push({
+      rowIndex0: meta.range.startRowIndex + i,
+      title,
+      dueDate,
+      issueKeys: splitListCell(String(row[issuesIdx] ?? "")),
+      memberKeys: splitListCell(String(row[membersIdx] ?? "")),
+      anonymous:
+        anonymousIdx === undefined
+          ? undefined
+          : parseBooleanCell(String(row[anonymousIdx] ?? "")),
+      status: String(row[statusIdx] ?? "").trim() || ROUND_STATUS.pending,
+      teamName: teamIdx === undefined ? "" : String(row[teamIdx] ?? "").trim(),
+    });
   }
 
-  const expectedStructure = [
-    FormApp.ItemType.PAGE_BREAK,
-    FormApp.ItemType.PARAGRAPH_TEXT,
-    FormApp.ItemType.LIST,
-  ];
+  logInfo("Loaded table 見積もり必要_ラウンド", {
+    a1,
+    countRows: rows.length,
+    tableId: meta.tableId,
+  });
+  return rows;
+};
 
-  // 2. PAGE_BREAK後の構造を検証
-  if (items.length < firstPageBreakIndex + expectedStructure.length) {
-    throw new Error(
-      `Expected at least ${
-        expectedStructure.length
-      } items after PAGE_BREAK, but found ${
-        items.length - firstPageBreakIndex - 1
-      }`
-    );
+/**
+ * キー（タイトル/URL、表示名/メールアドレス等）で行を絞り込む。キーが空なら全行。
+ * 一致しないキーがあれば例外にする（入力ミスで対象が欠けないように）。
+ * @template T
+ * @param {Array<T>} rows
+ * @param {Array<string>} keys
+ * @param {(row: T) => Array<string>} keysOf - 行が一致するキーの候補
+ * @param {string} label - エラーメッセージ用の対象名
+ * @returns {Array<T>}
+ */
+const filterRowsByKeys = (rows, keys, keysOf, label) => {
+  if (!keys.length) {
+    return rows;
+  }
+  const unknown = keys.filter((k) => !rows.some((r) => keysOf(r).includes(k)));
+  if (unknown.length) {
+    throw new Error(`${label}に見つかりません: ${unknown.join(", ")}`);
   }
+  return rows.filter((r) => keysOf(r).some((k) => keys.includes(k)));
+};
 
-  for (let i = 0; i < expectedStructure.length; i++) {
-    const actualType = items[firstPageBreakIndex + i].getType();
-    const expectedType = expectedStructure[i];
-    if (actualType !== expectedType) {
-      throw new Error(
-        `Invalid structure at index ${
-          firstPageBreakIndex + i
-        }: expected ${expectedType}, but found ${actualType}`
-      );
-    }
+/**
+ * ラウンドの対象の課題・メンバーで createEstimateFromTemplates のオプションを作る
+ * @param {EstimateRound} round
+ * @param {Array<EstimateIssueRow>} issues - チームの見積もり必要_課題リスト
+ * @param {Array<EstimateRequiredMemberRow>} members - チームの見積もり必要_メンバー
+ * @param {EstimateTeam} [team] - ラウンドのチーム
+ * @returns {CreateEstimateOptions}
+ */
+const buildRoundCreateOptions = (
+  round,
+  issues,
+  members,
+  team = DEFAULT_TEAM
+) => {
+  /** @type {CreateEstimateOptions} */
+  const options = {
+    title: round.title,
+    team,
+    issues: filterRowsByKeys(
+      issues,
+      round.issueKeys,
+      (i) => [i.title, i.url],
+      team.issues
+    ),
+    members: filterRowsByKeys(
+      members,
+      round.memberKeys,
+      (m) => [m.displayName, m.email],
+      team.members
+    ),
+  };
+  if (round.anonymous !== undefined) {
+    options.anonymous = round.anonymous;
+  }
+  return options;
+};
+
+/**
+ * ラウンドの行のステータスを更新する
+ * @param {EstimateRound} round
+ * @param {string} status
+ */
+const updateRoundStatus = (round, status) => {
+  const meta = getTableMetaByName(estimateRoundsTable.tableName);
+  const { sheetId, startCol0, idxByName } = getTableHeaderInfo(meta);
+  const col0 = startCol0 + idxByName(estimateRoundsTable.headers.status);
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  Sheets.Spreadsheets.batchUpdate(
+    {
+      requests: [
+        {
+          updateCells: {
+            range: {
+              sheetId,
+              startRowIndex: round.rowIndex0,
+              endRowIndex: round.rowIndex0 + 1,
+              startColumnIndex: col0,
+              endColumnIndex: col0 + 1,
+            },
+            rows: [{ values: [{ userEnteredValue: { stringValue: status } }] }],
+            fields: "userEnteredValue",
+          },
+        },
+      ],
+    },
+    SpreadsheetApp.getActiveSpreadsheet().getId()
+  );
+  logInfo("Updated 見積もり必要_ラウンド status", {
+    title: round.title,
+    status,
+  });
+};
+
+/**
+ * ラウンドを発行する計画を作る。計画を実行するとラウンドは発行済みになる。
+ * @param {EstimateRound} round
+ * @returns {EstimatePlan}
+ */
+const buildRoundEstimatePlan = (round) => {
+  if (!round.dueDate) {
+    throw new Error(`締切日が設定されていません: ${round.title}`);
   }
+  const team = getEstimateTeamByName(round.teamName);
+  const options = buildRoundCreateOptions(
+    round,
+    getEstimateIssueList(team),
+    getEstimateRequiredMembers(team),
+    team
+  );
+  return { ...buildEstimatePlan(round.dueDate, options), round };
+};
 
-  const expectedTotalItems = firstPageBreakIndex + expectedStructure.length;
-  if (items.length !== expectedTotalItems) {
+/**
+ * 計画を作ったときのラウンドを、読み直したラウンドから探す（タイトルとチームで一致させる）。
+ * プレビューから発行までの間に発行済みになった・消された・行がずれた場合に備える。
+ * @param {Array<EstimateRound>} rounds - 読み直した 見積もり必要_ラウンド
+ * @param {EstimateRound} planned - 計画に保存したラウンド
+ * @returns {EstimateRound} 未発行のラウンド（rowIndex0 は読み直した行）
+ */
+const findPendingRoundForPlan = (rounds, planned) => {
+  const round = rounds.find(
+    (r) => r.title === planned.title && r.teamName === planned.teamName
+  );
+  if (!round) {
     throw new Error(
-      `Expected exactly ${expectedTotalItems} items, but found ${items.length}`
+      `${estimateRoundsTable.tableName}にラウンドが見つかりません: ${planned.title}`
     );
   }
+  if (round.status !== ROUND_STATUS.pending) {
+    throw new Error(`ラウンドは既に${round.status}です: ${planned.title}`);
+  }
+  return round;
+};
 
-  logInfo("Template structure validated", {
-    firstPageBreakIndex,
-    templateItems: expectedStructure.length,
-  });
-
-  // 3. テンプレートアイテムを取得（PAGE_BREAK, PARAGRAPH_TEXT, LIST）
-  const templateSectionHeaderLikeItem = items[firstPageBreakIndex];
-  const templatePremiseItem = items[firstPageBreakIndex + 1];
-  const templateEstimateItem = items[firstPageBreakIndex + 2];
+tests.push({
+  name: "rounds:pending_for_plan",
+  failMessage: "プレビューした計画のラウンドの読み直しが不正です",
+  check: () => {
+    /** @type {(rowIndex0: number, title: string, status: string) => EstimateRound} */
+    const round = (rowIndex0, title, status) => ({
+      rowIndex0,
+      title,
+      dueDate: "2025-09-05",
+      issueKeys: [],
+      memberKeys: [],
+      anonymous: undefined,
+      status,
+      teamName: "",
+    });
+    const planned = round(2, "9/5 検索", ROUND_STATUS.pending);
+    /** @type {(rounds: Array<EstimateRound>) => string} */
+    const result = (rounds) => {
+      try {
+        return String(findPendingRoundForPlan(rounds, planned).rowIndex0);
+      } catch (_e) {
+        return "error";
+      }
+    };
+    return (
+      // 上に行が追加されて行がずれた
+      result([
+        round(1, "9/1 ログイン", ROUND_STATUS.pending),
+        round(2, "9/3 一覧", ROUND_STATUS.issued),
+        round(3, "9/5 検索", ROUND_STATUS.pending),
+      ]) === "3" &&
+      result([round(2, "9/5 検索", ROUND_STATUS.issued)]) === "error" &&
+      result([round(2, "9/3 一覧", ROUND_STATUS.pending)]) === "error"
+    );
+  },
+});
 
-  // 4. 必要な数だけセットを複製（既に1セットあるので、targetCount - 1 回追加）
-  const setsToAdd = targetCount - 1;
+tests.push({
+  name: "rounds:options",
+  failMessage: "ラウンドの課題・メンバーの絞り込みが不正です",
+  check: () => {
+    const issues = [
+      { title: "ログイン", url: "https://example.com/issues/1" },
+      { title: "検索", url: "https://example.com/issues/2" },
+    ];
+    /** @type {Array<EstimateRequiredMemberRow>} */
+    const members = [
+      {
+        displayName: "Alice",
+        email: "a@example.com",
+        responseRequired: /** @type {"必要"} */ ("必要"),
+        slackMention: "",
+        slackUserId: "",
+        type: "user",
+      },
+      {
+        displayName: "Bob",
+        email: "b@example.com",
+        responseRequired: /** @type {"不要"} */ ("不要"),
+        slackMention: "",
+        slackUserId: "",
+        type: "user",
+      },
+    ];
+    /** @type {EstimateRound} */
+    const round = {
+      rowIndex0: 1,
+      title: "9/5 検索",
+      dueDate: "2025-09-05",
+      issueKeys: splitListCell("https://example.com/issues/2"),
+      memberKeys: splitListCell("Alice、b@example.com"),
+      anonymous: parseBooleanCell("TRUE"),
+      status: ROUND_STATUS.pending,
+      teamName: "",
+    };
+    const options = buildRoundCreateOptions(round, issues, members);
+    let unknownRejected = false;
+    try {
+      buildRoundCreateOptions(
+        { ...round, issueKeys: ["存在しない課題"] },
+        issues,
+        members
+      );
+    } catch (_e) {
+      unknownRejected = true;
+    }
+    return (
+      options.title === "9/5 検索" &&
+      options.issues?.map((i) => i.title).join(",") === "検索" &&
+      options.members?.length === 2 &&
+      options.anonymous === true &&
+      !(
+        "anonymous" in
+        buildRoundCreateOptions(
+          { ...round, anonymous: undefined },
+          issues,
+          members
+        )
+      ) &&
+      unknownRejected &&
+      parseBooleanCell("") === undefined &&
+      parseBooleanCell("FALSE") === false
+    );
+  },
+});
 
-  logInfo("Adding estimate section sets", { setsToAdd });
+/** ===== 追加: 見積もり必要_スケール ローダ =================== */
+const estimateScaleTable = {
+  tableName: "見積もり必要_スケール",
+  headers: {
+    value: "値",
+    kind: "種別",
+  },
+};
 
-  for (let i = 0; i < setsToAdd; i++) {
-    templateSectionHeaderLikeItem.duplicate();
-    templatePremiseItem.duplicate();
-    templateEstimateItem.duplicate();
-  }
+/** 見積もり必要_スケール「種別」列の値（空欄は見積もり値として扱う） */
+const SCALE_KIND = {
+  point: "見積もり",
+  skip: "skip",
+};
 
-  logInfo("Successfully duplicated estimate sections", {
-    setsAdded: setsToAdd,
-    totalSets: targetCount,
-  });
+/** @typedef {{ values: Array<string>, skipTokens: Array<string> }} EstimateScale */
 
-  // アイテムリストを再取得
-  items = form.getItems();
+/**
+ * 見積もり必要_スケール が無い場合のスケール（フィボナッチ数列と skip）
+ * @type {EstimateScale}
+ */
+const DEFAULT_ESTIMATE_SCALE = {
+  values: ["1", "2", "3", "5", "8", "13", "21", "34", "55", "89"],
+  skipTokens: ["skip"],
+};
 
-  for (let i = 0; i < targetCount; i++) {
-    const sectionStartIndex =
-      firstPageBreakIndex + i * expectedStructure.length;
-    const sectionHeaderLikeItem = items[sectionStartIndex];
-    const premiseItem = items[sectionStartIndex + 1];
-    const estimateItem = items[sectionStartIndex + 2];
+/** @type {EstimateScale|undefined} */
+let _estimateScaleCache = undefined;
 
-    // 課題リストから対応する課題情報を取得
-    const issue = issueList[i];
-    if (!issue) {
-      throw new Error(`No issue found for section index ${i}`);
+/**
+ * 見積もり必要_スケール の値（ヘッダー行を含む）をスケールに変換する。
+ * 見積もり値は行の順序が小さい順。
+ * @param {Array<Array<unknown>>} values
+ * @param {number} valueIdx
+ * @param {number} kindIdx
+ * @returns {EstimateScale}
+ */
+const parseEstimateScaleRows = (values, valueIdx, kindIdx) => {
+  /** @type {EstimateScale} */
+  const scale = { values: [], skipTokens: [] };
+  /** @type {Set<string>} */
+  const seen = new Set();
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i] || [];
+    const value = String(row[valueIdx] ?? "").trim();
+    const kind = String(row[kindIdx] ?? "").trim() || SCALE_KIND.point;
+    if (!value) {
+      continue;
     }
+    if (seen.has(value)) {
+      throw new Error(`見積もり必要_スケール の値が重複しています: ${value}`);
+    }
+    seen.add(value);
+    if (kind === SCALE_KIND.point) {
+      scale.values.push(value);
+    } else if (kind === SCALE_KIND.skip) {
+      scale.skipTokens.push(value);
+    } else {
+      logWarn("invalid kind value in 見積もり必要_スケール", {
+        row: i + 1,
+        value,
+        kind,
+      });
+    }
+  }
+  if (!scale.values.length) {
+    throw new Error("見積もり必要_スケール に見積もり値がありません");
+  }
+  return scale;
+};
 
-    sectionHeaderLikeItem.setTitle(issue.url);
-    premiseItem.setTitle(`E${i + 1}. 見積もりの前提、質問`);
-    estimateItem.setTitle(`E${i + 1}. 見積り値`);
-
-    logInfo(`Updated section ${i + 1} titles`, {
-      sectionIndex: i + 1,
-      issueTitle: issue.title,
-      issueUrl: issue.url,
-    });
+/**
+ * 見積もり必要_スケール（テーブル）を読み込む。
+ * 任意のテーブルのため、存在しない場合は DEFAULT_ESTIMATE_SCALE を返す。
+ * @returns {EstimateScale}
+ */
+const getEstimateScale = () => {
+  if (_estimateScaleCache) {
+    return _estimateScaleCache;
+  }
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const spreadsheetId = ss.getId();
+  const meta = findTableMetaInSpreadsheet(
+    spreadsheetId,
+    estimateScaleTable.tableName
+  );
+  if (!meta) {
+    logInfo("Table 見積もり必要_スケール not found, using defaults");
+    _estimateScaleCache = DEFAULT_ESTIMATE_SCALE;
+    return _estimateScaleCache;
+  }
+  const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  const vr = Sheets.Spreadsheets.Values.get(spreadsheetId, a1);
+  const values = vr.values || [];
+  if (!values.length || !values[0]) {
+    throw new Error("テーブルが空です: 見積もり必要_スケール");
   }
 
-  // シートとの同期を待つ
-  Utilities.sleep(2000);
+  const { idxByName } = getTableHeaderInfo(meta, values);
+  const scale = parseEstimateScaleRows(
+    values,
+    idxByName(estimateScaleTable.headers.value),
+    idxByName(estimateScaleTable.headers.kind)
+  );
 
-  logInfo("Successfully updated all section titles with issue URLs", {
-    totalSections: targetCount,
+  _estimateScaleCache = scale;
+  logInfo("Loaded table 見積もり必要_スケール", {
+    a1,
+    values: scale.values,
+    skipTokens: scale.skipTokens,
+    tableId: meta.tableId,
   });
+  return scale;
 };
 
-/** ===== 追加: 見積もり必要_デバッグ ローダ =================== */
-const estimateDebugTable = {
-  tableName: "見積もり必要_デバッグ",
+/**
+ * Form の LIST の選択肢（見積もり値 → skip の順）
+ * @param {EstimateScale} scale
+ * @returns {Array<string>}
+ */
+const getScaleChoices = (scale) => [...scale.values, ...scale.skipTokens];
+
+/**
+ * 全ての見積もり値が数値のスケールか（平均・min・max を値で計算できるか）
+ * @param {EstimateScale} scale
+ * @returns {boolean}
+ */
+const isNumericScale = (scale) =>
+  scale.values.every((v) => /^-?\d+(\.\d+)?$/.test(v));
+
+tests.push({
+  name: "estimate_scale:parse",
+  failMessage: "見積もり必要_スケール の解釈が不正です",
+  check: () => {
+    const tShirt = parseEstimateScaleRows(
+      [
+        ["値", "種別"],
+        ["S", ""],
+        ["M", "見積もり"],
+        ["L", "見積もり"],
+        ["?", "skip"],
+        ["", ""],
+      ],
+      0,
+      1
+    );
+    let duplicateRejected = false;
+    try {
+      parseEstimateScaleRows([["値", "種別"], ["1"], ["1"]], 0, 1);
+    } catch (_e) {
+      duplicateRejected = true;
+    }
+    return (
+      getScaleChoices(tShirt).join(",") === "S,M,L,?" &&
+      !isNumericScale(tShirt) &&
+      isNumericScale(DEFAULT_ESTIMATE_SCALE) &&
+      duplicateRejected
+    );
+  },
+});
+
+/** ===== 追加: 見積もり必要_追加質問 ローダ =================== */
+const estimateExtraQuestionsTable = {
+  tableName: "見積もり必要_追加質問",
   headers: {
-    key: "key",
-    value: "value",
+    title: "質問",
+    kind: "種類",
+    choices: "選択肢",
+    required: "必須",
   },
 };
 
-/** @typedef {Record<string,string>} EstimateDebugMap */
-/** @type {EstimateDebugMap|undefined} */
-let _estimateDebugCache = undefined;
+/** 見積もり必要_追加質問「種類」列の値 */
+const EXTRA_QUESTION_KIND = {
+  choice: "選択",
+  checkbox: "チェックボックス",
+  yesNo: "はい・いいえ",
+};
+
+/** 種類が はい・いいえ の質問の選択肢 */
+const YES_NO_CHOICES = ["はい", "いいえ"];
 
 /**
- * 見積もり必要_デバッグ（テーブル）を読み込み、key-value マップを返す。
- * @returns {EstimateDebugMap}
+ * 課題ごとに見積もり値の後に聞く質問。title は Form での質問のタイトル。
+ * @typedef {{ title: string, kind: string, choices: Array<string>, required: boolean }} ExtraQuestion
  */
-const getEstimateDebugMap = () => {
-  if (_estimateDebugCache) {
-    return _estimateDebugCache;
+
+/** @type {Array<ExtraQuestion>|undefined} */
+let _estimateExtraQuestionsCache = undefined;
+
+/**
+ * 見積もり必要_追加質問 の値（ヘッダー行を含む）を質問の配列にする。
+ * 種類が不正な行、選択肢の無い行、見積もりの列と同じ名前の行は読み飛ばす。
+ * @param {Array<Array<unknown>>} values
+ * @param {{ title: number, kind: number, choices: number, required: number|undefined }} idx
+ * @returns {Array<ExtraQuestion>}
+ */
+const parseExtraQuestionRows = (values, idx) => {
+  const reserved = ["見積り値", "見積もりの前提、質問"];
+  /** @type {Array<ExtraQuestion>} */
+  const questions = [];
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i] || [];
+    const title = String(row[idx.title] ?? "").trim();
+    const kind = String(row[idx.kind] ?? "").trim();
+    if (!title) {
+      continue;
+    }
+    const choices =
+      kind === EXTRA_QUESTION_KIND.yesNo
+        ? YES_NO_CHOICES
+        : splitListCell(String(row[idx.choices] ?? ""));
+    const invalid = !Object.values(EXTRA_QUESTION_KIND).includes(kind)
+      ? "kind"
+      : !choices.length
+        ? "choices"
+        : reserved.includes(title) || questions.some((q) => q.title === title)
+          ? "title"
+          : "";
+    if (invalid) {
+      logWarn(
+        `invalid ${invalid} in ${estimateExtraQuestionsTable.tableName}`,
+        {
+          row: i + 1,
+          title,
+          kind,
+        }
+      );
+      continue;
+    }
+    const required =
+      idx.required === undefined
+        ? undefined
+        : parseBooleanCell(String(row[idx.required] ?? ""));
+    questions.push({ title, kind, choices, required: required ?? false });
+  }
+  return questions;
+};
+
+/**
+ * 見積もり必要_追加質問（テーブル）を読み込む。
+ * 任意のテーブルのため、存在しない場合は追加の質問なし。
+ * @returns {Array<ExtraQuestion>}
+ */
+const getEstimateExtraQuestions = () => {
+  if (_estimateExtraQuestionsCache) {
+    return _estimateExtraQuestionsCache;
+  }
+  const spreadsheetId = SpreadsheetApp.getActiveSpreadsheet().getId();
+  const meta = findTableMetaInSpreadsheet(
+    spreadsheetId,
+    estimateExtraQuestionsTable.tableName
+  );
+  if (!meta) {
+    _estimateExtraQuestionsCache = [];
+    return _estimateExtraQuestionsCache;
   }
-  const meta = getTableMetaByName(estimateDebugTable.tableName);
   const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const spreadsheetId = ss.getId();
   if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
-    throw new Error(
-      "Advanced Sheets API is not enabled. Please enable it in the Google Apps Script project."
-    );
+    throw new Error("Sheets.Spreadsheets is not available");
   }
   const vr = Sheets.Spreadsheets.Values.get(spreadsheetId, a1);
   const values = vr.values || [];
   if (!values.length || !values[0]) {
-    throw new Error("テーブルが空です: 見積もり必要_デバッグ");
+    throw new Error(
+      `テーブルが空です: ${estimateExtraQuestionsTable.tableName}`
+    );
   }
 
-  const { idxByName } = getTableHeaderInfo(meta, values);
-  const keyIdx = idxByName(estimateDebugTable.headers.key);
-  const valueIdx = idxByName(estimateDebugTable.headers.value);
+  const { idxByName, idxByNameOrUndefined } = getTableHeaderInfo(meta, values);
+  const h = estimateExtraQuestionsTable.headers;
+  const questions = parseExtraQuestionRows(values, {
+    title: idxByName(h.title),
+    kind: idxByName(h.kind),
+    choices: idxByName(h.choices),
+    // 任意列。無ければ全て任意回答
+    required: idxByNameOrUndefined(h.required),
+  });
 
-  /** @type {EstimateDebugMap} */
-  const map = {};
-  for (let i = 1; i < values.length; i++) {
-    const row = values[i] || [];
-    const k = String(row[keyIdx] ?? "").trim();
-    const v = String(row[valueIdx] ?? "").trim();
-    if (!k) {
-      continue;
+  _estimateExtraQuestionsCache = questions;
+  logInfo(`Loaded table ${estimateExtraQuestionsTable.tableName}`, {
+    a1,
+    questions: questions.map((q) => q.title),
+    tableId: meta.tableId,
+  });
+  return questions;
+};
+
+tests.push({
+  name: "extra_questions:parse",
+  failMessage: "見積もり必要_追加質問 の解釈が不正です",
+  check: () => {
+    const questions = parseExtraQuestionRows(
+      [
+        ["質問", "種類", "選択肢", "必須"],
+        ["確信度", "選択", "高、中、低", "TRUE"],
+        ["リスク", "チェックボックス", "外部連携, データ移行", ""],
+        ["分割すべき？", "はい・いいえ", "", ""],
+        ["見積り値", "選択", "a", ""],
+        ["自由記述", "記述", "", ""],
+        ["担当", "選択", "", ""],
+        ["", "", "", ""],
+      ],
+      { title: 0, kind: 1, choices: 2, required: 3 }
+    );
+    return (
+      questions
+        .map((q) => `${q.title}:${q.choices.join("/")}:${q.required}`)
+        .join(",") ===
+      "確信度:高/中/低:true,リスク:外部連携/データ移行:false,分割すべき？:はい/いいえ:false"
+    );
+  },
+});
+
+/** ===== 追加: 確定の判定ルール =================== */
+
+/**
+ * 確定 / violation の判定ルール。
+ * isConsensus は skip 以外の回答について確定なら true を返す
+ * （positions: スケール上の位置、numbers: 数値のスケールは値、それ以外は位置）。
+ * @typedef {{
+ *   defaultThreshold?: number,
+ *   describe: (threshold: number) => string,
+ *   isConsensus: (threshold: number, positions: Array<number>, numbers: Array<number>) => boolean,
+ * }} ConsensusRuleDefinition
+ */
+
+/**
+ * 値ごとの出現回数（最初に出現した順）
+ * @template T
+ * @param {Array<T>} items
+ * @returns {Map<T, number>}
+ */
+const countBy = (items) => {
+  /** @type {Map<T, number>} */
+  const counts = new Map();
+  for (const item of items) {
+    counts.set(item, (counts.get(item) ?? 0) + 1);
+  }
+  return counts;
+};
+
+/**
+ * 平均値。空の場合は NaN
+ * @param {Array<number>} numbers
+ * @returns {number}
+ */
+const mean = (numbers) =>
+  numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+
+/**
+ * 中央値（偶数個の場合は中央 2 つの平均）。空の場合は NaN
+ * @param {Array<number>} numbers
+ * @returns {number}
+ */
+const median = (numbers) => {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? (sorted[mid] ?? NaN)
+    : ((sorted[mid - 1] ?? NaN) + (sorted[mid] ?? NaN)) / 2;
+};
+
+/**
+ * 母標準偏差（スプレッドシートの STDEVP と同じ）。空の場合は NaN
+ * @param {Array<number>} numbers
+ * @returns {number}
+ */
+const standardDeviation = (numbers) => {
+  const m = mean(numbers);
+  return Math.sqrt(mean(numbers.map((n) => (n - m) ** 2)));
+};
+
+/** @type {Record<string, ConsensusRuleDefinition>} */
+const CONSENSUS_RULES = {
+  // スケール上の位置の差（従来の判定。既定 2）
+  "index-spread": {
+    defaultThreshold: 2,
+    describe: (n) => `スケール上の差が ${n} 以内`,
+    isConsensus: (n, positions) =>
+      Math.max(...positions) - Math.min(...positions) <= n,
+  },
+  // しきい値は使わない
+  "all-equal": {
+    defaultThreshold: 0,
+    describe: () => "全員が同じ値",
+    isConsensus: (_n, positions) => new Set(positions).size <= 1,
+  },
+  // 最も多い値の回答者の割合（%）
+  majority: {
+    defaultThreshold: 50,
+    describe: (n) => `最も多い値が ${n}% 以上`,
+    isConsensus: (n, positions) =>
+      Math.max(...countBy(positions).values()) * 100 >= n * positions.length,
+  },
+  // 標準偏差（母標準偏差）
+  stddev: {
+    describe: (n) => `標準偏差が ${n} 以下`,
+    isConsensus: (n, _positions, numbers) => standardDeviation(numbers) <= n,
+  },
+};
+
+const DEFAULT_CONSENSUS_RULE = "index-spread";
+
+/** @typedef {{ name: string, threshold: number, label: string, definition: ConsensusRuleDefinition }} ConsensusRule */
+
+/**
+ * 判定ルール名としきい値の設定値からルールを解決する
+ * @param {string|undefined} name - 未設定なら DEFAULT_CONSENSUS_RULE
+ * @param {string|undefined} thresholdText - 未設定ならルールの既定値
+ * @returns {ConsensusRule}
+ */
+const resolveConsensusRule = (name, thresholdText) => {
+  const ruleName = name ?? DEFAULT_CONSENSUS_RULE;
+  const definition = CONSENSUS_RULES[ruleName];
+  if (!definition) {
+    throw new Error(
+      `${SETTING_KEYS.consensusRule} が不正です: ${ruleName}（${Object.keys(
+        CONSENSUS_RULES
+      ).join(" / ")}）`
+    );
+  }
+  const threshold =
+    thresholdText === undefined
+      ? definition.defaultThreshold
+      : Number(thresholdText);
+  if (threshold === undefined) {
+    throw new Error(
+      `${ruleName} には ${SETTING_KEYS.consensusThreshold} の設定が必要です`
+    );
+  }
+  if (!Number.isFinite(threshold) || threshold < 0) {
+    throw new Error(
+      `${SETTING_KEYS.consensusThreshold} は 0 以上の数で指定してください: ${thresholdText}`
+    );
+  }
+  return {
+    name: ruleName,
+    threshold,
+    label: `${ruleName}: ${definition.describe(threshold)}`,
+    definition,
+  };
+};
+
+/**
+ * 判定ルールの設定値（ルール名, しきい値）を選ぶ。
+ * チーム名を接頭辞にしたキー（例: "チームA:consensus-rule"）があればそのチームの設定を使い、
+ * しきい値も同じ接頭辞のキーから読む（全体の設定のしきい値は別のルール向けのことがあるため混ぜない）。
+ * @param {(key: string) => string|undefined} get - getEstimateSetting
+ * @param {string} teamName
+ * @returns {[string|undefined, string|undefined]}
+ */
+const pickConsensusSettings = (get, teamName) => {
+  const prefix = teamName ? `${teamName}:` : "";
+  if (prefix && get(prefix + SETTING_KEYS.consensusRule) !== undefined) {
+    return [
+      get(prefix + SETTING_KEYS.consensusRule),
+      get(prefix + SETTING_KEYS.consensusThreshold),
+    ];
+  }
+  return [
+    get(SETTING_KEYS.consensusRule),
+    get(SETTING_KEYS.consensusThreshold),
+  ];
+};
+
+/**
+ * 見積もり必要_設定 のチームの判定ルール
+ * @param {EstimateTeam} [team]
+ * @returns {ConsensusRule}
+ */
+const getConsensusRule = (team = DEFAULT_TEAM) =>
+  resolveConsensusRule(...pickConsensusSettings(getEstimateSetting, team.name));
+
+tests.push({
+  name: "consensus:resolve",
+  failMessage: "判定ルールの解決が不正です",
+  check: () => {
+    const spread = resolveConsensusRule(undefined, undefined);
+    const majority = resolveConsensusRule("majority", "75");
+    /** @type {Record<string, string>} */
+    const settings = {
+      "consensus-rule": "majority",
+      "consensus-threshold": "75",
+      "チームA:consensus-rule": "stddev",
+      "チームA:consensus-threshold": "1",
+    };
+    /** @param {string} teamName */
+    const teamSettings = (teamName) =>
+      pickConsensusSettings((key) => settings[key], teamName).join(",");
+    /** @param {() => unknown} fn */
+    const throws = (fn) => {
+      try {
+        fn();
+        return false;
+      } catch (_e) {
+        return true;
+      }
+    };
+    return (
+      spread.name === "index-spread" &&
+      spread.threshold === 2 &&
+      spread.definition.isConsensus(2, [2, 4], []) &&
+      !spread.definition.isConsensus(2, [2, 5], []) &&
+      majority.label === "majority: 最も多い値が 75% 以上" &&
+      majority.definition.isConsensus(75, [1, 1, 1, 3], []) &&
+      !majority.definition.isConsensus(75, [1, 1, 3, 3], []) &&
+      resolveConsensusRule("all-equal", undefined).definition.isConsensus(
+        0,
+        [3, 3],
+        []
+      ) &&
+      resolveConsensusRule("stddev", "1.5").definition.isConsensus(
+        1.5,
+        [],
+        [3, 5]
+      ) &&
+      throws(() => resolveConsensusRule("stddev", undefined)) &&
+      throws(() => resolveConsensusRule("unknown", undefined)) &&
+      throws(() => resolveConsensusRule("majority", "abc")) &&
+      teamSettings("チームA") === "stddev,1" &&
+      teamSettings("チームB") === "majority,75" &&
+      teamSettings("") === "majority,75"
+    );
+  },
+});
+
+/** ===== 追加: 結果まとめの集計 =================== */
+
+/** Form_Responses のダミー行のメールアドレス */
+const FORM_RESPONSES_DUMMY_EMAIL = "dummy";
+
+/** @typedef {{ displayName: string, email: string, responseRequired: string }} SummaryMember */
+/**
+ * Form_Responses の 1 人分の回答。extras は課題 ID -> 追加の質問 -> 回答（見積もり必要_追加質問）。
+ * @typedef {{ email: string, points: Record<string, string>, premises: Record<string, string>, extras: Record<string, Record<string, string>> }} FormResponseRow
+ */
+/**
+ * 課題 1 件分の集計結果（結果まとめの列に対応）。値が無い列は空文字。
+ * @typedef {{
+ *   status: string, average: number|string, responseSummary: string, min: number|string, max: number|string, minBy: string, maxBy: string,
+ *   median: number|string, mode: string, histogram: string, stddev: number|string, skips: number, responders: number, extras: string,
+ * }} ResultSummaryValues
+ */
+
+/**
+ * 課題 1 件分の回答を集計する。
+ * - ステータスの判定は回答要否が「必要」のメンバー全員が回答してから
+ * - average / min / max / min by / max by はメンバーの skip 以外の回答から
+ * - 回答まとめはメンバー以外も含む全回答（メンバー以外は表示名の代わりにメールアドレス）
+ * - 匿名モード（pseudonyms あり）では回答まとめを仮名で書き、min by / max by は空にする
+ * @param {string} issueId - 結果まとめの ID（E1, E2, ...）
+ * @param {Array<SummaryMember>} members - 中間スプシのメンバー
+ * @param {Array<FormResponseRow>} responses - ダミー行を除いた回答（1 人 1 行）
+ * @param {EstimateScale} scale
+ * @param {ConsensusRule} rule
+ * @param {Map<string, string>} [pseudonyms] - 匿名モードのメールアドレス -> 仮名
+ * @param {Array<string>} [checkboxQuestions] - 種類がチェックボックスの追加の質問（選択肢ごとに数える）
+ * @returns {ResultSummaryValues}
+ */
+const summarizeIssueResponses = (
+  issueId,
+  members,
+  responses,
+  scale,
+  rule,
+  pseudonyms,
+  checkboxQuestions = []
+) => {
+  const nameByEmail = new Map(members.map((m) => [m.email, m.displayName]));
+  /** @param {string} email */
+  const displayNameOf = (email) =>
+    pseudonyms
+      ? (pseudonyms.get(email) ?? ANONYMOUS_OUTSIDER_NAME)
+      : (nameByEmail.get(email) ?? email);
+  const respondedEmails = new Set(responses.map((r) => r.email));
+  const memberResponses = responses.filter((r) => nameByEmail.has(r.email));
+  /** @param {FormResponseRow} r */
+  const pointOf = (r) => r.points[issueId] ?? "";
+  /**
+   * 追加の質問への空でない回答（質問, 回答）
+   * @param {FormResponseRow} r
+   */
+  const extrasOf = (r) =>
+    Object.entries(r.extras[issueId] ?? {}).filter(([, v]) => v);
+  /** @param {string} point */
+  const isSkip = (point) => scale.skipTokens.includes(point);
+
+  const numeric = isNumericScale(scale);
+  const pointSuffix = numeric ? "P" : "";
+  const responseSummary = memberResponses.length
+    ? responses
+        .map((r) => {
+          const point = pointOf(r);
+          const name = displayNameOf(r.email);
+          const pointText = isSkip(point) ? point : `${point}${pointSuffix}`;
+          const extraText = extrasOf(r)
+            .map(([question, answer]) => `${question}: ${answer}`)
+            .join(" / ");
+          return `（${name}）${pointText}: ${r.premises[issueId] ?? ""}${
+            extraText ? `\n${extraText}` : ""
+          }`;
+        })
+        .join("\n\n")
+    : "";
+
+  // 数値のスケールは値、それ以外はスケール上の位置で比較・平均する
+  /** @param {string} point */
+  const rankOf = (point) => {
+    if (!point) {
+      return NaN;
+    }
+    if (numeric) {
+      return Number(point);
+    }
+    const idx = scale.values.indexOf(point);
+    return idx === -1 ? NaN : idx;
+  };
+  /** @param {number} rank */
+  const rankToValue = (rank) =>
+    numeric ? rank : (scale.values[Math.round(rank)] ?? "");
+  const ranked = memberResponses
+    .filter((r) => !isSkip(pointOf(r)))
+    .map((r) => ({ email: r.email, rank: rankOf(pointOf(r)) }))
+    .filter((r) => Number.isFinite(r.rank));
+  /** @param {number} rank */
+  const namesWithRank = (rank) =>
+    members
+      .filter((m) => ranked.some((r) => r.email === m.email && r.rank === rank))
+      .map((m) => m.displayName)
+      .join("、");
+
+  // 分布: スケール順の「値×人数」、skip は末尾
+  const rankCounts = [...countBy(ranked.map((r) => r.rank))].sort(
+    ([a], [b]) => a - b
+  );
+  const skipCounts = countBy(
+    memberResponses.map(pointOf).filter((p) => isSkip(p))
+  );
+  const histogram = [
+    ...rankCounts.map(([rank, n]) => `${rankToValue(rank)}×${n}`),
+    ...scale.skipTokens
+      .filter((t) => skipCounts.has(t))
+      .map((t) => `${t}×${skipCounts.get(t)}`),
+  ].join(", ");
+
+  // 追加の質問: 質問ごとの「回答×人数」（メンバーの回答のみ）
+  // チェックボックスの回答は「, 」区切りで届くため、選択肢ごとに数える
+  const questions = [
+    ...new Set(memberResponses.flatMap((r) => extrasOf(r).map(([q]) => q))),
+  ];
+  const extras = questions
+    .map((question) => {
+      const answers = memberResponses.map(
+        (r) => r.extras[issueId]?.[question] ?? ""
+      );
+      const counts = countBy(
+        checkboxQuestions.includes(question)
+          ? answers.flatMap(splitListCell)
+          : answers.filter((v) => v)
+      );
+      return `${question}: ${[...counts]
+        .map(([answer, n]) => `${answer}×${n}`)
+        .join(", ")}`;
+    })
+    .join(" / ");
+
+  /** @type {Omit<ResultSummaryValues, "status">} */
+  const stats = {
+    responseSummary,
+    average: "",
+    min: "",
+    max: "",
+    minBy: "",
+    maxBy: "",
+    median: "",
+    mode: "",
+    histogram,
+    stddev: "",
+    skips: [...skipCounts.values()].reduce((sum, n) => sum + n, 0),
+    responders: memberResponses.length,
+    extras,
+  };
+  if (ranked.length) {
+    const ranks = ranked.map((r) => r.rank);
+    const minRank = Math.min(...ranks);
+    const maxRank = Math.max(...ranks);
+    const modeCount = Math.max(...rankCounts.map(([, n]) => n));
+    stats.median = rankToValue(median(ranks));
+    stats.mode = rankCounts
+      .filter(([, n]) => n === modeCount)
+      .map(([rank]) => rankToValue(rank))
+      .join("、");
+    stats.stddev = Math.round(standardDeviation(ranks) * 100) / 100;
+    stats.average = numeric
+      ? Math.round(mean(ranks))
+      : rankToValue(mean(ranks));
+    stats.min = rankToValue(minRank);
+    stats.max = rankToValue(maxRank);
+    if (!pseudonyms) {
+      stats.minBy = namesWithRank(minRank);
+      stats.maxBy = namesWithRank(maxRank);
+    }
+  }
+
+  const assignees = members.filter((m) => m.responseRequired === "必要");
+  if (assignees.some((m) => !respondedEmails.has(m.email))) {
+    return { status: RESULT_STATUS.estimating, ...stats };
+  }
+  if (!assignees.length && !memberResponses.length) {
+    return { status: RESULT_STATUS.noAssignee, ...stats };
+  }
+  const points = memberResponses.map(pointOf).filter((p) => !isSkip(p));
+  if (!points.length) {
+    return { status: RESULT_STATUS.allSkip, ...stats };
+  }
+  const positions = points.map((p) => scale.values.indexOf(p));
+  if (positions.some((p) => p < 0)) {
+    return { status: RESULT_STATUS.error, ...stats };
+  }
+  const numbers = numeric ? points.map(Number) : positions;
+  const status = rule.definition.isConsensus(rule.threshold, positions, numbers)
+    ? RESULT_STATUS.confirmed
+    : RESULT_STATUS.violation;
+  return { status, ...stats };
+};
+
+/**
+ * Form_Responses の値（ヘッダー行を含む）を回答の配列にする。
+ * ダミー行とメールアドレスが空の行は除き、同じメールアドレスは後の行を採用する。
+ * @param {Array<Array<unknown>>} values
+ * @returns {Array<FormResponseRow>}
+ */
+const parseFormResponsesValues = (values) => {
+  const header = (values[0] || []).map((v) => String(v).trim());
+  const emailIdx = header.indexOf(formResponsesTable.headers.email);
+  if (emailIdx === -1) {
+    throw new Error(`ヘッダー未検出: ${formResponsesTable.headers.email}`);
+  }
+  // 「E1. 見積り値」「E1. 見積もりの前提、質問」以外の「E1. ○○」は追加の質問の列
+  /** @type {Array<{ idx: number, issueId: string, kind: "point"|"premise"|"extra", question: string }>} */
+  const issueColumns = [];
+  for (let idx = 0; idx < header.length; idx++) {
+    const m = (header[idx] ?? "").match(/^(E\d+)\. (.+)$/);
+    if (m && m[1] && m[2]) {
+      issueColumns.push({
+        idx,
+        issueId: m[1],
+        kind:
+          m[2] === "見積り値"
+            ? "point"
+            : m[2] === "見積もりの前提、質問"
+              ? "premise"
+              : "extra",
+        question: m[2],
+      });
+    }
+  }
+
+  /** @type {Map<string, FormResponseRow>} */
+  const byEmail = new Map();
+  for (const row of values.slice(1)) {
+    const email = String(row[emailIdx] ?? "").trim();
+    if (!email || email === FORM_RESPONSES_DUMMY_EMAIL) {
+      continue;
+    }
+    /** @type {FormResponseRow} */
+    const response = { email, points: {}, premises: {}, extras: {} };
+    for (const { idx, issueId, kind, question } of issueColumns) {
+      const value = String(row[idx] ?? "").trim();
+      if (kind === "point") {
+        response.points[issueId] = value;
+      } else if (kind === "premise") {
+        response.premises[issueId] = value;
+      } else {
+        response.extras[issueId] = {
+          ...response.extras[issueId],
+          [question]: value,
+        };
+      }
+    }
+    byEmail.delete(email);
+    byEmail.set(email, response);
+  }
+  return [...byEmail.values()];
+};
+
+/**
+ * 中間スプシの Form_Responses を読み込む
+ * @param {string} midUrl
+ * @returns {Array<FormResponseRow>}
+ */
+const getFormResponses = (midUrl) => {
+  const spreadsheetId = extractSpreadsheetIdFromUrl(midUrl);
+  const meta = getTableMetaInSpreadsheet(
+    spreadsheetId,
+    formResponsesTable.tableName
+  );
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  const values =
+    Sheets.Spreadsheets.Values.get(
+      spreadsheetId,
+      gridRangeToA1(meta.range, meta.sheetTitle)
+    ).values || [];
+  if (!values.length || !values[0]) {
+    throw new Error(`Table is empty: ${formResponsesTable.tableName}`);
+  }
+  return parseFormResponsesValues(values);
+};
+
+/** @typedef {keyof ResultSummaryValues | "rule"} ResultSummaryValueKey */
+/** @typedef {ResultSummaryValues & { id: string, title: string }} ResultSummaryResult */
+
+/**
+ * 中間スプシの Form_Responses とメンバーから「結果まとめ」の各行を集計し、値として書き込む。
+ * ID と見積もり対象の列はそのまま。判定ルールや統計の任意列はテンプレートにある場合のみ。
+ * @param {string} midUrl - 中間スプシの URL
+ * @param {EstimateTeam} [team] - 判定ルールを読むチーム
+ * @returns {Array<ResultSummaryResult>} 集計結果
+ */
+const refreshResultSummary = (midUrl, team = DEFAULT_TEAM) => {
+  const spreadsheetId = extractSpreadsheetIdFromUrl(midUrl);
+  const meta = getTableMetaInSpreadsheet(
+    spreadsheetId,
+    resultSummaryTable.tableName
+  );
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  const values =
+    Sheets.Spreadsheets.Values.get(
+      spreadsheetId,
+      gridRangeToA1(meta.range, meta.sheetTitle)
+    ).values || [];
+  if (!values.length || !values[0]) {
+    throw new Error(`Table is empty: ${resultSummaryTable.tableName}`);
+  }
+  const { sheetId, startCol0, dataTop0, idxByName, idxByNameOrUndefined } =
+    getTableHeaderInfo(meta, values);
+  const idIdx = idxByName(resultSummaryTable.headers.id);
+  const titleIdx = idxByName(resultSummaryTable.headers.estimateTarget);
+
+  /** @type {Array<[ResultSummaryValueKey, number]>} */
+  const columns = [];
+  for (const key of /** @type {Array<ResultSummaryValueKey>} */ ([
+    "status",
+    "average",
+    "responseSummary",
+    "min",
+    "max",
+    "minBy",
+    "maxBy",
+    "rule",
+    "median",
+    "mode",
+    "histogram",
+    "stddev",
+    "skips",
+    "responders",
+    "extras",
+  ])) {
+    const name = resultSummaryTable.headers[key];
+    const idx = RESULT_SUMMARY_OPTIONAL_HEADERS.includes(name)
+      ? idxByNameOrUndefined(name)
+      : idxByName(name);
+    if (idx !== undefined) {
+      columns.push([key, idx]);
+    }
+  }
+
+  const scale = getEstimateScale();
+  const rule = getConsensusRule(team);
+  const members = getMidMemberStatuses(midUrl);
+  const responses = getFormResponses(midUrl);
+  const pseudonyms = getAnonymousPseudonyms(midUrl);
+  const checkboxQuestions = getEstimateExtraQuestions()
+    .filter((q) => q.kind === EXTRA_QUESTION_KIND.checkbox)
+    .map((q) => q.title);
+
+  const dataRowCount = meta.range.endRowIndex - dataTop0;
+  const summaries = values.slice(1, 1 + dataRowCount).map((row) => {
+    const id = String(row[idIdx] ?? "").trim();
+    if (!id) {
+      return undefined;
+    }
+    return {
+      id,
+      title: String(row[titleIdx] ?? "").trim(),
+      ...summarizeIssueResponses(
+        id,
+        members,
+        responses,
+        scale,
+        rule,
+        pseudonyms,
+        checkboxQuestions
+      ),
+    };
+  });
+
+  /** @type {Array<GoogleAppsScript.Sheets.Schema.Request>} */
+  const requests = columns.map(([key, idx]) => ({
+    updateCells: {
+      range: {
+        sheetId,
+        startRowIndex: dataTop0,
+        endRowIndex: dataTop0 + summaries.length,
+        startColumnIndex: startCol0 + idx,
+        endColumnIndex: startCol0 + idx + 1,
+      },
+      rows: summaries.map((summary) => {
+        const value = !summary
+          ? ""
+          : key === "rule"
+            ? rule.label
+            : summary[key];
+        return {
+          values: [
+            {
+              userEnteredValue:
+                typeof value === "number"
+                  ? { numberValue: value }
+                  : { stringValue: value },
+            },
+          ],
+        };
+      }),
+      fields: "userEnteredValue",
+    },
+  }));
+  if (summaries.length && requests.length) {
+    Sheets.Spreadsheets.batchUpdate({ requests }, spreadsheetId);
+  }
+
+  /** @type {Array<ResultSummaryResult>} */
+  const results = [];
+  for (const summary of summaries) {
+    if (summary) {
+      results.push(summary);
+    }
+  }
+  logInfo("Refreshed ResultSummary values", {
+    midUrl,
+    rows: results.length,
+    responses: responses.length,
+    rule: rule.label,
+    anonymous: !!pseudonyms,
+  });
+  return results;
+};
+
+tests.push({
+  name: "result_summary:aggregate",
+  failMessage: "結果まとめの集計が不正です",
+  check: () => {
+    const members = [
+      {
+        displayName: "Alice",
+        email: "a@example.com",
+        responseRequired: "必要",
+      },
+      { displayName: "Bob", email: "b@example.com", responseRequired: "必要" },
+      {
+        displayName: "Carol",
+        email: "c@example.com",
+        responseRequired: "不要",
+      },
+    ];
+    const responses = parseFormResponsesValues([
+      [
+        "タイムスタンプ",
+        "メールアドレス",
+        "E1. 見積もりの前提、質問",
+        "E1. 見積り値",
+        "E2. 見積もりの前提、質問",
+        "E2. 見積り値",
+      ],
+      [
+        "",
+        FORM_RESPONSES_DUMMY_EMAIL,
+        "dummy premise",
+        "skip",
+        "dummy premise",
+        "skip",
+      ],
+      ["1", "a@example.com", "古い回答", "1", "", "skip"],
+      ["2", "b@example.com", "DB 変更あり", "5", "", "skip"],
+      ["3", "a@example.com", "API のみ", "3", "", "skip"],
+      ["4", "x@example.com", "外部", "8", "", "2"],
+    ]);
+    const rule = resolveConsensusRule(undefined, undefined);
+    const e1 = summarizeIssueResponses(
+      "E1",
+      members,
+      responses,
+      DEFAULT_ESTIMATE_SCALE,
+      rule
+    );
+    const e2 = summarizeIssueResponses(
+      "E2",
+      members,
+      responses,
+      DEFAULT_ESTIMATE_SCALE,
+      rule
+    );
+    const pending = summarizeIssueResponses(
+      "E1",
+      members,
+      responses.filter((r) => r.email !== "b@example.com"),
+      DEFAULT_ESTIMATE_SCALE,
+      rule
+    );
+    const anonymous = summarizeIssueResponses(
+      "E1",
+      members,
+      responses,
+      DEFAULT_ESTIMATE_SCALE,
+      rule,
+      new Map([
+        ["a@example.com", "見積もり者 B"],
+        ["b@example.com", "見積もり者 A"],
+      ])
+    );
+    const tShirt = { values: ["S", "M", "L", "XL"], skipTokens: ["?"] };
+    const e3 = summarizeIssueResponses(
+      "E3",
+      members,
+      [
+        {
+          email: "a@example.com",
+          points: { E3: "S" },
+          premises: {},
+          extras: {},
+        },
+        {
+          email: "b@example.com",
+          points: { E3: "XL" },
+          premises: {},
+          extras: {},
+        },
+      ],
+      tShirt,
+      rule
+    );
+    return (
+      responses.length === 3 &&
+      e1.status === RESULT_STATUS.confirmed &&
+      e1.average === 4 &&
+      e1.min === 3 &&
+      e1.maxBy === "Bob" &&
+      e1.responseSummary ===
+        "（Bob）5P: DB 変更あり\n\n（Alice）3P: API のみ\n\n（x@example.com）8P: 外部" &&
+      e2.status === RESULT_STATUS.allSkip &&
+      e2.average === "" &&
+      pending.status === RESULT_STATUS.estimating &&
+      e3.status === RESULT_STATUS.violation &&
+      e3.average === "L" &&
+      e3.minBy === "Alice" &&
+      e3.max === "XL" &&
+      e1.median === 4 &&
+      e1.mode === "3、5" &&
+      e1.histogram === "3×1, 5×1" &&
+      e1.stddev === 1 &&
+      e2.histogram === "skip×2" &&
+      e2.skips === 2 &&
+      e2.responders === 2 &&
+      e3.median === "L" &&
+      anonymous.responseSummary ===
+        "（見積もり者 A）5P: DB 変更あり\n\n（見積もり者 B）3P: API のみ\n\n（メンバー外）8P: 外部" &&
+      anonymous.minBy === "" &&
+      anonymous.maxBy === "" &&
+      anonymous.min === 3 &&
+      formatResultSummaryLine({ id: "E2", title: "ログイン", ...e2 }) ===
+        "E2 ログイン: 全員 skip / 分布 skip×2 / skip 2 / 回答 2"
+    );
+  },
+});
+
+tests.push({
+  name: "result_summary:extras",
+  failMessage: "追加の質問の集計が不正です",
+  check: () => {
+    const members = [
+      {
+        displayName: "Alice",
+        email: "a@example.com",
+        responseRequired: "必要",
+      },
+      { displayName: "Bob", email: "b@example.com", responseRequired: "必要" },
+    ];
+    const responses = parseFormResponsesValues([
+      [
+        "メールアドレス",
+        "E1. 見積もりの前提、質問",
+        "E1. 見積り値",
+        "E1. 確信度",
+        "E1. リスク",
+      ],
+      ["a@example.com", "API のみ", "3", "高", ""],
+      ["b@example.com", "DB 変更あり", "5", "低", "外部連携, データ移行"],
+      ["c@example.com", "", "3", "", "データ移行"],
+    ]);
+    const e1 = summarizeIssueResponses(
+      "E1",
+      [
+        ...members,
+        {
+          displayName: "Carol",
+          email: "c@example.com",
+          responseRequired: "必要",
+        },
+      ],
+      responses,
+      DEFAULT_ESTIMATE_SCALE,
+      resolveConsensusRule(undefined, undefined),
+      undefined,
+      ["リスク"]
+    );
+    return (
+      responses[0]?.extras["E1"]?.["確信度"] === "高" &&
+      e1.responseSummary ===
+        "（Alice）3P: API のみ\n確信度: 高\n\n（Bob）5P: DB 変更あり\n確信度: 低 / リスク: 外部連携, データ移行\n\n（Carol）3P: \nリスク: データ移行" &&
+      e1.extras === "確信度: 高×1, 低×1 / リスク: 外部連携×1, データ移行×2"
+    );
+  },
+});
+
+/** ===== 追加: 匿名モード =================== */
+
+/** 匿名モードの仮名と回答者の対応表（中間スプシのシート。PO のみが見る） */
+const anonymousMappingSheet = {
+  sheetName: "匿名対応表",
+  headers: {
+    pseudonym: "仮名",
+    displayName: "表示名",
+    email: "メールアドレス",
+  },
+};
+
+/** 対応表に無い回答者（メンバー外）の仮名 */
+const ANONYMOUS_OUTSIDER_NAME = "メンバー外";
+
+/**
+ * 0 始まりの番号を A, B, ..., Z, AA, AB, ... にする
+ * @param {number} index
+ * @returns {string}
+ */
+const toPseudonymLetter = (index) => {
+  let n = index + 1;
+  let s = "";
+  while (n > 0) {
+    const m = (n - 1) % 26;
+    s = String.fromCharCode(65 + m) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+};
+
+/**
+ * メンバーに仮名を割り当てる。並び順から推測されないよう、割り当て順はシャッフルする。
+ * @param {Array<{ displayName: string, email: string }>} members
+ * @param {() => number} [random] - 0 以上 1 未満の乱数（テストでは固定値）
+ * @returns {Array<{ pseudonym: string, displayName: string, email: string }>} 仮名順
+ */
+const assignPseudonyms = (members, random = Math.random) => {
+  const shuffled = [...members];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const a = shuffled[i];
+    const b = shuffled[j];
+    if (a && b) {
+      shuffled[i] = b;
+      shuffled[j] = a;
+    }
+  }
+  return shuffled.map((m, i) => ({
+    pseudonym: `見積もり者 ${toPseudonymLetter(i)}`,
+    displayName: m.displayName,
+    email: m.email,
+  }));
+};
+
+/**
+ * 匿名モードの既定値（見積もり必要_設定 の anonymous-mode が true か）
+ * @returns {boolean}
+ */
+const getAnonymousModeSetting = () =>
+  (getEstimateSetting(SETTING_KEYS.anonymousMode) ?? "").toLowerCase() ===
+  "true";
+
+/**
+ * 中間スプシに匿名対応表のシートを作り、メンバーに仮名を割り当てる。
+ * このシートがある見積もりは匿名モードとして集計される。
+ * @param {string} midUrl - 中間スプシの URL
+ * @returns {Array<{ pseudonym: string, displayName: string, email: string }>}
+ */
+const createAnonymousMapping = (midUrl) => {
+  const ss = SpreadsheetApp.openById(extractSpreadsheetIdFromUrl(midUrl));
+  if (ss.getSheetByName(anonymousMappingSheet.sheetName)) {
+    throw new Error(
+      `${anonymousMappingSheet.sheetName} は既にあります: ${midUrl}`
+    );
+  }
+  const mapping = assignPseudonyms(getMidMemberStatuses(midUrl));
+  const { headers } = anonymousMappingSheet;
+  const rows = [
+    [headers.pseudonym, headers.displayName, headers.email],
+    ...mapping.map((m) => [m.pseudonym, m.displayName, m.email]),
+  ];
+  const sheet = ss.insertSheet(anonymousMappingSheet.sheetName);
+  sheet.getRange(1, 1, rows.length, 3).setValues(rows);
+  sheet.setFrozenRows(1);
+  logInfo("Created anonymous mapping", { midUrl, members: mapping.length });
+  return mapping;
+};
+
+/**
+ * 匿名対応表からメールアドレス -> 仮名 のマップを読み込む
+ * @param {string} midUrl - 中間スプシの URL
+ * @returns {Map<string, string>|undefined} 匿名モードでない（対応表が無い）場合は undefined
+ */
+const getAnonymousPseudonyms = (midUrl) => {
+  const sheet = SpreadsheetApp.openById(
+    extractSpreadsheetIdFromUrl(midUrl)
+  ).getSheetByName(anonymousMappingSheet.sheetName);
+  if (!sheet) {
+    return undefined;
+  }
+  const values = sheet.getDataRange().getDisplayValues();
+  const header = (values[0] || []).map((v) => v.trim());
+  const pseudonymIdx = header.indexOf(anonymousMappingSheet.headers.pseudonym);
+  const emailIdx = header.indexOf(anonymousMappingSheet.headers.email);
+  if (pseudonymIdx === -1 || emailIdx === -1) {
+    throw new Error(`${anonymousMappingSheet.sheetName} のヘッダーが不正です`);
+  }
+  /** @type {Map<string, string>} */
+  const pseudonyms = new Map();
+  for (const row of values.slice(1)) {
+    const email = String(row[emailIdx] ?? "").trim();
+    if (email) {
+      pseudonyms.set(email, String(row[pseudonymIdx] ?? "").trim());
+    }
+  }
+  return pseudonyms;
+};
+
+tests.push({
+  name: "anonymous:pseudonyms",
+  failMessage: "仮名の割り当てが不正です",
+  check: () => {
+    const members = ["a", "b", "c"].map((x) => ({
+      displayName: x.toUpperCase(),
+      email: `${x}@example.com`,
+    }));
+    // random() = 0 の Fisher-Yates は先頭を末尾へ順に送る: [a,b,c] -> [b,c,a]
+    const mapping = assignPseudonyms(members, () => 0);
+    return (
+      toPseudonymLetter(0) === "A" &&
+      toPseudonymLetter(25) === "Z" &&
+      toPseudonymLetter(26) === "AA" &&
+      mapping.map((m) => `${m.pseudonym}=${m.displayName}`).join(",") ===
+        "見積もり者 A=B,見積もり者 B=C,見積もり者 C=A"
+    );
+  },
+});
+
+/** ===== テストランナー ================================= */
+/** @typedef {{ names?: string[] | undefined }} RunTestsCoreInput */
+
+/** @param {RunTestsCoreInput} [input] 指定時はその名前だけ実行 */
+const runTestsCore = (input) => {
+  const names = input?.names;
+  /** @type {Array<TestCase>} */
+  const selected =
+    Array.isArray(names) && names.length
+      ? tests.filter((t) => names.includes(t.name))
+      : tests.slice();
+
+  if (Array.isArray(names) && names.length) {
+    const known = new Set(selected.map((t) => t.name));
+    const unknown = names.filter((n) => !known.has(n));
+    if (unknown.length) {
+      logWarn("unknown test names", { unknown });
+    }
+  }
+
+  /** @type {Array<TestResult>} */
+  const results = [];
+
+  for (const tc of selected) {
+    const t0 = Date.now();
+    try {
+      const ok = tc.check() === true;
+      const ms = Date.now() - t0;
+      results.push({
+        name: tc.name,
+        ok,
+        message: ok ? "" : tc.failMessage,
+        ms,
+      });
+      logInfo(`[TEST] ${ok ? "PASS" : "FAIL"} - ${tc.name}`, {
+        ms,
+        message: ok ? undefined : tc.failMessage,
+      });
+    } catch (err) {
+      const e = err instanceof Error ? err : new Error(String(err));
+      const ms = Date.now() - t0;
+      results.push({
+        name: tc.name,
+        ok: false,
+        message: `${tc.failMessage} :: ${e.message}`,
+        ms,
+      });
+      logError(`[TEST] EXCEPTION - ${tc.name}`, { ms, error: e.message });
+    }
+  }
+
+  const pass = results.filter((r) => r.ok).length;
+  const fail = results.length - pass;
+  logInfo("[TEST] summary", { total: results.length, pass, fail });
+
+  return results;
+};
+
+
+/** ===== Google Form セクション操作機能 =================== */
+
+/**
+ * Google FormのURLからFormオブジェクトを取得
+ * @param {string} formUrl - Google FormのURL
+ * @returns {any} - Formオブジェクト
+ */
+const getFormFromUrl = (formUrl) => {
+  const formId = extractFormIdFromUrl(formUrl);
+  return FormApp.openById(formId);
+};
+
+/**
+ * Form の見積もりセクション 1 つ分の内容。
+ * title はセクション（PAGE_BREAK）のタイトル、description は課題の詳細、
+ * note は再見積もりの前回結果など。description と note はテンプレートの説明に追記する。
+ * extraQuestions は見積り値の後に追加する質問（タイトルは「E3. 確信度」の形）。
+ * @typedef {{ title: string, description: string, note: string, premiseTitle: string, estimateTitle: string, extraQuestions: Array<ExtraQuestion> }} FormSectionSpec
+ */
+
+/**
+ * 課題の詳細をセクションの説明用の文にする（URL と、課題リストの任意列のうち空でないもの）
+ * @param {EstimateIssueRow} issue
+ * @returns {string}
+ */
+const formatIssueSectionDescription = (issue) => {
+  const h = estimateIssueListTable.headers;
+  const labels = splitListCell(issue.labels ?? "");
+  const links = splitListCell(issue.links ?? "");
+  return [
+    issue.url,
+    issue.summary ? `【${h.summary}】\n${issue.summary}` : "",
+    issue.acceptanceCriteria
+      ? `【${h.acceptanceCriteria}】\n${issue.acceptanceCriteria}`
+      : "",
+    labels.length ? `【${h.labels}】${labels.join(", ")}` : "",
+    links.length ? `【${h.links}】\n${links.join("\n")}` : "",
+  ]
+    .filter((v) => v)
+    .join("\n\n");
+};
+
+/**
+ * 課題リストから Form の見積もりセクションの内容を作る。
+ * セクションのタイトルは「E3: タイトル」（タイトルが空なら URL）。
+ * @param {Array<EstimateIssueRow>} issueList - 見積もり課題リスト
+ * @param {Record<string, string>} [sectionNotes] - 課題 URL -> セクションの説明に追記する文
+ * @param {Array<ExtraQuestion>} [extraQuestions] - 全てのセクションに追加する質問（見積もり必要_追加質問）
+ * @returns {Array<FormSectionSpec>}
+ */
+const buildFormSectionSpecs = (
+  issueList,
+  sectionNotes = {},
+  extraQuestions = []
+) =>
+  issueList.map((issue, i) => ({
+    title: `E${i + 1}: ${issue.title || issue.url}`,
+    description: formatIssueSectionDescription(issue),
+    note: sectionNotes[issue.url] ?? "",
+    premiseTitle: `E${i + 1}. 見積もりの前提、質問`,
+    estimateTitle: `E${i + 1}. 見積り値`,
+    extraQuestions: extraQuestions.map((q) => ({
+      ...q,
+      title: `E${i + 1}. ${q.title}`,
+    })),
+  }));
+
+tests.push({
+  name: "form_section:details",
+  failMessage: "Form セクションのタイトル・説明が不正です",
+  check: () => {
+    const [detailed, plain] = buildFormSectionSpecs(
+      [
+        {
+          title: "ログイン",
+          url: "https://example.com/issues/1",
+          summary: "SSO に対応する",
+          acceptanceCriteria: "Google でログインできる",
+          labels: "auth、backend",
+          links: "https://example.com/a\nhttps://example.com/b",
+        },
+        { title: "", url: "https://example.com/issues/2" },
+      ],
+      { "https://example.com/issues/2": "前回: violation" }
+    );
+    return (
+      detailed?.title === "E1: ログイン" &&
+      detailed.description ===
+        [
+          "https://example.com/issues/1",
+          "【概要】\nSSO に対応する",
+          "【受け入れ条件】\nGoogle でログインできる",
+          "【ラベル】auth, backend",
+          "【関連リンク】\nhttps://example.com/a\nhttps://example.com/b",
+        ].join("\n\n") &&
+      plain?.title === "E2: https://example.com/issues/2" &&
+      plain.description === "https://example.com/issues/2" &&
+      plain.note === "前回: violation" &&
+      plain.premiseTitle === "E2. 見積もりの前提、質問"
+    );
+  },
+});
+
+/**
+ * 見積もりセクション 1 セット分のアイテムの種類（セクション、前提・質問、見積り値の順）
+ * @returns {Array<GoogleAppsScript.Forms.ItemType>}
+ */
+const getFormSectionItemTypes = () => [
+  FormApp.ItemType.PAGE_BREAK,
+  FormApp.ItemType.PARAGRAPH_TEXT,
+  FormApp.ItemType.LIST,
+];
+
+/**
+ * 追加の質問の Form のアイテムの種類（チェックボックス以外はラジオボタン）
+ * @param {ExtraQuestion} question
+ * @returns {GoogleAppsScript.Forms.ItemType}
+ */
+const getExtraQuestionItemType = (question) =>
+  question.kind === EXTRA_QUESTION_KIND.checkbox
+    ? FormApp.ItemType.CHECKBOX
+    : FormApp.ItemType.MULTIPLE_CHOICE;
+
+/**
+ * 追加の質問のタイトル・選択肢・必須を Form のアイテムに設定する
+ * @param {GoogleAppsScript.Forms.Item} item - getExtraQuestionItemType の種類のアイテム
+ * @param {ExtraQuestion} question
+ */
+const applyExtraQuestion = (item, question) => {
+  if (question.kind === EXTRA_QUESTION_KIND.checkbox) {
+    item
+      .asCheckboxItem()
+      .setTitle(question.title)
+      .setChoiceValues(question.choices)
+      .setRequired(question.required);
+    return;
+  }
+  item
+    .asMultipleChoiceItem()
+    .setTitle(question.title)
+    .setChoiceValues(question.choices)
+    .setRequired(question.required);
+};
+
+/**
+ * PAGE_BREAK 以降に並ぶ見積もりセクション（PAGE_BREAK, PARAGRAPH_TEXT, LIST と追加の質問）のうち、
+ * 先頭から崩れずに続いているセット数を数える（最大 maxCount）。
+ * 途中で止まった setupFormSections を再開するとき、作成済みのセットを数え直すために使う。
+ * @template T
+ * @param {Array<T>} types - フォームのアイテムの種類（先頭から順に）
+ * @param {number} start - 最初の PAGE_BREAK の位置
+ * @param {Array<T>} pattern - 1 セット分のアイテムの種類
+ * @param {number} maxCount
+ */
+const countFormSectionSets = (types, start, pattern, maxCount) => {
+  let count = 0;
+  while (count < maxCount) {
+    const offset = start + count * pattern.length;
+    const matches = pattern.every((type, i) => types[offset + i] === type);
+    if (!matches) {
+      break;
+    }
+    count++;
+  }
+  return count;
+};
+
+/**
+ * Formのタイトルと見積もり課題セクションを課題リストに基づいてセットアップ
+ * 途中まで複製済みのフォームに対して呼び直すと、足りないセットだけを追加する。
+ * @param {string} formUrl - Google FormのURL
+ * @param {string} title - フォームのタイトル
+ * @param {Array<FormSectionSpec>} sections - 見積もりセクションの内容（buildFormSectionSpecs）
+ * @param {() => boolean} [hasTimeLeft] - false を返したら複製を中断する（実行時間の上限対策）
+ * @param {() => void} [checkpoint] - 複製の途中で進捗を保存する
+ * @returns {boolean} 全てのセクションをセットアップできたら true（中断したら false）
+ */
+const setupFormSections = (
+  formUrl,
+  title,
+  sections,
+  hasTimeLeft = () => true,
+  checkpoint = () => {}
+) => {
+  const form = getFormFromUrl(formUrl);
+
+  // 1. フォームタイトルを設定
+  form.setTitle(title);
+  logInfo("Updated form title", { title });
+
+  const targetCount = sections.length;
+
+  let items = form.getItems();
+
+  logInfo("Initial form structure analysis", {
+    totalItems: items.length,
+    targetCount,
+  });
+
+  const readItemTypes = () => {
+    /** @type {Array<GoogleAppsScript.Forms.ItemType>} */
+    const types = [];
+    for (let i = 0; i < items.length; i++) {
+      types.push(items[i].getType());
+    }
+    return types;
+  };
+  let itemTypes = readItemTypes();
+
+  const firstPageBreakIndex = itemTypes.indexOf(FormApp.ItemType.PAGE_BREAK);
+  if (firstPageBreakIndex < 0) {
+    throw new Error("No PAGE_BREAK found in form");
+  }
+
+  const baseStructure = getFormSectionItemTypes();
+  // 追加の質問は全てのセクションで同じ
+  const extraQuestions = sections[0]?.extraQuestions ?? [];
+  const expectedStructure = [
+    ...baseStructure,
+    ...extraQuestions.map(getExtraQuestionItemType),
+  ];
+
+  // 2. PAGE_BREAK後の構造を検証（テンプレートの 1 セット目は必須）
+  if (items.length < firstPageBreakIndex + baseStructure.length) {
+    throw new Error(
+      `Expected at least ${
+        baseStructure.length
+      } items after PAGE_BREAK, but found ${
+        items.length - firstPageBreakIndex - 1
+      }`
+    );
+  }
+
+  for (let i = 0; i < baseStructure.length; i++) {
+    const actualType = items[firstPageBreakIndex + i].getType();
+    const expectedType = baseStructure[i];
+    if (actualType !== expectedType) {
+      throw new Error(
+        `Invalid structure at index ${
+          firstPageBreakIndex + i
+        }: expected ${expectedType}, but found ${actualType}`
+      );
+    }
+  }
+
+  // 2b. テンプレートの 1 セット目に追加の質問が無ければ、それ以降を削除して追加する
+  // （追加の質問は複製より前に足すため、この場合は複製済みのセットも無い）
+  if (
+    extraQuestions.length &&
+    countFormSectionSets(
+      itemTypes,
+      firstPageBreakIndex,
+      expectedStructure,
+      1
+    ) === 0
+  ) {
+    const templateEnd = firstPageBreakIndex + baseStructure.length;
+    for (let i = items.length - 1; i >= templateEnd; i--) {
+      form.deleteItem(i);
+    }
+    for (const question of extraQuestions) {
+      if (question.kind === EXTRA_QUESTION_KIND.checkbox) {
+        form.addCheckboxItem();
+      } else {
+        form.addMultipleChoiceItem();
+      }
+    }
+    items = form.getItems();
+    itemTypes = readItemTypes();
+    logInfo("Added extra questions to the template section", {
+      count: extraQuestions.length,
+    });
+  }
+
+  // 3. 作成済みのセットを数え、それ以降（余分なセクションや複製途中のアイテム）を削除
+  const existingSets = countFormSectionSets(
+    itemTypes,
+    firstPageBreakIndex,
+    expectedStructure,
+    Math.max(targetCount, 1)
+  );
+  const keepItems =
+    firstPageBreakIndex + existingSets * expectedStructure.length;
+  if (items.length > keepItems) {
+    logInfo("Removing extra items after estimate sections", {
+      existingSets,
+      removedItems: items.length - keepItems,
+    });
+
+    // 後ろから削除（インデックスがずれないように）
+    for (let i = items.length - 1; i >= keepItems; i--) {
+      form.deleteItem(i);
+    }
+
+    // アイテムリストを再取得
+    items = form.getItems();
+  }
+
+  logInfo("Template structure validated", {
+    firstPageBreakIndex,
+    templateItems: expectedStructure.length,
+    existingSets,
+  });
+
+  // 4. テンプレートアイテムを取得（PAGE_BREAK, PARAGRAPH_TEXT, LIST と追加の質問）
+  /** @type {Array<GoogleAppsScript.Forms.Item>} */
+  const templateItems = items.slice(
+    firstPageBreakIndex,
+    firstPageBreakIndex + expectedStructure.length
+  );
+
+  // 5. 足りない数だけセットを複製
+  const setsToAdd = targetCount - existingSets;
+
+  logInfo("Adding estimate section sets", { setsToAdd });
+
+  for (let i = 0; i < setsToAdd; i++) {
+    if (!hasTimeLeft()) {
+      logInfo("Suspended duplicating estimate sections", {
+        setsAdded: i,
+        remaining: setsToAdd - i,
+      });
+      return false;
+    }
+    for (const item of templateItems) {
+      item.duplicate();
+    }
+    if ((i + 1) % ESTIMATE_CREATION_CHECKPOINT_INTERVAL === 0) {
+      checkpoint();
+    }
+  }
+
+  logInfo("Successfully duplicated estimate sections", {
+    setsAdded: Math.max(setsToAdd, 0),
+    totalSets: targetCount,
+  });
+
+  // アイテムリストを再取得
+  items = form.getItems();
+
+  // 見積り値の選択肢は 見積もり必要_スケール に合わせる
+  const choices = getScaleChoices(getEstimateScale());
+
+  for (let i = 0; i < targetCount; i++) {
+    const sectionStartIndex =
+      firstPageBreakIndex + i * expectedStructure.length;
+    const sectionHeaderLikeItem = items[sectionStartIndex];
+    const premiseItem = items[sectionStartIndex + 1];
+    const estimateItem = items[sectionStartIndex + 2];
+
+    // 対応するセクションの内容を取得
+    const section = sections[i];
+    if (!section) {
+      throw new Error(`No issue found for section index ${i}`);
+    }
+
+    sectionHeaderLikeItem.setTitle(section.title);
+    const addition = [section.description, section.note]
+      .filter((v) => v)
+      .join("\n\n");
+    const baseHelpText = sectionHeaderLikeItem.getHelpText();
+    // 再開時に同じ追記を重ねない
+    if (addition && !baseHelpText.endsWith(addition)) {
+      sectionHeaderLikeItem.setHelpText(
+        baseHelpText ? `${baseHelpText}\n\n${addition}` : addition
+      );
+    }
+    premiseItem.setTitle(section.premiseTitle);
+    estimateItem.setTitle(section.estimateTitle);
+    estimateItem.asListItem().setChoiceValues(choices);
+    for (let j = 0; j < section.extraQuestions.length; j++) {
+      const question = section.extraQuestions[j];
+      if (question) {
+        applyExtraQuestion(
+          items[sectionStartIndex + baseStructure.length + j],
+          question
+        );
+      }
+    }
+
+    logInfo(`Updated section ${i + 1} titles`, {
+      sectionIndex: i + 1,
+      sectionTitle: section.title,
+    });
+  }
+
+  // シートとの同期を待つ
+  Utilities.sleep(2000);
+
+  logInfo("Successfully updated all section titles with issue details", {
+    totalSections: targetCount,
+  });
+  return true;
+};
+
+/** ===== 追加: 見積もり必要_デバッグ ローダ =================== */
+const estimateDebugTable = {
+  tableName: "見積もり必要_デバッグ",
+  headers: {
+    key: "key",
+    value: "value",
+  },
+};
+
+/** @typedef {Record<string,string>} EstimateDebugMap */
+/** @type {EstimateDebugMap|undefined} */
+let _estimateDebugCache = undefined;
+
+/**
+ * 見積もり必要_デバッグ（テーブル）を読み込み、key-value マップを返す。
+ * @returns {EstimateDebugMap}
+ */
+const getEstimateDebugMap = () => {
+  if (_estimateDebugCache) {
+    return _estimateDebugCache;
+  }
+  const meta = getTableMetaByName(estimateDebugTable.tableName);
+  const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const spreadsheetId = ss.getId();
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error(
+      "Advanced Sheets API is not enabled. Please enable it in the Google Apps Script project."
+    );
+  }
+  const vr = Sheets.Spreadsheets.Values.get(spreadsheetId, a1);
+  const values = vr.values || [];
+  if (!values.length || !values[0]) {
+    throw new Error("テーブルが空です: 見積もり必要_デバッグ");
+  }
+
+  const { idxByName } = getTableHeaderInfo(meta, values);
+  const keyIdx = idxByName(estimateDebugTable.headers.key);
+  const valueIdx = idxByName(estimateDebugTable.headers.value);
+
+  /** @type {EstimateDebugMap} */
+  const map = {};
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i] || [];
+    const k = String(row[keyIdx] ?? "").trim();
+    const v = String(row[valueIdx] ?? "").trim();
+    if (!k) {
+      continue;
+    }
+    if (Object.prototype.hasOwnProperty.call(map, k) && map[k] !== v) {
+      logWarn("duplicate key in 見積もり必要_デバッグ", {
+        row: i + 1,
+        key: k,
+        prev: map[k],
+        next: v,
+      });
+      continue;
+    }
+    map[k] = v;
+  }
+
+  _estimateDebugCache = map;
+  logInfo("Loaded table 見積もり必要_デバッグ", {
+    a1,
+    countRows: values.length - 1,
+    keys: Object.keys(map).length,
+    tableId: meta.tableId,
+  });
+  return map;
+};
+
+/** ===== 追加: 見積もり必要_設定 ローダ =================== */
+const estimateSettingsTable = {
+  tableName: "見積もり必要_設定",
+  headers: {
+    key: "key",
+    value: "value",
+  },
+};
+
+/** 見積もり必要_設定 のキー */
+const SETTING_KEYS = {
+  reminderHoursBeforeDeadline: "reminder-hours-before-deadline",
+  reminderWebhookUrl: "reminder-webhook-url",
+  slackWebhookUrl: "slack-webhook-url",
+  consensusRule: "consensus-rule",
+  consensusThreshold: "consensus-threshold",
+  anonymousMode: "anonymous-mode",
+  githubApiBaseUrl: "github-api-base-url",
+  githubEstimateTarget: "github-estimate-target",
+  githubEstimateLabelPrefix: "github-estimate-label-prefix",
+  githubProjectId: "github-project-id",
+  githubProjectFieldId: "github-project-field-id",
+  githubIssueQuery: "github-issue-query",
+  driveFolderUrl: "drive-folder-url",
+  archiveAfterDays: "archive-after-days",
+  archiveFolderUrl: "archive-folder-url",
+};
+
+/** @type {Record<string,string>|undefined} */
+let _estimateSettingsCache = undefined;
+
+/**
+ * 見積もり必要_設定（テーブル）を読み込み、key-value マップを返す。
+ * 任意のテーブルのため、存在しない場合は空のマップを返す。
+ * @returns {Record<string,string>}
+ */
+const getEstimateSettingsMap = () => {
+  if (_estimateSettingsCache) {
+    return _estimateSettingsCache;
+  }
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const spreadsheetId = ss.getId();
+  const meta = findTableMetaInSpreadsheet(
+    spreadsheetId,
+    estimateSettingsTable.tableName
+  );
+  if (!meta) {
+    logInfo("Table 見積もり必要_設定 not found, using defaults");
+    _estimateSettingsCache = {};
+    return _estimateSettingsCache;
+  }
+  const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  const vr = Sheets.Spreadsheets.Values.get(spreadsheetId, a1);
+  const values = vr.values || [];
+  if (!values.length || !values[0]) {
+    throw new Error("テーブルが空です: 見積もり必要_設定");
+  }
+
+  const { idxByName } = getTableHeaderInfo(meta, values);
+  const keyIdx = idxByName(estimateSettingsTable.headers.key);
+  const valueIdx = idxByName(estimateSettingsTable.headers.value);
+
+  /** @type {Record<string,string>} */
+  const map = {};
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i] || [];
+    const k = String(row[keyIdx] ?? "").trim();
+    const v = String(row[valueIdx] ?? "").trim();
+    if (!k) {
+      continue;
+    }
+    if (Object.prototype.hasOwnProperty.call(map, k) && map[k] !== v) {
+      logWarn("duplicate key in 見積もり必要_設定", {
+        row: i + 1,
+        key: k,
+        prev: map[k],
+        next: v,
+      });
+      continue;
+    }
+    map[k] = v;
+  }
+
+  _estimateSettingsCache = map;
+  logInfo("Loaded table 見積もり必要_設定", {
+    a1,
+    countRows: values.length - 1,
+    keys: Object.keys(map).length,
+    tableId: meta.tableId,
+  });
+  return map;
+};
+
+/**
+ * 設定値を取得する。未設定（空文字を含む）の場合は undefined。
+ * @param {string} key
+ * @returns {string|undefined}
+ */
+const getEstimateSetting = (key) => getEstimateSettingsMap()[key] || undefined;
+
+/**
+ * 締切の何時間前にリマインドするか。未設定の場合は undefined（リマインドしない）。
+ * @returns {number|undefined}
+ */
+const getReminderHoursBeforeDeadline = () => {
+  const raw = getEstimateSetting(SETTING_KEYS.reminderHoursBeforeDeadline);
+  if (raw === undefined) {
+    return undefined;
+  }
+  const hours = Number(raw);
+  if (!Number.isFinite(hours) || hours <= 0) {
+    throw new Error(
+      `${SETTING_KEYS.reminderHoursBeforeDeadline} は正の数で指定してください: ${raw}`
+    );
+  }
+  return hours;
+};
+
+tests.push({
+  name: "estimate_settings:load",
+  failMessage: "見積もり必要_設定の読み込みに失敗しました",
+  check: () => {
+    getEstimateSettingsMap();
+    getReminderHoursBeforeDeadline();
+    return true;
+  },
+});
+
+/**
+ * 指定された Google Form のタイトル、説明、および全 Item をログ出力する。
+ * @param {string} formUrl - Google Form の URL
+ * @returns {{title: string, description?: string, items: Array<{index:number,type:string,title:string,helpText?:string,choices?:string[]}>}}
+ */
+const debugLogForm = (formUrl) => {
+  const form = getFormFromUrl(formUrl);
+  const title = form.getTitle();
+  const description = form.getDescription();
+  logInfo("Form info", { title, description });
+  const items = form.getItems();
+  /** @type {Array<{index:number,type:string,title:string,helpText?:string,choices?:string[]}>} */
+  const out = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const type = item.getType();
+    /** @type {{index:number,type:string,title:string,helpText?:string,choices?:string[]}} */
+    const info = {
+      index: i,
+      type: String(type),
+      title: item.getTitle(),
+    };
+    const helpText = item.getHelpText();
+    if (helpText) {
+      info.helpText = helpText;
+    }
+    if (type === FormApp.ItemType.MULTIPLE_CHOICE) {
+      info.choices = item
+        .asMultipleChoiceItem()
+        .getChoices()
+        .map(
+          /** @param {GoogleAppsScript.Forms.Choice} c */ (c) => c.getValue()
+        );
+    } else if (type === FormApp.ItemType.CHECKBOX) {
+      info.choices = item
+        .asCheckboxItem()
+        .getChoices()
+        .map(
+          /** @param {GoogleAppsScript.Forms.Choice} c */ (c) => c.getValue()
+        );
+    } else if (type === FormApp.ItemType.LIST) {
+      info.choices = item
+        .asListItem()
+        .getChoices()
+        .map(
+          /** @param {GoogleAppsScript.Forms.Choice} c */ (c) => c.getValue()
+        );
+    }
+    out.push(info);
+    logInfo("Form item", info);
+  }
+  return { title, description, items: out };
+};
+
+/** ===== 追加: Slack 通知 =================== */
+
+/** @typedef {{ slackMention: string, slackUserId: string }} SlackMentionTarget */
+
+/**
+ * メンション対象を空白区切りの RichText 要素にする
+ * @param {Array<SlackMentionTarget>} targets
+ * @returns {Array<RichTextElement>}
+ */
+const buildMentionElements = (targets) =>
+  targets.flatMap((t, i) => {
+    /** @type {RichTextElement} */
+    const mention = {
+      type: "mention",
+      text: t.slackMention,
+      slackUserId: t.slackUserId,
+    };
+    return i === 0 ? [mention] : [{ type: "plain", text: " " }, mention];
+  });
+
+/**
+ * 見積もり依頼の Slack メッセージを組み立てる
+ * @param {string} deadlineDate - 締切日
+ * @param {Array<SlackMentionTarget>} targets - 回答が必要なメンバー
+ * @param {string} formResponseUrl - 回答用 Form の URL
+ * @returns {RichText}
+ */
+const buildRequestSlackMessage = (deadlineDate, targets, formResponseUrl) => ({
+  elements: [
+    ...buildMentionElements(targets),
+    {
+      type: "plain",
+      text:
+        `\n\n${deadlineDate} の非同期ポーカーです。\n` +
+        `締切を${deadlineDate} ${ESTIMATE_DEADLINE_TIME} に設定しています。\n\nお手数ですが、`,
+    },
+    { type: "link", text: "こちら", url: formResponseUrl },
+    { type: "plain", text: "からご回答のほどよろしくお願いいたします。" },
+  ],
+});
+
+/**
+ * 課題 1 件分の集計結果を完了報告の 1 行にする
+ * @param {ResultSummaryResult} r
+ * @returns {string}
+ */
+const formatResultSummaryLine = (r) =>
+  [
+    `${r.id} ${r.title}: ${r.status}`,
+    r.average !== "" ? `average ${r.average}` : "",
+    r.median !== "" ? `median ${r.median}` : "",
+    r.mode ? `mode ${r.mode}` : "",
+    r.stddev !== "" ? `標準偏差 ${r.stddev}` : "",
+    r.histogram ? `分布 ${r.histogram}` : "",
+    `skip ${r.skips} / 回答 ${r.responders}`,
+  ]
+    .filter((part) => part)
+    .join(" / ");
+
+/**
+ * 見積もり完了の Slack メッセージを組み立てる
+ * @param {string} resultUrl - 結果スプシの URL
+ * @param {Array<ResultSummaryResult>} [summaries] - 課題ごとの集計結果（クローズ時に付ける）
+ * @returns {RichText}
+ */
+const buildCompletionSlackMessage = (resultUrl, summaries = []) => ({
+  elements: [
+    { type: "plain", text: "ご回答ありがとうございます。\n\n結果を" },
+    { type: "link", text: "こちら", url: resultUrl },
+    {
+      type: "plain",
+      text:
+        "にまとめましたので、ご確認のほどよろしくお願いいたします。\n" +
+        "特に violation がでた部分については、再見積もりとなりますので、次回の見積もりのためにご参考ください。" +
+        (summaries.length
+          ? `\n\n${summaries.map(formatResultSummaryLine).join("\n")}`
+          : ""),
+    },
+  ],
+});
+
+/**
+ * Slack mrkdwn の制御文字をエスケープする
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeSlackText = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/** ユーザー ID なしでも Slack が解釈する特殊メンション */
+const SLACK_SPECIAL_MENTIONS = ["here", "channel", "everyone"];
+
+/**
+ * RichText を Slack mrkdwn に変換する。
+ * - link: `<url|text>`
+ * - mention: ユーザー ID があれば `<@ID>`、@here 等は `<!here>`、それ以外はメンション名のまま
+ * @param {RichText} richText
+ * @returns {string}
+ */
+const richTextToSlackMrkdwn = (richText) =>
+  richText.elements
+    .map((e) => {
+      if (e.type === "link") {
+        return `<${e.url}|${escapeSlackText(e.text)}>`;
+      }
+      if (e.type === "mention") {
+        if (e.slackUserId) {
+          return `<@${e.slackUserId}>`;
+        }
+        const name = e.text.replace(/^@/, "");
+        if (SLACK_SPECIAL_MENTIONS.includes(name)) {
+          return `<!${name}>`;
+        }
+      }
+      return escapeSlackText(e.text);
+    })
+    .join("");
+
+/** @typedef {{ ok: boolean, code: number, body: string }} WebhookResult */
+
+/**
+ * Slack の Incoming Webhook にメッセージを POST する。失敗しても例外にはせず結果を返す。
+ * @param {string} url - Webhook の URL
+ * @param {RichText} richText - 送信するメッセージ
+ * @param {HttpClient} [httpClient] - 既定は UrlFetchApp
+ * @returns {WebhookResult}
+ */
+const postSlackMessage = (url, richText, httpClient = urlFetchHttpClient) => {
+  try {
+    const resp = httpClient.fetch(url, {
+      method: "post",
+      contentType: "application/json",
+      payload: JSON.stringify({ text: richTextToSlackMrkdwn(richText) }),
+      muteHttpExceptions: true,
+    });
+    const code = resp.getResponseCode();
+    const body = resp.getContentText();
+    const ok = code >= 200 && code < 300;
+    if (ok) {
+      logInfo("Webhook posted", { code });
+    } else {
+      logWarn("Webhook returned an error", { code, body });
+    }
+    return { ok, code, body };
+  } catch (err) {
+    const e = err instanceof Error ? err : new Error(String(err));
+    logWarn("Failed to post webhook", { error: e.message });
+    return { ok: false, code: 0, body: e.message };
+  }
+};
+
+/**
+ * Webhook の送信結果を見積もり履歴の 1 行分の記録にする
+ * @param {string} label - 送信したメッセージの種類（依頼 / 完了 など）
+ * @param {WebhookResult} result
+ * @param {Date} [at]
+ * @returns {string}
+ */
+const formatWebhookResultLine = (label, result, at = new Date()) =>
+  `${formatDateTime(at)} ${label}: ${result.ok ? "OK" : "NG"} ${result.code} ${result.body}`.trim();
+
+/**
+ * Slack にメッセージを送信し、結果を見積もり履歴の「Slack 送信結果」列に追記する。
+ * @param {EstimateHistoryRow} historyRow - 対象の見積もり履歴の行
+ * @param {string} label - 送信したメッセージの種類（依頼 / 完了 など）
+ * @param {RichText} richText - 送信するメッセージ
+ * @param {string} webhookUrl - Webhook の URL
+ * @returns {WebhookResult}
+ */
+const deliverSlackMessage = (historyRow, label, richText, webhookUrl) => {
+  const result = postSlackMessage(webhookUrl, richText);
+  const line = formatWebhookResultLine(label, result);
+  updateEstimateHistoryRow(
+    historyRow.midUrl,
+    {
+      slackResult: historyRow.slackResult
+        ? `${historyRow.slackResult}\n${line}`
+        : line,
+    },
+    historyRow.team
+  );
+  return result;
+};
+
+/**
+ * Slack Webhook が設定されていればメッセージを送信する。
+ * 送信の失敗で呼び出し元の処理を止めないよう、例外はログに留める。
+ * @param {string} midUrl - 対象の見積もりの中間スプシ URL
+ * @param {string} label - 送信したメッセージの種類（依頼 / 完了 など）
+ * @param {RichText} richText - 送信するメッセージ
+ * @param {string} [webhookUrl] - 省略時は設定の slack-webhook-url
+ * @returns {WebhookResult|undefined} Webhook が未設定の場合は undefined
+ */
+const notifySlackIfConfigured = (
+  midUrl,
+  label,
+  richText,
+  webhookUrl = getEstimateSetting(SETTING_KEYS.slackWebhookUrl)
+) => {
+  if (!webhookUrl) {
+    return undefined;
+  }
+  try {
+    const historyRow = findEstimateHistoryRow(midUrl);
+    if (!historyRow) {
+      throw new Error(`見積もり履歴に該当する行がありません: ${midUrl}`);
+    }
+    return deliverSlackMessage(historyRow, label, richText, webhookUrl);
+  } catch (err) {
+    const e = err instanceof Error ? err : new Error(String(err));
+    logWarn("Failed to deliver Slack message", {
+      midUrl,
+      label,
+      error: e.message,
+    });
+    return undefined;
+  }
+};
+
+tests.push({
+  name: "slack:mrkdwn",
+  failMessage: "RichText から Slack mrkdwn への変換が不正です",
+  check: () => {
+    const message = buildRequestSlackMessage(
+      "2025-08-30",
+      [
+        { slackMention: "@alice", slackUserId: "U123" },
+        { slackMention: "@bob", slackUserId: "" },
+        { slackMention: "@here", slackUserId: "" },
+      ],
+      "https://example.com/form?a=1&b=2"
+    );
+    const mrkdwn = richTextToSlackMrkdwn(message);
+    return (
+      mrkdwn.startsWith(
+        "<@U123> @bob <!here>\n\n2025-08-30 の非同期ポーカーです。"
+      ) &&
+      mrkdwn.includes("<https://example.com/form?a=1&b=2|こちら>からご回答") &&
+      richTextToSlackMrkdwn({
+        elements: [{ type: "plain", text: "a < b && c > d" }],
+      }) === "a &lt; b &amp;&amp; c &gt; d" &&
+      richTextToString(message).startsWith("@alice @bob @here\n")
+    );
+  },
+});
+
+tests.push({
+  name: "slack:post_stub",
+  failMessage: "Slack Webhook への送信内容または結果の扱いが不正です",
+  check: () => {
+    /** @type {Array<{url: string, params: GoogleAppsScript.URL_Fetch.URLFetchRequestOptions}>} */
+    const calls = [];
+    /** @param {number} code @param {string} body @returns {HttpClient} */
+    const stub = (code, body) => ({
+      fetch: (url, params) => {
+        calls.push({ url, params });
+        return { getResponseCode: () => code, getContentText: () => body };
+      },
+    });
+    const message = buildCompletionSlackMessage("https://example.com/result");
+    const ok = postSlackMessage(
+      "http://localhost/hook",
+      message,
+      stub(200, "ok")
+    );
+    const ng = postSlackMessage(
+      "http://localhost/hook",
+      message,
+      stub(404, "no_service")
+    );
+    const payload = JSON.parse(String(calls[0]?.params.payload ?? "{}"));
+    return (
+      ok.ok &&
+      !ng.ok &&
+      ng.code === 404 &&
+      ng.body === "no_service" &&
+      calls[0]?.url === "http://localhost/hook" &&
+      calls[0]?.params.method === "post" &&
+      String(payload.text).includes("<https://example.com/result|こちら>") &&
+      formatWebhookResultLine("依頼", ng).endsWith(" 依頼: NG 404 no_service")
+    );
+  },
+});
+
+/** ===== 追加: 見積もり履歴からの対象選択 =================== */
+
+/**
+ * 選択ダイアログの入力（1 始まりの番号）を配列インデックスに変換する。
+ * @param {string} text - 入力文字列
+ * @param {number} count - 候補数
+ * @returns {number|undefined} 0 始まりのインデックス。不正な入力は undefined
+ */
+const parseSelectionNumber = (text, count) => {
+  const trimmed = text.trim();
+  if (!/^[0-9]+$/.test(trimmed)) {
+    return undefined;
+  }
+  const n = Number(trimmed);
+  if (n < 1 || n > count) {
+    return undefined;
+  }
+  return n - 1;
+};
+
+/**
+ * 見積もり履歴の行を番号入力ダイアログで選択させる。
+ * @param {string} title - ダイアログのタイトル
+ * @param {Array<EstimateHistoryRow>} candidates - 選択候補
+ * @returns {EstimateHistoryRow|undefined} キャンセル時は undefined
+ */
+const promptEstimateHistoryRow = (title, candidates) => {
+  if (!candidates.length) {
+    throw new Error("対象となる見積もりが見積もり履歴にありません");
+  }
+  const ui = SpreadsheetApp.getUi();
+  const lines = candidates.map(
+    (r, i) =>
+      `${i + 1}: ${withTeamLabel(r.team.name, r.midText)}（${r.status || "ステータス未設定"}）`
+  );
+  const resp = ui.prompt(
+    title,
+    `対象の番号を入力してください。\n\n${lines.join("\n")}`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (resp.getSelectedButton() !== ui.Button.OK) {
+    logInfo("Selection cancelled", { title });
+    return undefined;
+  }
+  const index = parseSelectionNumber(resp.getResponseText(), candidates.length);
+  const picked = index === undefined ? undefined : candidates[index];
+  if (!picked) {
+    throw new Error(`不正な番号です: ${resp.getResponseText()}`);
+  }
+  return picked;
+};
+
+tests.push({
+  name: "selection:parse_number",
+  failMessage: "番号入力の解釈が不正です",
+  check: () =>
+    parseSelectionNumber(" 2 ", 3) === 1 &&
+    parseSelectionNumber("1", 1) === 0 &&
+    parseSelectionNumber("0", 3) === undefined &&
+    parseSelectionNumber("4", 3) === undefined &&
+    parseSelectionNumber("1.5", 3) === undefined &&
+    parseSelectionNumber("", 3) === undefined,
+});
+
+/**
+ * 見積もり必要_ラウンド の未発行のラウンドを番号入力ダイアログで選択させる。
+ * @param {string} title - ダイアログのタイトル
+ * @param {Array<EstimateRound>} candidates - 選択候補
+ * @returns {EstimateRound|undefined} キャンセル時は undefined
+ */
+const promptEstimateRound = (title, candidates) => {
+  if (!candidates.length) {
+    throw new Error("未発行のラウンドが見積もり必要_ラウンドにありません");
+  }
+  const ui = SpreadsheetApp.getUi();
+  const lines = candidates.map(
+    (r, i) =>
+      `${i + 1}: ${withTeamLabel(r.teamName, r.title)}（締切 ${r.dueDate || "未設定"}）`
+  );
+  const resp = ui.prompt(
+    title,
+    `発行するラウンドの番号を入力してください。\n\n${lines.join("\n")}`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (resp.getSelectedButton() !== ui.Button.OK) {
+    logInfo("Round selection cancelled");
+    return undefined;
+  }
+  const index = parseSelectionNumber(resp.getResponseText(), candidates.length);
+  const picked = index === undefined ? undefined : candidates[index];
+  if (!picked) {
+    throw new Error(`不正な番号です: ${resp.getResponseText()}`);
+  }
+  return picked;
+};
+
+/**
+ * 見積もり必要_チーム のチームを番号入力ダイアログで選択させる。チームが 1 つなら選択しない。
+ * @param {string} title - ダイアログのタイトル
+ * @returns {EstimateTeam|undefined} キャンセル時は undefined
+ */
+const promptEstimateTeam = (title) => {
+  const teams = getEstimateTeams();
+  const [only] = teams;
+  if (teams.length === 1 && only) {
+    return only;
+  }
+  const ui = SpreadsheetApp.getUi();
+  const lines = teams.map((t, i) => `${i + 1}: ${t.name}`);
+  const resp = ui.prompt(
+    title,
+    `対象のチームの番号を入力してください。\n\n${lines.join("\n")}`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (resp.getSelectedButton() !== ui.Button.OK) {
+    logInfo("Team selection cancelled", { title });
+    return undefined;
+  }
+  const index = parseSelectionNumber(resp.getResponseText(), teams.length);
+  const picked = index === undefined ? undefined : teams[index];
+  if (!picked) {
+    throw new Error(`不正な番号です: ${resp.getResponseText()}`);
+  }
+  return picked;
+};
+
+/** ===== 追加: 見積もりのクローズ =================== */
+
+/**
+ * 中間スプシに回答を送信している Google Form を取得する。
+ * 見積もり履歴には回答用 URL しか残らないため、編集対象の Form は中間スプシから辿る。
+ * @param {string} midUrl - 中間スプシの URL
+ * @returns {GoogleAppsScript.Forms.Form}
+ */
+const getFormFromMidSpreadsheetUrl = (midUrl) => {
+  const spreadsheet = SpreadsheetApp.openById(
+    extractSpreadsheetIdFromUrl(midUrl)
+  );
+  const formUrl = spreadsheet.getFormUrl();
+  if (!formUrl) {
+    throw new Error(
+      `中間スプシに Google Form がリンクされていません: ${midUrl}`
+    );
+  }
+  return FormApp.openByUrl(formUrl);
+};
+
+/**
+ * 見積もりの Google Form の回答受付を停止する
+ * @param {string} midUrl - 中間スプシの URL
+ */
+const closeEstimateForm = (midUrl) => {
+  const form = getFormFromMidSpreadsheetUrl(midUrl);
+  form.setAcceptingResponses(false);
+  form.setCustomClosedFormMessage(ESTIMATE_FORM_CLOSED_MESSAGE);
+  logInfo("Form stopped accepting responses", { midUrl, formId: form.getId() });
+};
+
+/**
+ * 中間スプシの「結果まとめ」の評価済みの値を、結果スプシの「結果まとめ」テーブルへコピーする。
+ * 見積もり対象のリンクも引き継ぐ。判定ルールなどの任意列は両方にある場合のみ。
+ * 結果スプシに判定ルール列が無い場合は、ステータス列の見出しのメモに判定ルールを残す。
+ * @param {string} midUrl - 中間スプシの URL
+ * @param {string} resultUrl - 結果スプシの URL
+ * @param {string} ruleLabel - 集計に使った判定ルール（ConsensusRule の label）
+ * @returns {number} コピーした行数
+ */
+const exportResultSummary = (midUrl, resultUrl, ruleLabel) => {
+  const midId = extractSpreadsheetIdFromUrl(midUrl);
+  const resultId = extractSpreadsheetIdFromUrl(resultUrl);
+
+  const srcMeta = getTableMetaInSpreadsheet(
+    midId,
+    resultSummaryTable.tableName
+  );
+  const srcCells = readTableCells(midId, srcMeta);
+  const srcHeader = srcCells[0];
+  if (!srcHeader) {
+    throw new Error(`Table is empty: ${resultSummaryTable.tableName}`);
+  }
+  const src = getTableHeaderInfo(srcMeta, [srcHeader.map((c) => c.text)]);
+
+  const dstMeta = getTableMetaInSpreadsheet(
+    resultId,
+    resultSummaryTable.tableName
+  );
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  const dstValues =
+    Sheets.Spreadsheets.Values.get(
+      resultId,
+      gridRangeToA1(dstMeta.range, dstMeta.sheetTitle)
+    ).values || [];
+  const dst = getTableHeaderInfo(dstMeta, dstValues);
+
+  // 任意列は両方のテーブルにある場合だけコピーする
+  /** @type {Array<{ srcIdx: number, dstIdx: number }>} */
+  const columns = [];
+  for (const name of Object.values(resultSummaryTable.headers)) {
+    if (!RESULT_SUMMARY_OPTIONAL_HEADERS.includes(name)) {
+      columns.push({
+        srcIdx: src.idxByName(name),
+        dstIdx: dst.idxByName(name),
+      });
+      continue;
+    }
+    const srcIdx = src.idxByNameOrUndefined(name);
+    const dstIdx = dst.idxByNameOrUndefined(name);
+    if (srcIdx !== undefined && dstIdx !== undefined) {
+      columns.push({ srcIdx, dstIdx });
+    }
+  }
+  const srcIdIdx = src.idxByName(resultSummaryTable.headers.id);
+  const srcTargetIdx = src.idxByName(resultSummaryTable.headers.estimateTarget);
+  const dstTargetIdx = dst.idxByName(resultSummaryTable.headers.estimateTarget);
+  const dstColCount = dst.endCol0 - dst.startCol0;
+
+  const srcRows = srcCells
+    .slice(1)
+    .filter((r) => (r[srcIdIdx]?.text ?? "") !== "");
+  const dataRows = srcRows.map((r) => {
+    const row = Array(dstColCount).fill("");
+    for (const { srcIdx, dstIdx } of columns) {
+      row[dstIdx] = r[srcIdx]?.text ?? "";
+    }
+    return row;
+  });
+
+  replaceTableDataRows(resultId, dstMeta, dataRows);
+
+  // 見積もり対象列にリンクを設定
+  const dataStartRow = dstMeta.range.startRowIndex + 1;
+  /** @type {Array<GoogleAppsScript.Sheets.Schema.Request>} */
+  const linkRequests = [];
+  for (let i = 0; i < srcRows.length; i++) {
+    const cell = srcRows[i]?.[srcTargetIdx];
+    if (!cell || !cell.text || !cell.url) {
+      continue;
+    }
+    const colIndex = dst.startCol0 + dstTargetIdx;
+    linkRequests.push({
+      updateCells: {
+        range: {
+          sheetId: dstMeta.sheetId,
+          startRowIndex: dataStartRow + i,
+          endRowIndex: dataStartRow + i + 1,
+          startColumnIndex: colIndex,
+          endColumnIndex: colIndex + 1,
+        },
+        rows: [{ values: [buildLinkCell(cell.text, cell.url)] }],
+        fields: "userEnteredValue,textFormatRuns",
+      },
+    });
+  }
+  // 判定ルール列が無くても、どのルールで確定したかを結果スプシに残す
+  /** @type {Array<GoogleAppsScript.Sheets.Schema.Request>} */
+  const noteRequests = [];
+  if (dst.idxByNameOrUndefined(resultSummaryTable.headers.rule) === undefined) {
+    const colIndex =
+      dst.startCol0 + dst.idxByName(resultSummaryTable.headers.status);
+    noteRequests.push({
+      updateCells: {
+        range: {
+          sheetId: dstMeta.sheetId,
+          startRowIndex: dstMeta.range.startRowIndex,
+          endRowIndex: dstMeta.range.startRowIndex + 1,
+          startColumnIndex: colIndex,
+          endColumnIndex: colIndex + 1,
+        },
+        rows: [
+          {
+            values: [
+              { note: `${resultSummaryTable.headers.rule}: ${ruleLabel}` },
+            ],
+          },
+        ],
+        fields: "note",
+      },
+    });
+  }
+  if (linkRequests.length || noteRequests.length) {
+    Sheets.Spreadsheets.batchUpdate(
+      { requests: [...linkRequests, ...noteRequests] },
+      resultId
+    );
+  }
+
+  logInfo("Exported ResultSummary to result spreadsheet", {
+    midUrl,
+    resultUrl,
+    rows: dataRows.length,
+    linksSet: linkRequests.length,
+  });
+  return dataRows.length;
+};
+
+/**
+ * 見積もりをクローズする。
+ * Form の回答受付停止 → 結果まとめの集計 → 結果スプシへの結果コピー → 見積もり履歴のステータス・完了メッセージ更新 → Slack 送信
+ * @param {EstimateHistoryRow} historyRow - 対象の見積もり履歴の行
+ */
+const closeEstimate = (historyRow) => {
+  logInfo("closeEstimate start", { midText: historyRow.midText });
+  if (!historyRow.resultUrl) {
+    throw new Error(`結果スプシのリンクがありません: ${historyRow.midText}`);
+  }
+
+  closeEstimateForm(historyRow.midUrl);
+  removeRoundTriggers(historyRow.midUrl);
+  const summaries = refreshResultSummary(historyRow.midUrl, historyRow.team);
+  const exportedRows = exportResultSummary(
+    historyRow.midUrl,
+    historyRow.resultUrl,
+    getConsensusRule(historyRow.team).label
+  );
+  // 発行時の完了メッセージには集計が無いため、集計入りのメッセージで置き換えてから送る
+  const completionMessage = buildCompletionSlackMessage(
+    historyRow.resultUrl,
+    summaries
+  );
+  updateEstimateHistoryRow(
+    historyRow.midUrl,
+    {
+      status: ESTIMATE_HISTORY_STATUS.closed,
+      completionSlack: completionMessage,
+    },
+    historyRow.team
+  );
+  notifySlackIfConfigured(historyRow.midUrl, "完了", completionMessage);
+
+  logInfo("closeEstimate completed", {
+    midText: historyRow.midText,
+    exportedRows,
+  });
+  return { midText: historyRow.midText, exportedRows };
+};
+
+/** ===== 追加: 古い見積もりのアーカイブ =================== */
+
+/** @typedef {GoogleAppsScript.Drive_v3.Drive.V3.Schema.Permission} DrivePermission */
+
+/** archive-after-days が未設定の場合に、アーカイブ対象とする見積もり日からの経過日数 */
+const DEFAULT_ARCHIVE_AFTER_DAYS = 90;
+
+/**
+ * 見積もり日から何日経った見積もりをアーカイブするか（見積もり必要_設定 の archive-after-days）
+ * @returns {number}
+ */
+const getArchiveAfterDays = () => {
+  const raw = getEstimateSetting(SETTING_KEYS.archiveAfterDays);
+  if (raw === undefined) {
+    return DEFAULT_ARCHIVE_AFTER_DAYS;
+  }
+  const days = Number(raw);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error(
+      `${SETTING_KEYS.archiveAfterDays} は 0 以上の整数で指定してください: ${raw}`
+    );
+  }
+  return days;
+};
+
+/**
+ * アーカイブしたファイルの移動先（見積もり必要_設定 の archive-folder-url）
+ * @returns {string}
+ */
+const getArchiveFolderUrl = () => {
+  const url = getEstimateSetting(SETTING_KEYS.archiveFolderUrl);
+  if (!url) {
+    throw new Error(
+      `見積もり必要_設定 に ${SETTING_KEYS.archiveFolderUrl}（アーカイブ先のフォルダ）を設定してください`
+    );
+  }
+  return url;
+};
+
+/**
+ * アーカイブ対象の見積もりを選ぶ。クローズ済み・キャンセルの見積もりのうち、
+ * 見積もり日から days 日以上経ったもの（見積もり日を解釈できない行は対象外）。
+ * @param {Array<EstimateHistoryRow>} rows
+ * @param {number} days
+ * @param {Date} now
+ * @returns {Array<EstimateHistoryRow>}
+ */
+const selectArchivableRounds = (rows, days, now) => {
+  const threshold = new Date(now.getTime());
+  threshold.setDate(threshold.getDate() - days);
+  return rows.filter((row) => {
+    if (
+      row.status !== ESTIMATE_HISTORY_STATUS.closed &&
+      row.status !== ESTIMATE_HISTORY_STATUS.cancelled
+    ) {
+      return false;
+    }
+    try {
+      return parseDeadlineDateTime(row.date).getTime() <= threshold.getTime();
+    } catch (_e) {
+      return false;
+    }
+  });
+};
+
+/**
+ * ファイルの権限のうち、見積もりのメンバーに付与した閲覧・回答の権限を選ぶ。
+ * 編集者（POグループ）・オーナー、POグループのアドレス、リンク共有（anyone / domain）、
+ * メンバー以外に手で共有した権限は残す。
+ * @param {Array<DrivePermission>} permissions
+ * @param {Array<string>} memberEmails - 見積もりのメンバー（中間スプシのメンバー）のアドレス
+ * @param {Array<string>} poEmails
+ */
+const selectMemberPermissionsToRemove = (
+  permissions,
+  memberEmails,
+  poEmails
+) => {
+  const members = new Set(memberEmails.map((e) => e.toLowerCase()));
+  const po = new Set(poEmails.map((e) => e.toLowerCase()));
+  return permissions.filter((p) => {
+    const email = (p.emailAddress ?? "").toLowerCase();
+    return (
+      (p.type === "user" || p.type === "group") &&
+      (p.role === "reader" || p.role === "commenter") &&
+      members.has(email) &&
+      !po.has(email)
+    );
+  });
+};
+
+/**
+ * ファイルに付いている権限を一覧する（共有ドライブのファイルも可）
+ * @param {string} fileId
+ * @returns {Array<DrivePermission>}
+ */
+const listDrivePermissions = (fileId) =>
+  Drive.Permissions.list(fileId, {
+    supportsAllDrives: true,
+    fields: "permissions(id,type,role,emailAddress,view,permissionDetails)",
+  }).permissions ?? [];
+
+/**
+ * ファイルから権限を 1 件外す（失敗時は例外）
+ * @param {string} fileId
+ * @param {DrivePermission} permission - listDrivePermissions の要素
+ */
+const removeDrivePermission = (fileId, permission) => {
+  if (!permission.id) {
+    throw new Error(`権限の ID がありません: ${permission.emailAddress ?? ""}`);
+  }
+  Drive.Permissions.remove(fileId, permission.id, { supportsAllDrives: true });
+  logInfo(
+    `Permission (${permission.role}) removed from ${permission.emailAddress}`,
+    {
+      fileId,
+    }
+  );
+};
+
+/**
+ * ファイルの権限 1 件の役割を変える（失敗時は例外）
+ * @param {string} fileId
+ * @param {DrivePermission} permission - listDrivePermissions の要素
+ * @param {PlannedPermission["role"]} role
+ */
+const updateDrivePermissionRole = (fileId, permission, role) => {
+  if (!permission.id) {
+    throw new Error(`権限の ID がありません: ${permission.emailAddress ?? ""}`);
+  }
+  Drive.Permissions.update({ role }, fileId, permission.id, {
+    supportsAllDrives: true,
+  });
+  logInfo(
+    `Permission of ${permission.emailAddress} changed from ${permission.role} to ${role}`,
+    { fileId }
+  );
+};
+
+/**
+ * ファイルからメンバーの閲覧・回答の権限を外す
+ * @param {string} fileId
+ * @param {string} fileType - ファイルの種類（ログ用）
+ * @param {Array<string>} memberEmails
+ * @param {Array<string>} poEmails
+ * @returns {{ removed: number, failed: number }}
+ */
+const removeMemberPermissions = (fileId, fileType, memberEmails, poEmails) => {
+  let removed = 0;
+  let failed = 0;
+  for (const p of selectMemberPermissionsToRemove(
+    listDrivePermissions(fileId),
+    memberEmails,
+    poEmails
+  )) {
+    try {
+      removeDrivePermission(fileId, p);
+      removed++;
+    } catch (err) {
+      const e = err instanceof Error ? err : new Error(String(err));
+      logWarn(
+        `Failed to remove permission of ${p.emailAddress} for ${fileType}`,
+        {
+          fileId,
+          error: e.message,
+        }
+      );
+      failed++;
+    }
+  }
+  logInfo(`Removed member permissions for ${fileType}`, {
+    fileId,
+    removed,
+    failed,
+  });
+  return { removed, failed };
+};
+
+/**
+ * 見積もりのファイルをアーカイブ先へ移動する。
+ * 見積もり 1 回分のフォルダがあればフォルダごと、無ければ 3 つのファイルを移動する。
+ * @param {EstimateHistoryRow} historyRow
+ * @param {string} formId - 中間スプシにリンクされた Google Form の ID
+ * @param {string} archiveFolderUrl
+ */
+const moveRoundToArchive = (historyRow, formId, archiveFolderUrl) => {
+  const archive = getDriveFolderFromUrl(archiveFolderUrl);
+  if (historyRow.folderUrl) {
+    getDriveFolderFromUrl(historyRow.folderUrl).moveTo(archive);
+    return;
+  }
+  const fileIds = [
+    extractSpreadsheetIdFromUrl(historyRow.midUrl),
+    formId,
+    extractSpreadsheetIdFromUrl(historyRow.resultUrl),
+  ];
+  for (const fileId of fileIds) {
+    DriveApp.getFileById(fileId).moveTo(archive);
+  }
+};
+
+/**
+ * @typedef {{ midText: string, ok: boolean, removed: number, failed: number, message: string }} ArchiveResult
+ */
+
+/**
+ * 権限を外した後のアーカイブの仕上げ。権限の削除に 1 件でも失敗した場合は移動もステータスの更新もしない
+ * （アーカイブ済みの見積もりはアーカイブ・監査の対象外になり、残った権限を誰も見つけられなくなるため）。
+ * 次のアーカイブで同じ見積もりを再び対象にして削除をやり直す。
+ * @param {EstimateHistoryRow} historyRow
+ * @param {{ removed: number, failed: number }} counts - 権限の削除結果
+ * @param {{ moveToArchive: () => void, markArchived: () => void }} actions
+ * @returns {ArchiveResult}
+ */
+const completeRoundArchive = (historyRow, { removed, failed }, actions) => {
+  if (failed) {
+    logWarn("Estimate not archived, failed to remove permissions", {
+      midText: historyRow.midText,
+      removed,
+      failed,
+    });
+    return {
+      midText: historyRow.midText,
+      ok: false,
+      removed,
+      failed,
+      message: `権限の削除に ${failed} 件失敗したためアーカイブしていません。次回のアーカイブで再試行します`,
+    };
+  }
+  actions.moveToArchive();
+  actions.markArchived();
+  logInfo("Estimate archived", { midText: historyRow.midText, removed });
+  return {
+    midText: historyRow.midText,
+    ok: true,
+    removed,
+    failed,
+    message: "",
+  };
+};
+
+/**
+ * 見積もりをアーカイブする。メンバーの権限を外し（POグループの編集権限は残す）、
+ * ファイルをアーカイブ先へ移動して、見積もり履歴をアーカイブ済みにする。
+ * 権限を外しきれなかった場合はアーカイブしない（completeRoundArchive）。
+ * @param {EstimateHistoryRow} historyRow
+ * @param {string} archiveFolderUrl
+ * @returns {ArchiveResult}
+ */
+const archiveEstimateRound = (historyRow, archiveFolderUrl) => {
+  const poEmails = getPoEmails(historyRow.team);
+  const memberEmails = getMidMemberStatuses(historyRow.midUrl).map(
+    (m) => m.email
+  );
+  const formId = getFormFromMidSpreadsheetUrl(historyRow.midUrl).getId();
+  let removed = 0;
+  let failed = 0;
+  const files = [
+    { fileId: formId, fileType: ESTIMATE_FILE_TYPES.form },
+    {
+      fileId: extractSpreadsheetIdFromUrl(historyRow.resultUrl),
+      fileType: ESTIMATE_FILE_TYPES.result,
+    },
+  ];
+  for (const { fileId, fileType } of files) {
+    const r = removeMemberPermissions(fileId, fileType, memberEmails, poEmails);
+    removed += r.removed;
+    failed += r.failed;
+  }
+  return completeRoundArchive(
+    historyRow,
+    { removed, failed },
+    {
+      moveToArchive: () =>
+        moveRoundToArchive(historyRow, formId, archiveFolderUrl),
+      markArchived: () =>
+        updateEstimateHistoryRow(
+          historyRow.midUrl,
+          { status: ESTIMATE_HISTORY_STATUS.archived },
+          historyRow.team
+        ),
+    }
+  );
+};
+
+/**
+ * アーカイブの結果をユーザー向けの文にする
+ * @param {Array<ArchiveResult>} results
+ * @returns {string}
+ */
+const formatArchiveResults = (results) => {
+  const okCount = results.filter((r) => r.ok).length;
+  const lines = [
+    `アーカイブ: 成功 ${okCount} 件 / 失敗 ${results.length - okCount} 件`,
+  ];
+  for (const r of results) {
+    lines.push(
+      `- ${r.midText}: ${
+        r.ok ? `OK（権限 ${r.removed} 件を削除）` : `失敗（${r.message}）`
+      }`
+    );
+  }
+  return lines.join("\n");
+};
+
+tests.push({
+  name: "archive:select",
+  failMessage: "アーカイブ対象・削除する権限の選択が不正です",
+  check: () => {
+    /** @type {(date: string, status: string) => EstimateHistoryRow} */
+    const row = (date, status) => ({
+      rowIndex0: 0,
+      date,
+      midText: date,
+      midUrl: "m",
+      formUrl: "",
+      resultText: "",
+      resultUrl: "",
+      folderUrl: "",
+      status,
+      slackResult: "",
+      team: DEFAULT_TEAM,
+    });
+    const now = new Date(2025, 11, 1, 12, 0);
+    const selected = selectArchivableRounds(
+      [
+        row("2025-08-01", ESTIMATE_HISTORY_STATUS.closed),
+        row("2025-08-02", ESTIMATE_HISTORY_STATUS.open),
+        row("2025/8/3", ESTIMATE_HISTORY_STATUS.cancelled),
+        row("2025-11-20", ESTIMATE_HISTORY_STATUS.closed),
+        row("2025-08-04", ESTIMATE_HISTORY_STATUS.archived),
+        row("不明", ESTIMATE_HISTORY_STATUS.closed),
+      ],
+      90,
+      now
+    );
+    const toRemove = selectMemberPermissionsToRemove(
+      [
+        {
+          id: "1",
+          type: "user",
+          role: "owner",
+          emailAddress: "runner@example.com",
+        },
+        {
+          id: "2",
+          type: "user",
+          role: "writer",
+          emailAddress: "po@example.com",
+        },
+        {
+          id: "3",
+          type: "user",
+          role: "reader",
+          emailAddress: "alice@example.com",
+        },
+        {
+          id: "4",
+          type: "user",
+          role: "reader",
+          view: "published",
+          emailAddress: "Bob@example.com",
+        },
+        {
+          id: "5",
+          type: "user",
+          role: "reader",
+          emailAddress: "PO@example.com",
+        },
+        // リンク共有とメンバー以外の閲覧者は残す
+        { id: "6", type: "anyone", role: "reader" },
+        { id: "7", type: "domain", role: "reader", domain: "example.com" },
+        {
+          id: "8",
+          type: "user",
+          role: "reader",
+          emailAddress: "stakeholder@example.com",
+        },
+        {
+          id: "9",
+          type: "group",
+          role: "reader",
+          emailAddress: "dev-team@example.com",
+        },
+      ],
+      [
+        "alice@example.com",
+        "bob@example.com",
+        "po@example.com",
+        "dev-team@example.com",
+      ],
+      ["po@example.com"]
+    );
+    return (
+      selected.map((r) => r.date).join(",") === "2025-08-01,2025/8/3" &&
+      toRemove.map((p) => p.id).join(",") === "3,4,9"
+    );
+  },
+});
+
+tests.push({
+  name: "archive:removal_failed",
+  failMessage: "権限の削除に失敗した見積もりがアーカイブされています",
+  check: () => {
+    /** @type {Array<string>} */
+    const calls = [];
+    const actions = {
+      moveToArchive: () => {
+        calls.push("move");
+      },
+      markArchived: () => {
+        calls.push("archived");
+      },
+    };
+    /** @type {EstimateHistoryRow} */
+    const row = {
+      rowIndex0: 0,
+      date: "2025-08-01",
+      midText: "8/1",
+      midUrl: "m",
+      formUrl: "",
+      resultText: "",
+      resultUrl: "",
+      folderUrl: "",
+      status: ESTIMATE_HISTORY_STATUS.closed,
+      slackResult: "",
+      team: DEFAULT_TEAM,
+    };
+    const failed = completeRoundArchive(
+      row,
+      { removed: 2, failed: 1 },
+      actions
+    );
+    const callsAfterFailure = calls.join(",");
+    const archived = completeRoundArchive(
+      row,
+      { removed: 3, failed: 0 },
+      actions
+    );
+    return (
+      !failed.ok &&
+      failed.failed === 1 &&
+      callsAfterFailure === "" &&
+      archived.ok &&
+      calls.join(",") === "move,archived" &&
+      selectArchivableRounds([row], 90, new Date(2025, 11, 1)).length === 1
+    );
+  },
+});
+
+/** ===== 追加: 権限の監査と修復 =================== */
+
+/** 権限の監査結果を書き出すシート（監査のたびに作り直す） */
+const permissionAuditSheet = {
+  sheetName: "権限監査",
+  headers: {
+    round: "見積もり",
+    fileType: "ファイル",
+    email: "メールアドレス",
+    kind: "差分",
+    expected: "期待",
+    actual: "実際",
+  },
+};
+
+/** 期待する権限と実際の権限の差分の種類 */
+const PERMISSION_DRIFT_KIND = {
+  missing: "不足",
+  extra: "余分",
+  wrongRole: "権限違い",
+};
+
+/**
+ * 期待する権限と実際の権限の差分 1 件。
+ * missing は expected のみ、extra は actual のみ、wrongRole は両方を持つ。
+ * @typedef {{
+ *   round: string,
+ *   fileType: string,
+ *   fileId: string,
+ *   email: string,
+ *   kind: string,
+ *   expected?: PlannedPermission,
+ *   actual?: DrivePermission,
+ * }} PermissionDrift
+ */
+
+/**
+ * 監査の対象にする権限か。オーナー・共有ドライブの管理者と、
+ * 共有ドライブから継承した権限（ファイル単位では変えられない）は対象外。
+ * @param {DrivePermission} p
+ */
+const isAuditedPermission = (p) => {
+  if (p.type !== "user" && p.type !== "group") {
+    return false;
+  }
+  if (
+    p.role === "owner" ||
+    p.role === "organizer" ||
+    p.role === "fileOrganizer"
+  ) {
+    return false;
+  }
+  const details = p.permissionDetails ?? [];
+  return !(details.length && details.every((d) => d.inherited));
+};
+
+/**
+ * 権限の種類を表示用の文字列にする
+ * @param {string|undefined} role
+ * @param {string|undefined} view
+ */
+const describePermissionRole = (role, view) => {
+  if (view === "published") {
+    return "回答者";
+  }
+  if (role === "writer") {
+    return "編集者";
+  }
+  if (role === "commenter") {
+    return "閲覧者（コメント可）";
+  }
+  return role === "reader" ? "閲覧者" : (role ?? "");
+};
+
+/**
+ * 1 ファイルの期待する権限と実際の権限を比べ、差分を返す（副作用なし）。
+ * メールアドレスごとに、役割と view が一致するものを除いた残りを
+ * 権限違い（両方に残る）・不足（期待のみ）・余分（実際のみ）に分ける。
+ * @param {{ round: string, fileType: string, fileId: string }} file
+ * @param {Array<PlannedPermission>} expected
+ * @param {Array<DrivePermission>} actual
+ * @returns {Array<PermissionDrift>}
+ */
+const diffPermissions = (file, expected, actual) => {
+  /** @type {(email: string|undefined) => string} */
+  const key = (email) => (email ?? "").trim().toLowerCase();
+  /** @type {(a: DrivePermission, e: PlannedPermission) => boolean} */
+  const same = (a, e) => a.role === e.role && (a.view ?? "") === (e.view ?? "");
+  const audited = actual.filter(isAuditedPermission);
+  const emails = [
+    ...new Set([
+      ...expected.map((e) => key(e.email)),
+      ...audited.map((a) => key(a.emailAddress)),
+    ]),
+  ];
+  /** @type {Array<PermissionDrift>} */
+  const drifts = [];
+  for (const email of emails) {
+    const restExpected = expected.filter((e) => key(e.email) === email);
+    const restActual = audited.filter((a) => key(a.emailAddress) === email);
+    for (let i = restExpected.length - 1; i >= 0; i--) {
+      const e = restExpected[i];
+      const j = e ? restActual.findIndex((a) => same(a, e)) : -1;
+      if (j >= 0) {
+        restExpected.splice(i, 1);
+        restActual.splice(j, 1);
+      }
+    }
+    const count = Math.max(restExpected.length, restActual.length);
+    for (let i = 0; i < count; i++) {
+      const e = restExpected[i];
+      const a = restActual[i];
+      drifts.push({
+        ...file,
+        email,
+        kind:
+          e && a
+            ? PERMISSION_DRIFT_KIND.wrongRole
+            : e
+              ? PERMISSION_DRIFT_KIND.missing
+              : PERMISSION_DRIFT_KIND.extra,
+        ...(e ? { expected: e } : {}),
+        ...(a ? { actual: a } : {}),
+      });
+    }
+  }
+  return drifts;
+};
+
+/**
+ * 見積もり 1 回分の 3 ファイルの権限を監査する。
+ * 期待する権限は POグループメンバー と 見積もり必要_メンバー から作る
+ * （メンバーは中間スプシの「メンバー」テーブルにいる人に絞る）。
+ * @param {EstimateHistoryRow} historyRow
+ * @returns {Array<PermissionDrift>}
+ */
+const auditRoundPermissions = (historyRow) => {
+  const { team } = historyRow;
+  const roundEmails = new Set(
+    getMidMemberStatuses(historyRow.midUrl).map((m) => m.email.toLowerCase())
+  );
+  const members = getEstimateRequiredMembers(team).filter((m) =>
+    roundEmails.has(m.email.trim().toLowerCase())
+  );
+  const expected = planEstimatePermissions(members, getPoShareInfo(team));
+  const round = withTeamLabel(team.name, historyRow.midText);
+  const files = [
+    {
+      fileType: ESTIMATE_FILE_TYPES.mid,
+      fileId: extractSpreadsheetIdFromUrl(historyRow.midUrl),
+    },
+    {
+      fileType: ESTIMATE_FILE_TYPES.form,
+      fileId: getFormFromMidSpreadsheetUrl(historyRow.midUrl).getId(),
+    },
+    {
+      fileType: ESTIMATE_FILE_TYPES.result,
+      fileId: extractSpreadsheetIdFromUrl(historyRow.resultUrl),
+    },
+  ];
+  return files.flatMap(({ fileType, fileId }) =>
+    diffPermissions(
+      { round, fileType, fileId },
+      expected.filter((p) => p.fileType === fileType),
+      listDrivePermissions(fileId)
+    )
+  );
+};
+
+/**
+ * アーカイブ済みを除く全ての見積もりの権限を監査する。
+ * 監査できなかった見積もり（ファイルが開けない等）は errors に入れる。
+ * @returns {{ drifts: Array<PermissionDrift>, errors: Array<{ round: string, message: string }> }}
+ */
+const auditAllRoundPermissions = () => {
+  /** @type {Array<PermissionDrift>} */
+  const drifts = [];
+  /** @type {Array<{ round: string, message: string }>} */
+  const errors = [];
+  const rows = getAllEstimateHistoryRows().filter(
+    (r) => r.status !== ESTIMATE_HISTORY_STATUS.archived
+  );
+  for (const row of rows) {
+    try {
+      drifts.push(...auditRoundPermissions(row));
+    } catch (err) {
+      const e = err instanceof Error ? err : new Error(String(err));
+      logWarn("Failed to audit permissions", {
+        midText: row.midText,
+        error: e.message,
+      });
+      errors.push({
+        round: withTeamLabel(row.team.name, row.midText),
+        message: e.message,
+      });
+    }
+  }
+  logInfo("Permission audit completed", {
+    rounds: rows.length,
+    drifts: drifts.length,
+    errors: errors.length,
+  });
+  return { drifts, errors };
+};
+
+/**
+ * 監査の結果を監査シートの行（見積もり, ファイル, メールアドレス, 差分, 期待, 実際）にする
+ * @param {Array<PermissionDrift>} drifts
+ * @param {Array<{ round: string, message: string }>} errors
+ * @returns {Array<Array<string>>}
+ */
+const buildPermissionAuditRows = (drifts, errors) => [
+  ...drifts.map((d) => [
+    d.round,
+    d.fileType,
+    d.email,
+    d.kind,
+    d.expected ? describePermissionRole(d.expected.role, d.expected.view) : "",
+    d.actual ? describePermissionRole(d.actual.role, d.actual.view) : "",
+  ]),
+  ...errors.map((e) => [e.round, "", "", "監査失敗", "", e.message]),
+];
+
+/**
+ * 監査シートを作り直して結果を書き出す
+ * @param {Array<PermissionDrift>} drifts
+ * @param {Array<{ round: string, message: string }>} errors
+ */
+const writePermissionAudit = (drifts, errors) => {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const existing = ss.getSheetByName(permissionAuditSheet.sheetName);
+  if (existing) {
+    ss.deleteSheet(existing);
+  }
+  const { headers } = permissionAuditSheet;
+  const rows = [
+    [
+      headers.round,
+      headers.fileType,
+      headers.email,
+      headers.kind,
+      headers.expected,
+      headers.actual,
+    ],
+    ...buildPermissionAuditRows(drifts, errors),
+  ];
+  const sheet = ss.insertSheet(permissionAuditSheet.sheetName);
+  sheet.getRange(1, 1, rows.length, rows[0]?.length ?? 0).setValues(rows);
+  sheet.setFrozenRows(1);
+};
+
+/**
+ * 差分 1 件を修復する。不足は付与（通知なし）、余分は削除する。
+ * 権限違いは view が同じなら役割だけ変え、違えば付与してから古い権限を外す
+ * （途中で失敗してもアクセスできない状態を作らない）。
+ * @param {PermissionDrift} drift
+ */
+const repairPermissionDrift = (drift) => {
+  const { fileId, expected, actual } = drift;
+  if (expected && actual && (actual.view ?? "") === (expected.view ?? "")) {
+    updateDrivePermissionRole(fileId, actual, expected.role);
+    return;
+  }
+  if (expected) {
+    const result = createDrivePermissionService().grant(fileId, {
+      ...expected,
+      notify: false,
+    });
+    if (result.status === PERMISSION_GRANT_STATUS.failed) {
+      throw new Error(result.message);
+    }
+  }
+  if (!actual) {
+    return;
+  }
+  // 付与で同じ権限が書き換わっていたら外さない
+  const current = expected
+    ? listDrivePermissions(fileId).find((p) => p.id === actual.id)
+    : actual;
+  if (
+    current &&
+    current.role === actual.role &&
+    (current.view ?? "") === (actual.view ?? "")
+  ) {
+    removeDrivePermission(fileId, actual);
+  }
+};
+
+/**
+ * 差分を全て修復し、結果を返す（1 件が失敗しても残りは続ける）
+ * @param {Array<PermissionDrift>} drifts
+ * @returns {Array<{ drift: PermissionDrift, ok: boolean, message: string }>}
+ */
+const repairPermissionDrifts = (drifts) =>
+  drifts.map((drift) => {
+    try {
+      repairPermissionDrift(drift);
+      return { drift, ok: true, message: "" };
+    } catch (err) {
+      const e = err instanceof Error ? err : new Error(String(err));
+      logWarn(`Failed to repair permission of ${drift.email}`, {
+        round: drift.round,
+        fileType: drift.fileType,
+        kind: drift.kind,
+        error: e.message,
+      });
+      return { drift, ok: false, message: e.message };
+    }
+  });
+
+tests.push({
+  name: "permission_audit:diff",
+  failMessage: "権限の差分の判定が不正です",
+  check: () => {
+    /** @type {(email: string, role: PlannedPermission["role"], view?: "published") => PlannedPermission} */
+    const planned = (email, role, view) => ({
+      fileType: ESTIMATE_FILE_TYPES.form,
+      type: "user",
+      email,
+      role,
+      ...(view ? { view } : {}),
+      notify: false,
+    });
+    const drifts = diffPermissions(
+      { round: "r", fileType: ESTIMATE_FILE_TYPES.form, fileId: "f" },
+      [
+        planned("po@example.com", "writer"),
+        planned("alice@example.com", "reader", "published"),
+        planned("bob@example.com", "reader", "published"),
+        planned("carol@example.com", "reader", "published"),
+      ],
+      [
+        {
+          id: "0",
+          type: "user",
+          role: "owner",
+          emailAddress: "runner@example.com",
+        },
+        {
+          id: "1",
+          type: "user",
+          role: "writer",
+          emailAddress: "PO@example.com",
+        },
+        {
+          id: "2",
+          type: "user",
+          role: "reader",
+          view: "published",
+          emailAddress: "alice@example.com",
+        },
+        {
+          id: "3",
+          type: "user",
+          role: "reader",
+          emailAddress: "bob@example.com",
+        },
+        {
+          id: "4",
+          type: "user",
+          role: "reader",
+          emailAddress: "mallory@example.com",
+        },
+        {
+          id: "5",
+          type: "user",
+          role: "reader",
+          emailAddress: "drive@example.com",
+          permissionDetails: [{ inherited: true }],
+        },
+      ]
+    );
+    const rows = buildPermissionAuditRows(drifts, [
+      { round: "x", message: "m" },
+    ]);
+    return (
+      drifts.map((d) => `${d.email}:${d.kind}`).join(",") ===
+        [
+          `bob@example.com:${PERMISSION_DRIFT_KIND.wrongRole}`,
+          `carol@example.com:${PERMISSION_DRIFT_KIND.missing}`,
+          `mallory@example.com:${PERMISSION_DRIFT_KIND.extra}`,
+        ].join(",") &&
+      rows[0]?.join("|") ===
+        "r|Google Form|bob@example.com|権限違い|回答者|閲覧者" &&
+      rows[3]?.[3] === "監査失敗"
+    );
+  },
+});
+
+/** ===== 追加: セットアップの検証 =================== */
+
+/** セットアップの検証結果を書き出すシート（検証のたびに作り直す） */
+const setupValidationSheet = {
+  sheetName: "セットアップ検証",
+  headers: {
+    severity: "重大度",
+    target: "対象",
+    message: "内容",
+  },
+};
+
+/**
+ * 検証結果の重大度。エラーは発行が途中で失敗する設定、警告は行が読み飛ばされる設定。
+ */
+const SETUP_SEVERITY = {
+  error: "エラー",
+  warning: "警告",
+  ok: "OK",
+};
+
+/** @typedef {{ severity: string, target: string, message: string }} SetupFinding */
+
+/**
+ * 検証するテーブル。
+ * - optional: テーブル自体が無くても動く
+ * - optionalHeaders: 無くても動く列
+ * - enums: 列名 -> 許される値（空欄を許す場合は "" を含める）
+ * @typedef {{
+ *   tableName: string,
+ *   headers: Record<string, string>,
+ *   optional: boolean,
+ *   optionalHeaders: Array<string>,
+ *   enums: Record<string, Array<string>>,
+ * }} SetupTableSpec
+ */
+
+/**
+ * チームごとに読むテーブルの検証内容
+ * @param {EstimateTeam} team
+ * @returns {Array<SetupTableSpec>}
+ */
+const buildTeamTableSpecs = (team) => [
+  {
+    tableName: team.templates,
+    headers: estimateTemplatesTable.headers,
+    optional: false,
+    optionalHeaders: [],
+    enums: {},
+  },
+  {
+    tableName: team.poMembers,
+    headers: poGroupMembersTable.headers,
+    optional: false,
+    optionalHeaders: [poGroupMembersTable.headers.shareType],
+    enums: {
+      [poGroupMembersTable.headers.shareType]: [
+        "",
+        SHARE_TYPE.user,
+        SHARE_TYPE.group,
+      ],
+    },
+  },
+  {
+    tableName: team.members,
+    headers: estimateRequiredMembersTable.headers,
+    optional: false,
+    optionalHeaders: [
+      estimateRequiredMembersTable.headers.slackUserId,
+      estimateRequiredMembersTable.headers.shareType,
+    ],
+    enums: {
+      [estimateRequiredMembersTable.headers.responseRequired]: ["必要", "不要"],
+      [estimateRequiredMembersTable.headers.shareType]: [
+        "",
+        SHARE_TYPE.user,
+        SHARE_TYPE.group,
+      ],
+    },
+  },
+  {
+    tableName: team.issues,
+    headers: estimateIssueListTable.headers,
+    optional: false,
+    optionalHeaders: [
+      estimateIssueListTable.headers.summary,
+      estimateIssueListTable.headers.acceptanceCriteria,
+      estimateIssueListTable.headers.labels,
+      estimateIssueListTable.headers.links,
+    ],
+    enums: {},
+  },
+  {
+    tableName: team.history,
+    headers: estimateHistoryTable.headers,
+    optional: false,
+    optionalHeaders: ESTIMATE_HISTORY_OPTIONAL_HEADERS,
+    enums: {},
+  },
+];
+
+/**
+ * チームによらない操作用スプレッドシートのテーブルの検証内容
+ * @param {boolean} hasRounds - 見積もり必要_ラウンド があれば 見積もり必要_締切 は使わない
+ * @returns {Array<SetupTableSpec>}
+ */
+const buildControlTableSpecs = (hasRounds) => [
+  {
+    tableName: estimateTeamsTable.tableName,
+    headers: estimateTeamsTable.headers,
+    optional: true,
+    optionalHeaders: [],
+    enums: {},
+  },
+  {
+    tableName: estimateDeadlineTable.tableName,
+    headers: estimateDeadlineTable.headers,
+    optional: hasRounds,
+    optionalHeaders: [],
+    enums: {},
+  },
+  {
+    tableName: estimateRoundsTable.tableName,
+    headers: estimateRoundsTable.headers,
+    optional: true,
+    optionalHeaders: [
+      estimateRoundsTable.headers.anonymous,
+      estimateRoundsTable.headers.team,
+    ],
+    enums: {},
+  },
+  {
+    tableName: estimateScaleTable.tableName,
+    headers: estimateScaleTable.headers,
+    optional: true,
+    optionalHeaders: [],
+    enums: {
+      [estimateScaleTable.headers.kind]: [
+        "",
+        SCALE_KIND.point,
+        SCALE_KIND.skip,
+      ],
+    },
+  },
+  {
+    tableName: estimateSettingsTable.tableName,
+    headers: estimateSettingsTable.headers,
+    optional: true,
+    optionalHeaders: [],
+    enums: {},
+  },
+  {
+    tableName: estimateExtraQuestionsTable.tableName,
+    headers: estimateExtraQuestionsTable.headers,
+    optional: true,
+    optionalHeaders: [estimateExtraQuestionsTable.headers.required],
+    enums: {
+      [estimateExtraQuestionsTable.headers.kind]:
+        Object.values(EXTRA_QUESTION_KIND),
+    },
+  },
+];
+
+/**
+ * テンプレートの中間スプシに必要なテーブル。
+ * Form_Responses の回答列（E1. ...）はフォームに合わせて作られるため必須にしない。
+ * @type {Array<SetupTableSpec>}
+ */
+const MID_TEMPLATE_TABLE_SPECS = [
+  {
+    tableName: formResponsesTable.tableName,
+    headers: formResponsesTable.headers,
+    optional: false,
+    optionalHeaders: [
+      formResponsesTable.headers.premise,
+      formResponsesTable.headers.estimate,
+    ],
+    enums: {},
+  },
+  {
+    tableName: membersTable.tableName,
+    headers: membersTable.headers,
+    optional: false,
+    optionalHeaders: [
+      membersTable.headers.slackMention,
+      membersTable.headers.slackUserId,
+    ],
+    enums: {},
+  },
+  {
+    tableName: resultSummaryTable.tableName,
+    headers: resultSummaryTable.headers,
+    optional: false,
+    optionalHeaders: RESULT_SUMMARY_OPTIONAL_HEADERS,
+    enums: {},
+  },
+];
+
+/**
+ * テーブルの値（ヘッダー行を含む）を検証する。値が undefined ならテーブルが無い。
+ * @param {SetupTableSpec} spec
+ * @param {Array<Array<string>>|undefined} values
+ * @param {string} [location] - テーブルのある場所（対象の表示に付ける）
+ * @returns {Array<SetupFinding>}
+ */
+const checkSetupTable = (spec, values, location = "") => {
+  const target = location ? `${location} ${spec.tableName}` : spec.tableName;
+  if (values === undefined) {
+    return spec.optional
+      ? []
+      : [
+          {
+            severity: SETUP_SEVERITY.error,
+            target,
+            message: "テーブルがありません",
+          },
+        ];
+  }
+  const header = (values[0] ?? []).map((v) => String(v).trim());
+  /** @type {Array<SetupFinding>} */
+  const findings = Object.values(spec.headers)
+    .filter((name) => !spec.optionalHeaders.includes(name))
+    .filter((name) => !header.includes(name))
+    .map((name) => ({
+      severity: SETUP_SEVERITY.error,
+      target,
+      message: `ヘッダー「${name}」がありません`,
+    }));
+  for (const [name, allowed] of Object.entries(spec.enums)) {
+    const idx = header.indexOf(name);
+    if (idx === -1) {
+      continue;
+    }
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i] ?? [];
+      if (row.every((v) => !String(v ?? "").trim())) {
+        continue;
+      }
+      const value = String(row[idx] ?? "").trim();
+      if (!allowed.includes(value)) {
+        findings.push({
+          severity: SETUP_SEVERITY.warning,
+          target,
+          message: `${i} 行目の「${name}」が「${value}」です（${allowed
+            .map((a) => a || "空欄")
+            .join(" / ")} のいずれか。この行は読み飛ばされます）`,
+        });
+      }
+    }
+  }
+  return findings.length
+    ? findings
+    : [{ severity: SETUP_SEVERITY.ok, target, message: "問題ありません" }];
+};
+
+/**
+ * テンプレートのフォームが、最初の PAGE_BREAK から見積もりセクション 1 セットを持つか。
+ * @template T
+ * @param {Array<T>} types - フォームのアイテムの種類（先頭から順に）
+ * @param {Array<T>} pattern - 1 セット分のアイテムの種類（先頭は PAGE_BREAK）
+ * @returns {string|undefined} 問題があればその説明
+ */
+const findFormTemplateProblem = (types, pattern) => {
+  const [pageBreak] = pattern;
+  const start = types.indexOf(/** @type {T} */ (pageBreak));
+  if (start < 0) {
+    return `${String(pageBreak)} がありません`;
+  }
+  for (let i = 0; i < pattern.length; i++) {
+    const actual = types[start + i];
+    if (actual !== pattern[i]) {
+      return `${start + i + 1} 番目のアイテムが ${String(
+        pattern[i]
+      )} ではなく ${actual === undefined ? "なし" : String(actual)} です（${pattern
+        .map(String)
+        .join(", ")} の順に並べてください）`;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * スプレッドシート内のテーブルの値（ヘッダー行を含む）。テーブルが無ければ undefined。
+ * @param {string} spreadsheetId
+ * @param {string} tableName
+ * @returns {Array<Array<string>>|undefined}
+ */
+const readSetupTableValues = (spreadsheetId, tableName) => {
+  const meta = findTableMetaInSpreadsheet(spreadsheetId, tableName);
+  if (!meta) {
+    return undefined;
+  }
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  const a1 = gridRangeToA1(meta.range, meta.sheetTitle);
+  return Sheets.Spreadsheets.Values.get(spreadsheetId, a1).values || [];
+};
+
+/**
+ * テーブルを読んで検証する（読めなかった場合もエラーとして記録する）
+ * @param {string} spreadsheetId
+ * @param {Array<SetupTableSpec>} specs
+ * @param {string} [location]
+ * @returns {Array<SetupFinding>}
+ */
+const validateSetupTables = (spreadsheetId, specs, location) =>
+  specs.flatMap((spec) => {
+    try {
+      return checkSetupTable(
+        spec,
+        readSetupTableValues(spreadsheetId, spec.tableName),
+        location
+      );
+    } catch (err) {
+      const e = err instanceof Error ? err : new Error(String(err));
+      return [
+        {
+          severity: SETUP_SEVERITY.error,
+          target: spec.tableName,
+          message: `読み込めません: ${e.message}`,
+        },
+      ];
+    }
+  });
+
+/**
+ * 検証を 1 つ実行し、例外をエラーの検証結果にする
+ * @param {string} target
+ * @param {() => Array<SetupFinding>} check
+ * @returns {Array<SetupFinding>}
+ */
+const runSetupCheck = (target, check) => {
+  try {
+    return check();
+  } catch (err) {
+    const e = err instanceof Error ? err : new Error(String(err));
+    return [{ severity: SETUP_SEVERITY.error, target, message: e.message }];
+  }
+};
+
+/**
+ * テンプレートのリンクが開けること、フォームの構成、中間スプシのテーブルを検証する
+ * @param {EstimateTeam} team
+ * @returns {Array<SetupFinding>}
+ */
+const validateTemplates = (team) => {
+  const links = getEstimateTemplateLinks(team);
+  const target = `${team.templates} Google Form`;
+  const formFindings = runSetupCheck(target, () => {
+    const items = getFormFromUrl(links.googleForm).getItems();
+    /** @type {Array<GoogleAppsScript.Forms.ItemType>} */
+    const itemTypes = [];
+    for (let i = 0; i < items.length; i++) {
+      itemTypes.push(items[i].getType());
+    }
+    const problem = findFormTemplateProblem(
+      itemTypes,
+      getFormSectionItemTypes()
+    );
+    return [
+      problem
+        ? { severity: SETUP_SEVERITY.error, target, message: problem }
+        : { severity: SETUP_SEVERITY.ok, target, message: "問題ありません" },
+    ];
+  });
+  const midFindings = runSetupCheck(`${team.templates} 中間スプシ`, () => {
+    const spreadsheetId = extractSpreadsheetIdFromUrl(links.midSpreadsheet);
+    SpreadsheetApp.openById(spreadsheetId);
+    return validateSetupTables(
+      spreadsheetId,
+      MID_TEMPLATE_TABLE_SPECS,
+      "中間スプシ"
+    );
+  });
+  const resultTarget = `${team.templates} 結果スプシ`;
+  const resultFindings = runSetupCheck(resultTarget, () => {
+    SpreadsheetApp.openById(
+      extractSpreadsheetIdFromUrl(links.resultSpreadsheet)
+    );
+    return [
+      {
+        severity: SETUP_SEVERITY.ok,
+        target: resultTarget,
+        message: "開けます",
+      },
+    ];
+  });
+  return [...formFindings, ...midFindings, ...resultFindings];
+};
+
+/**
+ * 操作用スプレッドシートのテーブルと、全チームのテンプレートを検証する
+ * @returns {Array<SetupFinding>}
+ */
+const validateSetup = () => {
+  const spreadsheetId = SpreadsheetApp.getActiveSpreadsheet().getId();
+  const hasRounds = Boolean(
+    findTableMetaInSpreadsheet(spreadsheetId, estimateRoundsTable.tableName)
+  );
+  const findings = validateSetupTables(
+    spreadsheetId,
+    buildControlTableSpecs(hasRounds)
+  );
+  /** @type {Array<EstimateTeam>} */
+  let teams = [];
+  try {
+    teams = getEstimateTeams();
+  } catch (err) {
+    const e = err instanceof Error ? err : new Error(String(err));
+    findings.push({
+      severity: SETUP_SEVERITY.error,
+      target: estimateTeamsTable.tableName,
+      message: e.message,
+    });
+  }
+  // チーム間で共有しているテーブルは 1 度だけ検証する
+  /** @type {Set<string>} */
+  const checkedTables = new Set();
+  /** @type {Set<string>} */
+  const checkedTemplates = new Set();
+  for (const team of teams) {
+    const specs = buildTeamTableSpecs(team).filter(
+      (spec) => !checkedTables.has(spec.tableName)
+    );
+    for (const spec of specs) {
+      checkedTables.add(spec.tableName);
+    }
+    findings.push(...validateSetupTables(spreadsheetId, specs));
+    if (checkedTemplates.has(team.templates)) {
+      continue;
+    }
+    checkedTemplates.add(team.templates);
+    findings.push(
+      ...runSetupCheck(team.templates, () => validateTemplates(team))
+    );
+  }
+  return findings;
+};
+
+/**
+ * 検証シートを作り直して結果を書き出す（エラー・警告・OK の順）
+ * @param {Array<SetupFinding>} findings
+ */
+const writeSetupValidation = (findings) => {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const existing = ss.getSheetByName(setupValidationSheet.sheetName);
+  if (existing) {
+    ss.deleteSheet(existing);
+  }
+  const { headers } = setupValidationSheet;
+  const order = Object.values(SETUP_SEVERITY);
+  const sorted = [...findings].sort(
+    (a, b) => order.indexOf(a.severity) - order.indexOf(b.severity)
+  );
+  const rows = [
+    [headers.severity, headers.target, headers.message],
+    ...sorted.map((f) => [f.severity, f.target, f.message]),
+  ];
+  const sheet = ss.insertSheet(setupValidationSheet.sheetName);
+  sheet.getRange(1, 1, rows.length, rows[0]?.length ?? 0).setValues(rows);
+  sheet.setFrozenRows(1);
+};
+
+tests.push({
+  name: "setup:validate",
+  failMessage: "セットアップの検証結果が不正です",
+  check: () => {
+    /** @type {SetupTableSpec} */
+    const spec = {
+      tableName: "見積もり必要_メンバー",
+      headers: estimateRequiredMembersTable.headers,
+      optional: false,
+      optionalHeaders: [
+        estimateRequiredMembersTable.headers.slackUserId,
+        estimateRequiredMembersTable.headers.shareType,
+      ],
+      enums: { 回答要否: ["必要", "不要"] },
+    };
+    const missing = checkSetupTable(spec, [["表示名", "回答要否"]]);
+    const invalid = checkSetupTable(spec, [
+      ["表示名", "メールアドレス", "回答要否", "Slack メンション名"],
+      ["Alice", "a@example.com", "必要", ""],
+      ["", "", "", ""],
+      ["Bob", "b@example.com", "はい", ""],
+    ]);
+    const ok = checkSetupTable(spec, [
+      ["表示名", "メールアドレス", "回答要否", "Slack メンション名"],
+    ]);
+    const pattern = ["PAGE_BREAK", "PARAGRAPH_TEXT", "LIST"];
+    return (
+      missing.map((f) => `${f.severity}:${f.message}`).join(",") ===
+        "エラー:ヘッダー「メールアドレス」がありません,エラー:ヘッダー「Slack メンション名」がありません" &&
+      invalid.length === 1 &&
+      invalid[0]?.severity === SETUP_SEVERITY.warning &&
+      (invalid[0]?.message ?? "").startsWith(
+        "3 行目の「回答要否」が「はい」"
+      ) &&
+      ok[0]?.severity === SETUP_SEVERITY.ok &&
+      checkSetupTable(spec, undefined)[0]?.message === "テーブルがありません" &&
+      checkSetupTable({ ...spec, optional: true }, undefined).length === 0 &&
+      findFormTemplateProblem(
+        ["TEXT", "PAGE_BREAK", "PARAGRAPH_TEXT", "LIST"],
+        pattern
+      ) === undefined &&
+      findFormTemplateProblem(["TEXT"], pattern) ===
+        "PAGE_BREAK がありません" &&
+      (
+        findFormTemplateProblem(["PAGE_BREAK", "LIST"], pattern) ?? ""
+      ).startsWith("2 番目のアイテムが PARAGRAPH_TEXT ではなく LIST です")
+    );
+  },
+});
+
+/** ===== 追加: 締切トリガー =================== */
+
+/** 見積もりごとのトリガー情報を保存する ScriptProperties のキー接頭辞 */
+const ROUND_TRIGGER_PROPERTY_PREFIX = "roundTrigger:";
+
+/** 種類ごとのトリガーのハンドラ関数名（トップレベルに公開している関数） */
+const ROUND_TRIGGER_HANDLERS = {
+  deadline: "onEstimateDeadline",
+  reminder: "onEstimateReminder",
+};
+
+/** @typedef {keyof typeof ROUND_TRIGGER_HANDLERS} RoundTriggerKind */
+/** @typedef {{ kind: RoundTriggerKind, triggerUid: string, midUrl: string, titlePrefix: string, at: string }} RoundTriggerRecord */
+
+/**
+ * 締切日（と任意の時刻）の文字列を Date に変換する。
+ * 受け付ける形式: "YYYY-MM-DD" / "YYYY/M/D"、末尾に " HH:mm" を付けると時刻指定。
+ * 時刻省略時は ESTIMATE_DEADLINE_TIME を使う。
+ * @param {string} text
+ * @returns {Date}
+ */
+const parseDeadlineDateTime = (text) => {
+  const m = text
+    .trim()
+    .match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:\s+(\d{1,2}):(\d{2}))?$/);
+  if (!m) {
+    throw new Error(`締切日の形式が不正です: ${text}`);
+  }
+  const [hour, minute] = (
+    m[4] !== undefined ? [m[4], m[5]] : ESTIMATE_DEADLINE_TIME.split(":")
+  ).map(Number);
+  return new Date(
+    Number(m[1]),
+    Number(m[2]) - 1,
+    Number(m[3]),
+    hour ?? 0,
+    minute ?? 0
+  );
+};
+
+/**
+ * Date をスクリプトのタイムゾーンで "yyyy-MM-dd HH:mm" に整形する
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDateTime = (date) =>
+  Utilities.formatDate(date, Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm");
+
+/**
+ * 保存済みのトリガー情報を全て返す（発火時刻順）
+ * @returns {Array<RoundTriggerRecord>}
+ */
+const listRoundTriggers = () => {
+  const props = PropertiesService.getScriptProperties().getProperties();
+  /** @type {Array<RoundTriggerRecord>} */
+  const records = [];
+  for (const [key, value] of Object.entries(props)) {
+    if (!key.startsWith(ROUND_TRIGGER_PROPERTY_PREFIX)) {
+      continue;
+    }
+    records.push(/** @type {RoundTriggerRecord} */ (JSON.parse(value)));
+  }
+  return records.sort((a, b) => a.at.localeCompare(b.at));
+};
+
+/**
+ * 指定日時に発火するトリガーを設置し、見積もり単位で記録する
+ * @param {RoundTriggerKind} kind - トリガーの種類
+ * @param {string} midUrl - 中間スプシの URL（見積もりの識別子）
+ * @param {string} titlePrefix - 見積もりのタイトル（表示用）
+ * @param {Date} at - 発火日時
+ * @returns {RoundTriggerRecord}
+ */
+const installRoundTrigger = (kind, midUrl, titlePrefix, at) => {
+  const trigger = ScriptApp.newTrigger(ROUND_TRIGGER_HANDLERS[kind])
+    .timeBased()
+    .at(at)
+    .create();
+  /** @type {RoundTriggerRecord} */
+  const record = {
+    kind,
+    triggerUid: trigger.getUniqueId(),
+    midUrl,
+    titlePrefix,
+    at: formatDateTime(at),
+  };
+  PropertiesService.getScriptProperties().setProperty(
+    ROUND_TRIGGER_PROPERTY_PREFIX + record.triggerUid,
+    JSON.stringify(record)
+  );
+  logInfo("Round trigger installed", record);
+  return record;
+};
+
+/**
+ * 締切時刻に Form の回答受付を停止するトリガーと、設定があればその前のリマインドトリガーを設置する
+ * @param {string} midUrl - 中間スプシの URL（見積もりの識別子）
+ * @param {string} titlePrefix - 見積もりのタイトル（表示用）
+ * @param {Date} deadline - 締切日時
+ * @returns {Array<RoundTriggerRecord>}
+ */
+const installDeadlineTriggers = (midUrl, titlePrefix, deadline) => {
+  const records = [
+    installRoundTrigger("deadline", midUrl, titlePrefix, deadline),
+  ];
+  const hoursBefore = getReminderHoursBeforeDeadline();
+  if (hoursBefore === undefined) {
+    return records;
+  }
+  const remindAt = new Date(deadline.getTime() - hoursBefore * 60 * 60 * 1000);
+  if (remindAt.getTime() <= Date.now()) {
+    logWarn("Reminder time is in the past, skipping reminder trigger", {
+      titlePrefix,
+      remindAt: formatDateTime(remindAt),
+    });
+    return records;
+  }
+  records.push(installRoundTrigger("reminder", midUrl, titlePrefix, remindAt));
+  return records;
+};
+
+/**
+ * 見積もりに紐づくトリガーを削除し、記録も消す
+ * @param {string} midUrl - 中間スプシの URL
+ * @param {RoundTriggerKind} [kind] - 指定時はその種類だけ削除
+ * @returns {number} 削除したトリガー数
+ */
+const removeRoundTriggers = (midUrl, kind) => {
+  const targets = listRoundTriggers().filter(
+    (r) => r.midUrl === midUrl && (kind === undefined || r.kind === kind)
+  );
+  if (!targets.length) {
+    return 0;
+  }
+  const uids = targets.map((r) => r.triggerUid);
+  for (const trigger of ScriptApp.getProjectTriggers()) {
+    if (uids.includes(trigger.getUniqueId())) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  }
+  const props = PropertiesService.getScriptProperties();
+  for (const uid of uids) {
+    props.deleteProperty(ROUND_TRIGGER_PROPERTY_PREFIX + uid);
+  }
+  logInfo("Round triggers removed", { midUrl, kind, count: uids.length });
+  return uids.length;
+};
+
+/**
+ * 見積もりの締切トリガー（とリマインドトリガー）を指定日時で張り直す。
+ * 締切で回答受付を停止した見積もりは、回答受付を再開して回答受付中に戻す。
+ * @param {EstimateHistoryRow} historyRow - 対象の見積もり履歴の行
+ * @param {Date} at - 新しい締切日時
+ * @returns {Array<RoundTriggerRecord>}
+ */
+const rescheduleDeadlineTrigger = (historyRow, at) => {
+  if (at.getTime() <= Date.now()) {
+    throw new Error(`締切日時が過去です: ${formatDateTime(at)}`);
+  }
+  removeRoundTriggers(historyRow.midUrl);
+  const records = installDeadlineTriggers(
+    historyRow.midUrl,
+    historyRow.midText,
+    at
+  );
+  getFormFromMidSpreadsheetUrl(historyRow.midUrl).setAcceptingResponses(true);
+  if (historyRow.status === ESTIMATE_HISTORY_STATUS.deadlinePassed) {
+    updateEstimateHistoryRow(
+      historyRow.midUrl,
+      { status: ESTIMATE_HISTORY_STATUS.open },
+      historyRow.team
+    );
+  }
+  logInfo("Form accepting responses until new deadline", {
+    midUrl: historyRow.midUrl,
+    at: formatDateTime(at),
+  });
+  return records;
+};
+
+/**
+ * 締切トリガー発火時の処理。Form の回答受付を停止し、記録を消す。
+ * 回答受付中の見積もりは見積もり履歴のステータスを締切済みにする。
+ * @param {string} triggerUid
+ */
+const handleDeadlineTrigger = (triggerUid) => {
+  const raw = PropertiesService.getScriptProperties().getProperty(
+    ROUND_TRIGGER_PROPERTY_PREFIX + triggerUid
+  );
+  if (!raw) {
+    logWarn("No record for deadline trigger", { triggerUid });
+    return;
+  }
+  const record = /** @type {RoundTriggerRecord} */ (JSON.parse(raw));
+  closeEstimateForm(record.midUrl);
+  removeRoundTriggers(record.midUrl);
+  const historyRow = findEstimateHistoryRow(record.midUrl);
+  if (historyRow?.status === ESTIMATE_HISTORY_STATUS.open) {
+    updateEstimateHistoryRow(
+      record.midUrl,
+      { status: ESTIMATE_HISTORY_STATUS.deadlinePassed },
+      historyRow.team
+    );
+  }
+  logInfo("Deadline reached, form closed", record);
+};
+
+/**
+ * 見積もりをキャンセルする。トリガーを削除し、Form の回答受付を停止する。
+ * @param {EstimateHistoryRow} historyRow - 対象の見積もり履歴の行
+ */
+const cancelEstimate = (historyRow) => {
+  removeRoundTriggers(historyRow.midUrl);
+  closeEstimateForm(historyRow.midUrl);
+  updateEstimateHistoryRow(
+    historyRow.midUrl,
+    { status: ESTIMATE_HISTORY_STATUS.cancelled },
+    historyRow.team
+  );
+  logInfo("Estimate cancelled", { midText: historyRow.midText });
+};
+
+tests.push({
+  name: "deadline:parse",
+  failMessage: "締切日時の解釈が不正です",
+  check: () => {
+    const [defaultHour, defaultMinute] =
+      ESTIMATE_DEADLINE_TIME.split(":").map(Number);
+    const d1 = parseDeadlineDateTime("2025-08-30");
+    const d2 = parseDeadlineDateTime("2025/9/1 09:30");
+    return (
+      d1.getFullYear() === 2025 &&
+      d1.getMonth() === 7 &&
+      d1.getDate() === 30 &&
+      d1.getHours() === defaultHour &&
+      d1.getMinutes() === defaultMinute &&
+      d2.getMonth() === 8 &&
+      d2.getDate() === 1 &&
+      d2.getHours() === 9 &&
+      d2.getMinutes() === 30
+    );
+  },
+});
+
+/** ===== 追加: 未回答者リマインド =================== */
+
+/** 中間スプシ「メンバー」テーブルの回答状況の値（回答状況列の式が返す値） */
+const MEMBER_RESPONSE_STATUS = {
+  unanswered: "未回答",
+  answered: "回答済み",
+  notRequired: "回答不要",
+};
+
+/** @typedef {{ displayName: string, email: string, responseRequired: string, responseStatus: string, slackMention: string, slackUserId: string }} MidMemberStatusRow */
+
+/**
+ * 中間スプシの「メンバー」テーブルから回答状況（式の評価結果）を読み込む
+ * @param {string} midUrl - 中間スプシの URL
+ * @returns {Array<MidMemberStatusRow>}
+ */
+const getMidMemberStatuses = (midUrl) => {
+  const spreadsheetId = extractSpreadsheetIdFromUrl(midUrl);
+  const meta = getTableMetaInSpreadsheet(spreadsheetId, membersTable.tableName);
+  if (!isSpreadsheetsCollection(Sheets.Spreadsheets)) {
+    throw new Error("Sheets.Spreadsheets is not available");
+  }
+  const values =
+    Sheets.Spreadsheets.Values.get(
+      spreadsheetId,
+      gridRangeToA1(meta.range, meta.sheetTitle)
+    ).values || [];
+  if (!values.length || !values[0]) {
+    throw new Error(`Table is empty: ${membersTable.tableName}`);
+  }
+  const { idxByName, idxByNameOrUndefined } = getTableHeaderInfo(meta, values);
+  const displayNameIdx = idxByName(membersTable.headers.displayName);
+  const emailIdx = idxByName(membersTable.headers.email);
+  const responseRequiredIdx = idxByName(membersTable.headers.responseRequired);
+  const responseStatusIdx = idxByName(membersTable.headers.responseStatus);
+  const slackMentionIdx = idxByNameOrUndefined(
+    membersTable.headers.slackMention
+  );
+  const slackUserIdIdx = idxByNameOrUndefined(membersTable.headers.slackUserId);
+
+  /** @type {Array<MidMemberStatusRow>} */
+  const rows = [];
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i] || [];
+    const email = String(row[emailIdx] ?? "").trim();
+    if (!email) {
+      continue;
+    }
+    rows.push({
+      displayName: String(row[displayNameIdx] ?? "").trim(),
+      email,
+      responseRequired: String(row[responseRequiredIdx] ?? "").trim(),
+      responseStatus: String(row[responseStatusIdx] ?? "").trim(),
+      slackMention:
+        slackMentionIdx === undefined
+          ? ""
+          : String(row[slackMentionIdx] ?? "").trim(),
+      slackUserId:
+        slackUserIdIdx === undefined
+          ? ""
+          : String(row[slackUserIdIdx] ?? "").trim(),
+    });
+  }
+  return rows;
+};
+
+/**
+ * 中間スプシの「メンバー」テーブルから、未回答の必須メンバーのメンションを選ぶ。
+ * 発行時に書き込んだメンションを使い、無ければ表示名で代用する。
+ * @param {Array<MidMemberStatusRow>} statuses
+ * @returns {Array<SlackMentionTarget>}
+ */
+const selectUnansweredMentions = (statuses) =>
+  statuses
+    .filter(
+      (m) =>
+        m.responseRequired === "必要" &&
+        m.responseStatus === MEMBER_RESPONSE_STATUS.unanswered
+    )
+    .map((m) => ({
+      slackMention: m.slackMention || m.displayName,
+      slackUserId: m.slackUserId,
+    }));
+
+/**
+ * 未回答の必須メンバー向けのリマインドメッセージを組み立てる
+ * @param {Array<SlackMentionTarget>} mentions - 未回答メンバーのメンション
+ * @param {string} deadlineText - 締切日時の表示文字列
+ * @param {string} formUrl - 回答用 Form の URL
+ * @returns {RichText|undefined} 対象者がいない場合は undefined
+ */
+const buildReminderMessage = (mentions, deadlineText, formUrl) => {
+  if (!mentions.length) {
+    return undefined;
+  }
+  return {
+    elements: [
+      ...buildMentionElements(mentions),
+      {
+        type: "plain",
+        text:
+          `\n\n非同期ポーカーの締切（${deadlineText}）が近づいています。\n` +
+          "まだご回答いただいていないようでしたら、",
+      },
+      { type: "link", text: "こちら", url: formUrl },
+      { type: "plain", text: "からご回答のほどよろしくお願いいたします。" },
+    ],
+  };
+};
+
+/**
+ * 見積もりの締切日時の表示文字列。締切トリガーがあればその日時を使う。
+ * @param {EstimateHistoryRow} historyRow
+ * @returns {string}
+ */
+const getRoundDeadlineText = (historyRow) => {
+  const record = listRoundTriggers().find(
+    (r) => r.kind === "deadline" && r.midUrl === historyRow.midUrl
+  );
+  return record ? record.at : `${historyRow.date} ${ESTIMATE_DEADLINE_TIME}`;
+};
+
+/**
+ * 見積もりの未回答の必須メンバーにリマインドする。
+ * メンションは発行時の中間スプシ「メンバー」テーブルから取る（見積もり必要_メンバーのその後の変更は影響しない）。
+ * Webhook が設定されていれば送信し、メッセージを見積もり履歴に記録する
+ * （記録に失敗しても送信は済ませておく）。
+ * @param {EstimateHistoryRow} historyRow - 対象の見積もり履歴の行
+ * @returns {RichText|undefined} 対象者がいない場合は undefined
+ */
+const remindUnansweredMembers = (historyRow) => {
+  const mentions = selectUnansweredMentions(
+    getMidMemberStatuses(historyRow.midUrl)
+  );
+
+  const message = buildReminderMessage(
+    mentions,
+    getRoundDeadlineText(historyRow),
+    historyRow.formUrl
+  );
+  if (!message) {
+    logInfo("No unanswered members", { midText: historyRow.midText });
+    return undefined;
+  }
+
+  // リマインド専用の Webhook が無ければ依頼・完了と同じ Webhook に送る
+  const webhookUrl =
+    getEstimateSetting(SETTING_KEYS.reminderWebhookUrl) ??
+    getEstimateSetting(SETTING_KEYS.slackWebhookUrl);
+  notifySlackIfConfigured(historyRow.midUrl, "リマインド", message, webhookUrl);
+
+  updateEstimateHistoryRow(
+    historyRow.midUrl,
+    { reminder: message },
+    historyRow.team
+  );
+
+  logInfo("Reminder created", {
+    midText: historyRow.midText,
+    unanswered: mentions.length,
+    posted: !!webhookUrl,
+  });
+  return message;
+};
+
+/**
+ * 回答受付中の全ての見積もりについてリマインドする
+ * @returns {number} リマインドした見積もりの数
+ */
+const remindAllOpenEstimates = () => {
+  let count = 0;
+  for (const row of getAllEstimateHistoryRows()) {
+    if (row.status !== ESTIMATE_HISTORY_STATUS.open) {
+      continue;
+    }
+    if (remindUnansweredMembers(row)) {
+      count++;
+    }
+  }
+  return count;
+};
+
+/**
+ * リマインドトリガー発火時の処理
+ * @param {string} triggerUid
+ */
+const handleReminderTrigger = (triggerUid) => {
+  const raw = PropertiesService.getScriptProperties().getProperty(
+    ROUND_TRIGGER_PROPERTY_PREFIX + triggerUid
+  );
+  if (!raw) {
+    logWarn("No record for reminder trigger", { triggerUid });
+    return;
+  }
+  const record = /** @type {RoundTriggerRecord} */ (JSON.parse(raw));
+  removeRoundTriggers(record.midUrl, "reminder");
+  const historyRow = findEstimateHistoryRow(record.midUrl);
+  if (!historyRow || historyRow.status !== ESTIMATE_HISTORY_STATUS.open) {
+    logInfo("Estimate is not open, skipping reminder", record);
+    return;
+  }
+  remindUnansweredMembers(historyRow);
+};
+
+tests.push({
+  name: "reminder:message",
+  failMessage: "リマインドメッセージの組み立てが不正です",
+  check: () => {
+    const message = buildReminderMessage(
+      [
+        { slackMention: "@alice", slackUserId: "U123" },
+        { slackMention: "@bob", slackUserId: "" },
+      ],
+      "2025-08-30 16:00",
+      "https://example.com/form"
+    );
+    const link = message?.elements.find((e) => e.type === "link");
+    return (
+      buildReminderMessage([], "2025-08-30 16:00", "") === undefined &&
+      !!message &&
+      richTextToString(message).startsWith("@alice @bob\n") &&
+      richTextToString(message).includes("2025-08-30 16:00") &&
+      link?.type === "link" &&
+      link.url === "https://example.com/form"
+    );
+  },
+});
+
+tests.push({
+  name: "reminder:mentions",
+  failMessage: "リマインド対象のメンションの選び方が不正です",
+  check: () => {
+    /** @type {(displayName: string, responseRequired: string, responseStatus: string, slackMention: string, slackUserId: string) => MidMemberStatusRow} */
+    const status = (
+      displayName,
+      responseRequired,
+      responseStatus,
+      slackMention,
+      slackUserId
+    ) => ({
+      displayName,
+      email: `${displayName.toLowerCase()}@example.com`,
+      responseRequired,
+      responseStatus,
+      slackMention,
+      slackUserId,
+    });
+    const mentions = selectUnansweredMentions([
+      status("Alice", "必要", "未回答", "@alice", "U123"),
+      status("Bob", "必要", "回答済み", "@bob", ""),
+      status("Carol", "不要", "回答不要", "@carol", ""),
+      status("Dave", "必要", "未回答", "", ""),
+    ]);
+    return (
+      JSON.stringify(mentions) ===
+      JSON.stringify([
+        { slackMention: "@alice", slackUserId: "U123" },
+        { slackMention: "Dave", slackUserId: "" },
+      ])
+    );
+  },
+});
+
+/** ===== 追加: violation からの再見積もり =================== */
+
+/** 再見積もりの対象とする結果まとめのステータス */
+const REESTIMATE_TARGET_STATUSES = [
+  RESULT_STATUS.violation,
+  RESULT_STATUS.allSkip,
+];
+
+/** @typedef {{ title: string, url: string, status: string, min: string, max: string, minBy: string, maxBy: string, responseSummary: string }} ReestimateTarget */
+
+/**
+ * 中間スプシの「結果まとめ」から再見積もりが必要な課題を集める
+ * @param {string} midUrl - 中間スプシの URL
+ * @returns {Array<ReestimateTarget>}
+ */
+const getReestimateTargets = (midUrl) => {
+  const spreadsheetId = extractSpreadsheetIdFromUrl(midUrl);
+  const meta = getTableMetaInSpreadsheet(
+    spreadsheetId,
+    resultSummaryTable.tableName
+  );
+  const cells = readTableCells(spreadsheetId, meta);
+  const header = cells[0];
+  if (!header) {
+    throw new Error(`Table is empty: ${resultSummaryTable.tableName}`);
+  }
+  const { idxByName } = getTableHeaderInfo(meta, [header.map((c) => c.text)]);
+  const h = resultSummaryTable.headers;
+  const targetIdx = idxByName(h.estimateTarget);
+  const statusIdx = idxByName(h.status);
+  const minIdx = idxByName(h.min);
+  const maxIdx = idxByName(h.max);
+  const minByIdx = idxByName(h.minBy);
+  const maxByIdx = idxByName(h.maxBy);
+  const responseSummaryIdx = idxByName(h.responseSummary);
+
+  /** @type {Array<ReestimateTarget>} */
+  const targets = [];
+  for (const row of cells.slice(1)) {
+    const status = row[statusIdx]?.text ?? "";
+    if (!REESTIMATE_TARGET_STATUSES.includes(status)) {
+      continue;
+    }
+    targets.push({
+      title: row[targetIdx]?.text ?? "",
+      url: row[targetIdx]?.url ?? "",
+      status,
+      min: row[minIdx]?.text ?? "",
+      max: row[maxIdx]?.text ?? "",
+      minBy: row[minByIdx]?.text ?? "",
+      maxBy: row[maxByIdx]?.text ?? "",
+      responseSummary: row[responseSummaryIdx]?.text ?? "",
+    });
+  }
+  return targets;
+};
+
+/**
+ * 前回の見積もり結果を Form セクションの説明用の文に整形する
+ * @param {string} roundTitle - 前回の見積もりのタイトル
+ * @param {ReestimateTarget} target
+ * @returns {string}
+ */
+const formatPreviousRoundNote = (roundTitle, target) => {
+  const lines = [`【前回の見積もり（${roundTitle}）: ${target.status}】`];
+  if (target.min || target.max) {
+    // 匿名モードの見積もりは min by / max by が空
+    /** @param {string} value @param {string} by */
+    const withBy = (value, by) => (by ? `${value}（${by}）` : value);
+    lines.push(
+      `min: ${withBy(target.min, target.minBy)} / max: ${withBy(target.max, target.maxBy)}`
+    );
+  }
+  if (target.responseSummary) {
+    lines.push("", target.responseSummary);
+  }
+  return lines.join("\n");
+};
+
+/**
+ * 見積もり必要_課題リストのデータ行を指定の課題で置き換える
+ * @param {Array<EstimateIssueRow>} issues
+ * @param {EstimateTeam} [team] - 置き換える課題リストのチーム
+ */
+const replaceEstimateIssueList = (issues, team = DEFAULT_TEAM) => {
+  const spreadsheetId = SpreadsheetApp.getActiveSpreadsheet().getId();
+  const meta = getTableMetaByName(team.issues);
+  const { idxByName, idxByNameOrUndefined, startCol0, endCol0 } =
+    getTableHeaderInfo(meta);
+  const h = estimateIssueListTable.headers;
+  const titleIdx = idxByName(h.title);
+  const urlIdx = idxByName(h.url);
+  // 任意列は列があり、値を持つ課題の分だけ書く
+  /** @type {Array<[number|undefined, (issue: EstimateIssueRow) => string|undefined]>} */
+  const optionalColumns = [
+    [idxByNameOrUndefined(h.summary), (issue) => issue.summary],
+    [
+      idxByNameOrUndefined(h.acceptanceCriteria),
+      (issue) => issue.acceptanceCriteria,
+    ],
+    [idxByNameOrUndefined(h.labels), (issue) => issue.labels],
+    [idxByNameOrUndefined(h.links), (issue) => issue.links],
+  ];
+
+  const dataRows = issues.map((issue) => {
+    const row = Array(endCol0 - startCol0).fill("");
+    row[titleIdx] = issue.title;
+    row[urlIdx] = issue.url;
+    for (const [idx, value] of optionalColumns) {
+      if (idx !== undefined) {
+        row[idx] = value(issue) ?? "";
+      }
+    }
+    return row;
+  });
+  replaceTableDataRows(spreadsheetId, meta, dataRows);
+  _estimateIssueListCache.delete(team.issues);
+  logInfo(`Replaced ${team.issues}`, { count: issues.length });
+};
+
+/**
+ * 再見積もりのタイトル。前回と同じ締切日でも、ファイル・フォルダ・見積もり履歴の名前が前回と重ならないようにする。
+ * @param {string} deadlineDate
+ * @returns {string}
+ */
+const buildReestimateTitle = (deadlineDate) =>
+  `${deadlineDate} async ポーカー（再見積もり）`;
+
+/**
+ * 再見積もりの締切日時が解釈でき、未来であることを確かめる（課題リストの置き換えやコピーの前に呼ぶ）。
+ * 過去の締切では締切・リマインドのトリガーを設置できないため受け付けない。
+ * @param {string} deadlineDate
+ * @param {Date} now
+ */
+const validateReestimateDeadline = (deadlineDate, now) => {
+  const deadline = parseDeadlineDateTime(deadlineDate);
+  if (deadline.getTime() <= now.getTime()) {
+    throw new Error(`再見積もりの締切日時が過去です: ${deadlineDate}`);
+  }
+};
+
+/**
+ * 見積もりの violation / 全員 skip の課題で課題リストを埋め、新しい見積もりを発行する
+ * 締切日は呼び出し側で聞く（見積もり必要_締切 はラウンドを使う構成では無いことがあるため読まない）。
+ * @param {EstimateHistoryRow} historyRow - 再見積もり元の見積もり履歴の行
+ * @param {string} deadlineDate - 再見積もりの締切日
+ */
+const createReestimateFromRound = (historyRow, deadlineDate) => {
+  validateReestimateDeadline(deadlineDate, new Date());
+  const targets = getReestimateTargets(historyRow.midUrl);
+  if (!targets.length) {
+    logInfo("No reestimate targets", { midText: historyRow.midText });
+    return undefined;
+  }
+
+  // 課題リストに同じ課題が残っていれば、概要などの任意列を引き継ぐ
+  const currentByUrl = new Map(
+    getEstimateIssueList(historyRow.team).map((issue) => [issue.url, issue])
+  );
+  replaceEstimateIssueList(
+    targets.map((t) => ({
+      ...(currentByUrl.get(t.url) ?? {}),
+      title: t.title,
+      url: t.url,
+    })),
+    historyRow.team
+  );
+
+  /** @type {Record<string, string>} */
+  const sectionNotes = {};
+  for (const target of targets) {
+    sectionNotes[target.url] = formatPreviousRoundNote(
+      historyRow.midText,
+      target
+    );
+  }
+
+  const created = createEstimateFromTemplates(deadlineDate, {
+    title: buildReestimateTitle(deadlineDate),
+    sectionNotes,
+    team: historyRow.team,
+  });
+  logInfo("Reestimate created", {
+    from: historyRow.midText,
+    to: created.titlePrefix,
+    issueCount: targets.length,
+  });
+  return created;
+};
+
+tests.push({
+  name: "reestimate:deadline",
+  failMessage: "再見積もりの締切日・タイトルの扱いが不正です",
+  check: () => {
+    const now = new Date(2025, 8, 1, 12, 0);
+    /** @param {string} deadlineDate */
+    const rejected = (deadlineDate) => {
+      try {
+        validateReestimateDeadline(deadlineDate, now);
+        return false;
+      } catch (_e) {
+        return true;
+      }
+    };
+    return (
+      !rejected("2025-09-05") &&
+      !rejected("2025-09-01 13:00") &&
+      rejected("2025-09-01 12:00") &&
+      rejected("2025-08-30") &&
+      rejected("2025年9月5日") &&
+      buildReestimateTitle("2025-09-05") !== "2025-09-05 async ポーカー" &&
+      buildReestimateTitle("2025-09-05").includes("再見積もり")
+    );
+  },
+});
+
+tests.push({
+  name: "reestimate:note",
+  failMessage: "前回の見積もり結果の整形が不正です",
+  check: () => {
+    const note = formatPreviousRoundNote("2025-08-30 async ポーカー", {
+      title: "t",
+      url: "u",
+      status: RESULT_STATUS.violation,
+      min: "2",
+      max: "13",
+      minBy: "Alice",
+      maxBy: "Bob",
+      responseSummary: "（Alice）2P: small",
+    });
+    return (
+      note ===
+      "【前回の見積もり（2025-08-30 async ポーカー）: violation】\n" +
+        "min: 2（Alice） / max: 13（Bob）\n\n（Alice）2P: small"
+    );
+  },
+});
+
+/** ===== 追加: GitHub API クライアント =================== */
+
+/** GitHub のトークンを保存する ScriptProperties のキー（シートには置かない） */
+const GITHUB_TOKEN_PROPERTY = "GITHUB_TOKEN";
+const DEFAULT_GITHUB_API_BASE_URL = "https://api.github.com";
+
+/** @typedef {{ getResponseCode: () => number, getContentText: () => string }} HttpResponse */
+/**
+ * HTTP クライアント。既定は UrlFetchApp。テストではスタブに差し替える。
+ * @typedef {{ fetch: (url: string, params: GoogleAppsScript.URL_Fetch.URLFetchRequestOptions) => HttpResponse }} HttpClient
+ */
+
+/** @type {HttpClient} */
+const urlFetchHttpClient = {
+  fetch: (url, params) => UrlFetchApp.fetch(url, params),
+};
+
+/** @typedef {{ baseUrl: string, token: string, httpClient: HttpClient }} GitHubClientOptions */
+/**
+ * @typedef {{
+ *   request: (method: GoogleAppsScript.URL_Fetch.HttpMethod, path: string, body?: unknown) => any,
+ *   graphql: (query: string, variables: Record<string, unknown>) => any,
+ * }} GitHubClient
+ */
+
+/**
+ * GitHub API クライアントを作る。2xx 以外と GraphQL の errors は例外にする。
+ * @param {GitHubClientOptions} options
+ * @returns {GitHubClient}
+ */
+const createGitHubClient = ({ baseUrl, token, httpClient }) => {
+  const root = baseUrl.replace(/\/+$/, "");
+  /** @type {GitHubClient["request"]} */
+  const request = (method, path, body) => {
+    /** @type {GoogleAppsScript.URL_Fetch.URLFetchRequestOptions} */
+    const params = {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: "application/vnd.github+json",
+      },
+      muteHttpExceptions: true,
+    };
+    if (body !== undefined) {
+      params.contentType = "application/json";
+      params.payload = JSON.stringify(body);
+    }
+    const resp = httpClient.fetch(`${root}${path}`, params);
+    const code = resp.getResponseCode();
+    const text = resp.getContentText();
+    if (code < 200 || code >= 300) {
+      throw new Error(`GitHub API ${method} ${path} failed: ${code} ${text}`);
+    }
+    return text ? JSON.parse(text) : undefined;
+  };
+  /** @type {GitHubClient["graphql"]} */
+  const graphql = (query, variables) => {
+    const out = request("post", "/graphql", { query, variables });
+    if (out?.errors?.length) {
+      throw new Error(`GitHub GraphQL failed: ${JSON.stringify(out.errors)}`);
+    }
+    return out?.data;
+  };
+  return { request, graphql };
+};
+
+/**
+ * 設定（見積もり必要_設定 と ScriptProperties）から GitHub API クライアントを作る
+ * @param {HttpClient} [httpClient] - 省略時は UrlFetchApp
+ * @returns {GitHubClient}
+ */
+const createGitHubClientFromSettings = (httpClient = urlFetchHttpClient) => {
+  const token = PropertiesService.getScriptProperties().getProperty(
+    GITHUB_TOKEN_PROPERTY
+  );
+  if (!token) {
+    throw new Error(
+      `スクリプトプロパティ ${GITHUB_TOKEN_PROPERTY} に GitHub のトークンを設定してください`
+    );
+  }
+  return createGitHubClient({
+    baseUrl:
+      getEstimateSetting(SETTING_KEYS.githubApiBaseUrl) ??
+      DEFAULT_GITHUB_API_BASE_URL,
+    token,
+    httpClient,
+  });
+};
+
+/** @typedef {{ owner: string, repo: string, number: number }} GitHubIssueRef */
+
+/**
+ * GitHub の issue URL を owner / repo / 番号に分解する
+ * @param {string} url
+ * @returns {GitHubIssueRef|undefined} issue の URL でなければ undefined
+ */
+const parseGitHubIssueUrl = (url) => {
+  const m = url.match(/github\.com\/([^/]+)\/([^/]+)\/issues\/(\d+)/);
+  if (!m || !m[1] || !m[2] || !m[3]) {
+    return undefined;
+  }
+  return { owner: m[1], repo: m[2], number: Number(m[3]) };
+};
+
+tests.push({
+  name: "github:parse_issue_url",
+  failMessage: "GitHub の issue URL の解釈が不正です",
+  check: () => {
+    const ref = parseGitHubIssueUrl("https://github.com/xxx/yyy/issues/111");
+    return (
+      ref?.owner === "xxx" &&
+      ref.repo === "yyy" &&
+      ref.number === 111 &&
+      parseGitHubIssueUrl("https://github.com/xxx/yyy/pull/1") === undefined
+    );
+  },
+});
+
+tests.push({
+  name: "github:client_stub",
+  failMessage: "GitHub クライアントのリクエスト組み立てが不正です",
+  check: () => {
+    /** @type {Array<{url: string, params: GoogleAppsScript.URL_Fetch.URLFetchRequestOptions}>} */
+    const calls = [];
+    const client = createGitHubClient({
+      baseUrl: "http://localhost:8080/",
+      token: "t",
+      httpClient: {
+        fetch: (url, params) => {
+          calls.push({ url, params });
+          return {
+            getResponseCode: () => 201,
+            getContentText: () => '{"id":1}',
+          };
+        },
+      },
+    });
+    const out = client.request("post", "/repos/o/r/issues/1/comments", {
+      body: "hi",
+    });
+    const call = calls[0];
+    return (
+      out.id === 1 &&
+      call?.url === "http://localhost:8080/repos/o/r/issues/1/comments" &&
+      call.params.method === "post" &&
+      call.params.payload === '{"body":"hi"}'
+    );
+  },
+});
+
+/** ===== 追加: 確定した見積もりの GitHub への反映 =================== */
+const githubSyncResultTable = {
+  tableName: "GitHub同期結果",
+  headers: {
+    timestamp: "日時",
+    round: "見積もり",
+    issue: "課題",
+    operation: "操作",
+    result: "結果",
+    detail: "詳細",
+  },
+};
+
+/** 見積もり値の反映先（見積もり必要_設定 github-estimate-target） */
+const GITHUB_ESTIMATE_TARGETS = {
+  label: "label",
+  project: "project",
+};
+const DEFAULT_GITHUB_ESTIMATE_LABEL_PREFIX = "estimate: ";
+
+/** @typedef {{ issueUrl: string, operation: string, ok: boolean, detail: string }} GitHubSyncResult */
+
+/** コメントの 1 ページあたり件数 */
+const GITHUB_COMMENTS_PER_PAGE = 100;
+
+/**
+ * 見積もり 1 回分のコメントに埋め込む目印（再実行時に同じコメントを重ねないため）
+ * @param {string} midUrl - 見積もりの中間スプシの URL
+ * @returns {string}
+ */
+const buildEstimateCommentMarker = (midUrl) =>
+  `<!-- async-estimate: ${extractSpreadsheetIdFromUrl(midUrl)} -->`;
+
+/**
+ * issue に付けるコメント本文を組み立てる
+ * @param {string} roundTitle - 見積もりのタイトル
+ * @param {string} average - 確定した見積もり値
+ * @param {string} responseSummary - 回答まとめ
+ * @param {string} marker - buildEstimateCommentMarker
+ * @returns {string}
+ */
+const buildEstimateCommentBody = (
+  roundTitle,
+  average,
+  responseSummary,
+  marker
+) =>
+  [
+    marker,
+    `**${roundTitle}** で見積もりが確定しました: **${average}**`,
+    "",
+    "<details><summary>回答まとめ</summary>",
+    "",
+    responseSummary,
+    "",
+    "</details>",
+  ].join("\n");
+
+/**
+ * issue に目印を含むコメントが既にあるか（全ページを確かめる）
+ * @param {GitHubClient} client
+ * @param {GitHubIssueRef} ref
+ * @param {string} marker
+ * @returns {boolean}
+ */
+const hasGitHubEstimateComment = (client, ref, marker) => {
+  const base = `/repos/${ref.owner}/${ref.repo}/issues/${ref.number}/comments`;
+  for (let page = 1; ; page++) {
+    /** @type {Array<{body?: string}>} */
+    const comments =
+      client.request(
+        "get",
+        `${base}?per_page=${GITHUB_COMMENTS_PER_PAGE}&page=${page}`
+      ) || [];
+    if (comments.some((c) => (c.body ?? "").includes(marker))) {
+      return true;
+    }
+    if (comments.length < GITHUB_COMMENTS_PER_PAGE) {
+      return false;
+    }
+  }
+};
+
+/**
+ * Projects の数値フィールドに設定する見積もり値。数値でない値（T シャツサイズ等）は例外にする。
+ * @param {string} average - 確定した見積もり値
+ * @returns {number}
+ */
+const toProjectEstimateValue = (average) => {
+  const value = Number(average.trim());
+  if (!average.trim() || !Number.isFinite(value)) {
+    throw new Error(
+      `数値でない見積もり値は Projects の数値フィールドに設定できません: ${average}`
+    );
+  }
+  return value;
+};
+
+tests.push({
+  name: "github:comment_marker",
+  failMessage: "GitHub のコメントの重複判定・Projects の値の変換が不正です",
+  check: () => {
+    const marker = buildEstimateCommentMarker(
+      "https://docs.google.com/spreadsheets/d/abc123/edit"
+    );
+    /** @type {Array<string>} */
+    const paths = [];
+    /** @type {(pages: Array<Array<{body: string}>>) => GitHubClient} */
+    const stub = (pages) => ({
+      request: (_method, path) => {
+        paths.push(path);
+        return pages[paths.length - 1] ?? [];
+      },
+      graphql: () => undefined,
+    });
+    const ref = { owner: "o", repo: "r", number: 1 };
+    const full = Array(GITHUB_COMMENTS_PER_PAGE).fill({ body: "LGTM" });
+    const found = hasGitHubEstimateComment(
+      stub([
+        full,
+        [{ body: buildEstimateCommentBody("9/5", "3", "", marker) }],
+      ]),
+      ref,
+      marker
+    );
+    const pagesRead = paths.length;
+    paths.length = 0;
+    const other = hasGitHubEstimateComment(
+      stub([
+        [
+          {
+            body: buildEstimateCommentBody(
+              "9/1",
+              "5",
+              "",
+              buildEstimateCommentMarker(
+                "https://docs.google.com/spreadsheets/d/xyz789/edit"
+              )
+            ),
+          },
+        ],
+      ]),
+      ref,
+      marker
+    );
+    /** @type {(average: string) => string} */
+    const projectValue = (average) => {
+      try {
+        return String(toProjectEstimateValue(average));
+      } catch (_e) {
+        return "error";
+      }
+    };
+    return (
+      marker === "<!-- async-estimate: abc123 -->" &&
+      found &&
+      pagesRead === 2 &&
+      !other &&
+      paths[0] === "/repos/o/r/issues/1/comments?per_page=100&page=1" &&
+      projectValue("3.5") === "3.5" &&
+      projectValue("L") === "error" &&
+      projectValue("") === "error"
+    );
+  },
+});
+
+/**
+ * issue の見積もりラベルを付け替える（接頭辞が同じ既存ラベルは外す）
+ * @param {GitHubClient} client
+ * @param {GitHubIssueRef} ref
+ * @param {string} prefix - 見積もりラベルの接頭辞
+ * @param {string} label - 付けるラベル
+ */
+const replaceGitHubEstimateLabel = (client, ref, prefix, label) => {
+  const base = `/repos/${ref.owner}/${ref.repo}/issues/${ref.number}/labels`;
+  /** @type {Array<{name: string}>} */
+  const current = client.request("get", base) || [];
+  for (const l of current) {
+    if (l.name.startsWith(prefix) && l.name !== label) {
+      client.request("delete", `${base}/${encodeURIComponent(l.name)}`);
+    }
+  }
+  client.request("post", base, { labels: [label] });
+};
+
+/**
+ * issue を Projects に追加し（未追加の場合）、数値フィールドに見積もり値を設定する
+ * @param {GitHubClient} client
+ * @param {GitHubIssueRef} ref
+ * @param {number} value
+ */
+const setGitHubProjectEstimate = (client, ref, value) => {
+  const projectId = getEstimateSetting(SETTING_KEYS.githubProjectId);
+  const fieldId = getEstimateSetting(SETTING_KEYS.githubProjectFieldId);
+  if (!projectId || !fieldId) {
+    throw new Error(
+      `${SETTING_KEYS.githubProjectId} と ${SETTING_KEYS.githubProjectFieldId} を設定してください`
+    );
+  }
+  const data = client.graphql(
+    `query($owner: String!, $repo: String!, $number: Int!) {
+      repository(owner: $owner, name: $repo) {
+        issue(number: $number) {
+          id
+          projectItems(first: 50) { nodes { id project { id } } }
+        }
+      }
+    }`,
+    { owner: ref.owner, repo: ref.repo, number: ref.number }
+  );
+  const issue = data?.repository?.issue;
+  if (!issue) {
+    throw new Error(`issue not found: ${ref.owner}/${ref.repo}#${ref.number}`);
+  }
+  /** @type {Array<{id: string, project: {id: string}}>} */
+  const items = issue.projectItems?.nodes || [];
+  let itemId = items.find((i) => i.project.id === projectId)?.id;
+  if (!itemId) {
+    const added = client.graphql(
+      `mutation($projectId: ID!, $contentId: ID!) {
+        addProjectV2ItemById(input: { projectId: $projectId, contentId: $contentId }) { item { id } }
+      }`,
+      { projectId, contentId: issue.id }
+    );
+    itemId = added?.addProjectV2ItemById?.item?.id;
+  }
+  client.graphql(
+    `mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $value: Float!) {
+      updateProjectV2ItemFieldValue(input: {
+        projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: { number: $value }
+      }) { projectV2Item { id } }
+    }`,
+    { projectId, itemId, fieldId, value }
+  );
+};
+
+/**
+ * 結果スプシの「結果まとめ」から確定した課題を読み込む
+ * @param {string} resultUrl - 結果スプシの URL
+ * @returns {Array<{ issueUrl: string, average: string, responseSummary: string }>}
+ */
+const getConfirmedResults = (resultUrl) => {
+  const spreadsheetId = extractSpreadsheetIdFromUrl(resultUrl);
+  const meta = getTableMetaInSpreadsheet(
+    spreadsheetId,
+    resultSummaryTable.tableName
+  );
+  const cells = readTableCells(spreadsheetId, meta);
+  const header = cells[0];
+  if (!header) {
+    throw new Error(`Table is empty: ${resultSummaryTable.tableName}`);
+  }
+  const { idxByName } = getTableHeaderInfo(meta, [header.map((c) => c.text)]);
+  const targetIdx = idxByName(resultSummaryTable.headers.estimateTarget);
+  const statusIdx = idxByName(resultSummaryTable.headers.status);
+  const averageIdx = idxByName(resultSummaryTable.headers.average);
+  const responseSummaryIdx = idxByName(
+    resultSummaryTable.headers.responseSummary
+  );
+  return cells
+    .slice(1)
+    .filter((r) => r[statusIdx]?.text === RESULT_STATUS.confirmed)
+    .map((r) => ({
+      issueUrl: r[targetIdx]?.url ?? "",
+      average: r[averageIdx]?.text ?? "",
+      responseSummary: r[responseSummaryIdx]?.text ?? "",
+    }));
+};
+
+/**
+ * 同期結果を GitHub同期結果 テーブルの先頭に記録する
+ * @param {string} roundTitle
+ * @param {Array<GitHubSyncResult>} results
+ */
+const logGitHubSyncResults = (roundTitle, results) => {
+  const spreadsheetId = SpreadsheetApp.getActiveSpreadsheet().getId();
+  const meta = getTableMetaByName(githubSyncResultTable.tableName);
+  const { idxByName, startCol0, endCol0 } = getTableHeaderInfo(meta);
+  const h = githubSyncResultTable.headers;
+  const timestamp = formatDateTime(new Date());
+  const rows = results.map((r) => {
+    const row = Array(endCol0 - startCol0).fill("");
+    row[idxByName(h.timestamp)] = timestamp;
+    row[idxByName(h.round)] = roundTitle;
+    row[idxByName(h.issue)] = r.issueUrl;
+    row[idxByName(h.operation)] = r.operation;
+    row[idxByName(h.result)] = r.ok ? "OK" : "NG";
+    row[idxByName(h.detail)] = r.detail;
+    return row;
+  });
+  insertTableTopRows(spreadsheetId, meta, rows);
+};
+
+/**
+ * クローズ済みの見積もりの確定結果を GitHub の issue に反映する。
+ * 見積もり値をラベルまたは Projects のフィールドに設定し、回答まとめをコメントする。
+ * 操作ごとの成否は GitHub同期結果 テーブルに記録する。
+ * @param {EstimateHistoryRow} historyRow - 対象の見積もり履歴の行
+ * @param {GitHubClient} [client] - 省略時は設定から作る
+ * @returns {Array<GitHubSyncResult>}
+ */
+const syncEstimatesToGitHub = (
+  historyRow,
+  client = createGitHubClientFromSettings()
+) => {
+  const target =
+    getEstimateSetting(SETTING_KEYS.githubEstimateTarget) ??
+    GITHUB_ESTIMATE_TARGETS.label;
+  if (!Object.values(GITHUB_ESTIMATE_TARGETS).includes(target)) {
+    throw new Error(
+      `${SETTING_KEYS.githubEstimateTarget} が不正です: ${target}`
+    );
+  }
+  const prefix =
+    getEstimateSetting(SETTING_KEYS.githubEstimateLabelPrefix) ??
+    DEFAULT_GITHUB_ESTIMATE_LABEL_PREFIX;
+
+  const marker = buildEstimateCommentMarker(historyRow.midUrl);
+
+  /** @type {Array<GitHubSyncResult>} */
+  const results = [];
+  /**
+   * @param {string} issueUrl
+   * @param {string} operation
+   * @param {() => string} thunk 成功時の詳細を返す
+   */
+  const attempt = (issueUrl, operation, thunk) => {
+    try {
+      results.push({ issueUrl, operation, ok: true, detail: thunk() });
+    } catch (err) {
+      const e = err instanceof Error ? err : new Error(String(err));
+      logWarn(`GitHub sync failed: ${operation}`, {
+        issueUrl,
+        error: e.message,
+      });
+      results.push({ issueUrl, operation, ok: false, detail: e.message });
+    }
+  };
+
+  for (const confirmed of getConfirmedResults(historyRow.resultUrl)) {
+    const ref = parseGitHubIssueUrl(confirmed.issueUrl);
+    if (!ref) {
+      results.push({
+        issueUrl: confirmed.issueUrl,
+        operation: "parse",
+        ok: false,
+        detail: "GitHub の issue URL ではありません",
+      });
+      continue;
+    }
+    if (target === GITHUB_ESTIMATE_TARGETS.project) {
+      attempt(confirmed.issueUrl, "project", () => {
+        setGitHubProjectEstimate(
+          client,
+          ref,
+          toProjectEstimateValue(confirmed.average)
+        );
+        return confirmed.average;
+      });
+    } else {
+      attempt(confirmed.issueUrl, "label", () => {
+        const label = `${prefix}${confirmed.average}`;
+        replaceGitHubEstimateLabel(client, ref, prefix, label);
+        return label;
+      });
+    }
+    attempt(confirmed.issueUrl, "comment", () => {
+      // 再実行しても同じ見積もりのコメントは 1 件だけにする
+      if (hasGitHubEstimateComment(client, ref, marker)) {
+        return "コメント済み";
+      }
+      const comment = client.request(
+        "post",
+        `/repos/${ref.owner}/${ref.repo}/issues/${ref.number}/comments`,
+        {
+          body: buildEstimateCommentBody(
+            historyRow.midText,
+            confirmed.average,
+            confirmed.responseSummary,
+            marker
+          ),
+        }
+      );
+      return String(comment?.html_url ?? "");
+    });
+  }
+
+  logGitHubSyncResults(historyRow.midText, results);
+  logInfo("syncEstimatesToGitHub completed", {
+    midText: historyRow.midText,
+    total: results.length,
+    failed: results.filter((r) => !r.ok).length,
+  });
+  return results;
+};
+
+/** ===== 追加: GitHub からの課題取り込み =================== */
+
+/** 検索 API の 1 ページあたり件数と、取り込む最大ページ数（検索 API の上限は 1000 件） */
+const GITHUB_SEARCH_PER_PAGE = 100;
+const GITHUB_SEARCH_MAX_PAGES = 10;
+
+/** @typedef {{ title: string, html_url: string, number: number, repository_url: string, pull_request?: unknown }} GitHubSearchIssue */
+
+/**
+ * GitHub の issue 検索を全ページ分実行する
+ * @param {GitHubClient} client
+ * @param {string} query - 検索クエリ（例: "repo:owner/name label:needs-estimate is:open"）
+ * @returns {Array<GitHubSearchIssue>}
+ */
+const searchGitHubIssues = (client, query) => {
+  /** @type {Array<GitHubSearchIssue>} */
+  const items = [];
+  for (let page = 1; page <= GITHUB_SEARCH_MAX_PAGES; page++) {
+    const resp = client.request(
+      "get",
+      `/search/issues?q=${encodeURIComponent(query)}` +
+        `&per_page=${GITHUB_SEARCH_PER_PAGE}&page=${page}`
+    );
+    /** @type {Array<GitHubSearchIssue>} */
+    const pageItems = resp?.items || [];
+    items.push(...pageItems);
+    if (pageItems.length < GITHUB_SEARCH_PER_PAGE) {
+      break;
+    }
+  }
+  return items;
+};
+
+/**
+ * 検索結果を課題リストの行に変換する。
+ * pull request と見積もり済みの issue を除き、リポジトリ・番号の昇順に並べる。
+ * @param {Array<GitHubSearchIssue>} items
+ * @param {Set<string>} estimatedUrls - 見積もり済みの issue URL
+ * @returns {Array<EstimateIssueRow>}
+ */
+const toImportedIssueRows = (items, estimatedUrls) =>
+  items
+    .filter((i) => !i.pull_request && !estimatedUrls.has(i.html_url))
+    .sort(
+      (a, b) =>
+        a.repository_url.localeCompare(b.repository_url) || a.number - b.number
+    )
+    .map((i) => ({ title: i.title, url: i.html_url }));
+
+/**
+ * 見積もり履歴のクローズ済み（アーカイブ済みを含む）の見積もりで確定した issue の URL を集める
+ * @returns {Set<string>}
+ */
+const getEstimatedIssueUrls = () => {
+  /** @type {Set<string>} */
+  const urls = new Set();
+  const finished = [
+    ESTIMATE_HISTORY_STATUS.closed,
+    ESTIMATE_HISTORY_STATUS.archived,
+  ];
+  for (const row of getAllEstimateHistoryRows()) {
+    if (!finished.includes(row.status) || !row.resultUrl) {
+      continue;
+    }
+    for (const r of getConfirmedResults(row.resultUrl)) {
+      if (r.issueUrl) {
+        urls.add(r.issueUrl);
+      }
+    }
+  }
+  return urls;
+};
+
+/**
+ * 設定した GitHub の検索クエリで issue を取得し、見積もり必要_課題リストを置き換える
+ * @param {GitHubClient} [client] - 省略時は設定から作る
+ * @param {EstimateTeam} [team] - 置き換える課題リストのチーム
+ * @returns {Array<EstimateIssueRow>} 取り込んだ課題
+ */
+const importIssuesFromGitHub = (
+  client = createGitHubClientFromSettings(),
+  team = DEFAULT_TEAM
+) => {
+  const query = getEstimateSetting(SETTING_KEYS.githubIssueQuery);
+  if (!query) {
+    throw new Error(
+      `見積もり必要_設定 に ${SETTING_KEYS.githubIssueQuery} を設定してください`
+    );
+  }
+  const items = searchGitHubIssues(client, query);
+  const rows = toImportedIssueRows(items, getEstimatedIssueUrls());
+  replaceEstimateIssueList(rows, team);
+  logInfo("Imported issues from GitHub", {
+    query,
+    team: team.name,
+    found: items.length,
+    imported: rows.length,
+  });
+  return rows;
+};
+
+tests.push({
+  name: "github:import_order",
+  failMessage: "取り込む課題の絞り込み・並び順が不正です",
+  check: () => {
+    /** @type {(repo: string, number: number, pr?: boolean) => GitHubSearchIssue} */
+    const item = (repo, number, pr) => ({
+      title: `${repo}#${number}`,
+      html_url: `https://github.com/o/${repo}/issues/${number}`,
+      number,
+      repository_url: `https://api.github.com/repos/o/${repo}`,
+      ...(pr ? { pull_request: {} } : {}),
+    });
+    const rows = toImportedIssueRows(
+      [
+        item("b", 1),
+        item("a", 10),
+        item("a", 2),
+        item("a", 3, true),
+        item("a", 5),
+      ],
+      new Set(["https://github.com/o/a/issues/5"])
+    );
+    return (
+      rows.map((r) => r.title).join(",") === "a#2,a#10,b#1" &&
+      rows[0]?.url === "https://github.com/o/a/issues/2"
+    );
+  },
+});
+
+/** ===== 追加: 作成失敗時のロールバック =================== */
+
+/**
+ * 元に戻す処理 1 件の結果。message は失敗時のエラーメッセージ（成功時は空）
+ * @typedef {{ label: string, ok: boolean, message: string }} RollbackResult
+ */
+/**
+ * @typedef {{
+ *   register: (label: string, action: () => void) => void,
+ *   rollback: () => Array<RollbackResult>,
+ * }} RollbackStack
+ */
+
+/**
+ * 元に戻す処理を積み、失敗時に登録と逆順で実行するスタックを作る。
+ * 1 件が失敗しても残りは続け、全件の結果を返す。
+ * @returns {RollbackStack}
+ */
+const createRollbackStack = () => {
+  /** @type {Array<{ label: string, action: () => void }>} */
+  const entries = [];
+  /** @type {RollbackStack["register"]} */
+  const register = (label, action) => {
+    entries.push({ label, action });
+  };
+  /** @type {RollbackStack["rollback"]} */
+  const rollback = () => {
+    /** @type {Array<RollbackResult>} */
+    const results = [];
+    while (entries.length) {
+      const entry = entries.pop();
+      if (!entry) {
+        break;
+      }
+      try {
+        entry.action();
+        results.push({ label: entry.label, ok: true, message: "" });
+      } catch (err) {
+        const e = err instanceof Error ? err : new Error(String(err));
+        logWarn(`Rollback failed: ${entry.label}`, { error: e.message });
+        results.push({ label: entry.label, ok: false, message: e.message });
+      }
+    }
+    return results;
+  };
+  return { register, rollback };
+};
+
+/**
+ * 失敗の原因と元に戻した結果をユーザー向けの文にする
+ * @param {string} cause - 失敗の原因（例外のメッセージ）
+ * @param {Array<RollbackResult>} results
+ * @returns {string}
+ */
+const formatRollbackReport = (cause, results) => {
+  const lines = [`見積もりの作成に失敗しました: ${cause}`];
+  if (!results.length) {
+    lines.push("元に戻す変更はありませんでした。");
+    return lines.join("\n");
+  }
+  lines.push(`作成途中の変更を元に戻しました（${results.length} 件）:`);
+  for (const r of results) {
+    lines.push(`- ${r.label}: ${r.ok ? "OK" : `失敗（${r.message}）`}`);
+  }
+  if (results.some((r) => !r.ok)) {
+    lines.push("元に戻せなかった項目は手動で確認してください。");
+  }
+  return lines.join("\n");
+};
+
+/**
+ * URL のファイルをゴミ箱へ移動する
+ * @param {string} url
+ * @param {string} fileType - ファイルの種類（エラーメッセージ用）
+ */
+const trashDriveFileByUrl = (url, fileType) => {
+  DriveApp.getFileById(extractFileIdFromUrl(url, fileType)).setTrashed(true);
+  logInfo(`Trashed ${fileType}`, { url });
+};
+
+/**
+ * URL のフォルダをゴミ箱へ移動する
+ * @param {string} url
+ */
+const trashDriveFolderByUrl = (url) => {
+  getDriveFolderFromUrl(url).setTrashed(true);
+  logInfo("Trashed folder", { url });
+};
+
+/**
+ * 見積もり発行の計画を実行し、失敗時はロールバックの結果をダイアログで知らせる
+ * @param {EstimatePlan} plan
+ */
+const executeEstimatePlanWithReport = (plan) => {
+  try {
+    return executeEstimatePlan(plan);
+  } catch (err) {
+    const e = err instanceof Error ? err : new Error(String(err));
+    SpreadsheetApp.getUi().alert(e.message);
+    throw e;
+  }
+};
+
+tests.push({
+  name: "rollback:reverse_order",
+  failMessage: "ロールバックの順序・結果の整形が不正です",
+  check: () => {
+    /** @type {Array<string>} */
+    const calls = [];
+    const stack = createRollbackStack();
+    stack.register("中間スプシをゴミ箱へ移動", () => calls.push("mid"));
+    stack.register("Google Form の回答先の解除", () => {
+      throw new Error("権限がありません");
+    });
+    stack.register("見積もり履歴の行を削除", () => calls.push("history"));
+    const results = stack.rollback();
+    const report = formatRollbackReport("Table not found", results);
+    return (
+      calls.join(",") === "history,mid" &&
+      results.map((r) => r.ok).join(",") === "true,false,true" &&
+      stack.rollback().length === 0 &&
+      report ===
+        [
+          "見積もりの作成に失敗しました: Table not found",
+          "作成途中の変更を元に戻しました（3 件）:",
+          "- 見積もり履歴の行を削除: OK",
+          "- Google Form の回答先の解除: 失敗（権限がありません）",
+          "- 中間スプシをゴミ箱へ移動: OK",
+          "元に戻せなかった項目は手動で確認してください。",
+        ].join("\n") &&
+      formatRollbackReport("x", []).endsWith("元に戻す変更はありませんでした。")
+    );
+  },
+});
+
+/** ===== 追加: 見積もり発行のプレビュー =================== */
+
+/**
+ * 発行対象（見積もり必要_ラウンド のラウンド、無ければチーム）をダイアログで選ばせ、見積もり発行の計画を作る
+ * @param {string} title - ダイアログのタイトル
+ * @returns {EstimatePlan|undefined} キャンセル時は undefined
+ */
+const promptEstimatePlan = (title) => {
+  const rounds = getEstimateRounds();
+  if (rounds) {
+    const round = promptEstimateRound(
+      title,
+      rounds.filter((r) => r.status === ROUND_STATUS.pending)
+    );
+    return round ? buildRoundEstimatePlan(round) : undefined;
+  }
+  const team = promptEstimateTeam(title);
+  if (!team) {
+    return undefined;
+  }
+  return buildEstimatePlan(getEstimateDeadline().dueDate, { team });
+};
+
+/** 操作用スプレッドシートに書き出すプレビューのシート（テーブルではない普通のシート） */
+const estimatePlanPreviewSheet = {
+  sheetName: "見積もり発行プレビュー",
+  headers: {
+    category: "区分",
+    item: "項目",
+    value: "内容",
+    note: "備考",
+  },
+};
+
+/**
+ * 付与する権限をプレビュー用に表す（例: 回答者・通知あり）
+ * @param {PlannedPermission} p
+ * @returns {string}
+ */
+const formatPlannedPermission = (p) => {
+  const role =
+    p.view === "published"
+      ? "回答者"
+      : p.role === "writer"
+        ? "編集者"
+        : "閲覧者";
+  const target = p.type === "group" ? "（グループ）" : "";
+  return `${role}${target}・通知${p.notify ? "あり" : "なし"}`;
+};
+
+/**
+ * 見積もり発行の計画をプレビューの行（区分, 項目, 内容, 備考）にする
+ * @param {EstimatePlan} plan
+ * @returns {Array<Array<string>>}
+ */
+const buildEstimatePlanPreviewRows = (plan) => [
+  ["概要", "タイトル", plan.titlePrefix, ""],
+  ["概要", "締切日", plan.deadlineDate, ""],
+  ["概要", "チーム", plan.team.name || "（既定）", ""],
+  ["概要", "匿名モード", plan.anonymous ? "はい" : "いいえ", ""],
+  ...(plan.round
+    ? [["概要", "ラウンド", plan.round.title, `発行後に${ROUND_STATUS.issued}`]]
+    : []),
+  plan.driveFolderUrl
+    ? [
+        "作成するファイル",
+        "フォルダ",
+        plan.fileTitles.folder,
+        plan.driveFolderUrl,
+      ]
+    : ["作成するファイル", "保存先", "マイドライブ直下", ""],
+  [
+    "作成するファイル",
+    ESTIMATE_FILE_TYPES.mid,
+    plan.fileTitles.mid,
+    plan.templates.midSpreadsheet,
+  ],
+  [
+    "作成するファイル",
+    ESTIMATE_FILE_TYPES.form,
+    plan.fileTitles.form,
+    plan.templates.googleForm,
+  ],
+  [
+    "作成するファイル",
+    ESTIMATE_FILE_TYPES.result,
+    plan.fileTitles.result,
+    plan.templates.resultSpreadsheet,
+  ],
+  ...plan.sections.map((s, i) => [
+    "Form セクション",
+    `E${i + 1}`,
+    s.title,
+    [
+      s.description,
+      s.premiseTitle,
+      s.estimateTitle,
+      ...s.extraQuestions.map((q) => `${q.title}（${q.choices.join(" / ")}）`),
+      s.note,
+    ]
+      .filter((v) => v)
+      .join("\n"),
+  ]),
+  ...plan.members.map((m) => [
+    membersTable.tableName,
+    m.displayName,
+    m.email,
+    m.responseRequired,
+  ]),
+  ...plan.issues.map((issue, i) => [
+    resultSummaryTable.tableName,
+    `E${i + 1}`,
+    issue.title,
+    issue.url,
+  ]),
+  ...plan.permissions.map((p) => [
+    "権限",
+    p.fileType,
+    p.email,
+    formatPlannedPermission(p),
+  ]),
+  ["Slack", "依頼メッセージ", plan.requestSlackText, ""],
+];
+
+/**
+ * プレビューのシートを作り直して計画を書き出す
+ * @param {EstimatePlan} plan
+ */
+const writeEstimatePlanPreview = (plan) => {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  deleteEstimatePlanPreview();
+  const { headers } = estimatePlanPreviewSheet;
+  const rows = [
+    [headers.category, headers.item, headers.value, headers.note],
+    ...buildEstimatePlanPreviewRows(plan),
+  ];
+  const sheet = ss.insertSheet(estimatePlanPreviewSheet.sheetName);
+  sheet.getRange(1, 1, rows.length, 4).setValues(rows);
+  sheet.setFrozenRows(1);
+  logInfo("Wrote estimate plan preview", {
+    title: plan.titlePrefix,
+    rows: rows.length - 1,
+  });
+};
+
+/** プレビューのシートがあれば削除する */
+const deleteEstimatePlanPreview = () => {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(estimatePlanPreviewSheet.sheetName);
+  if (sheet) {
+    ss.deleteSheet(sheet);
+  }
+};
+
+/** プレビューした計画を保存する ScriptProperties のキー接頭辞（値の大きさの上限があるため分割して保存する） */
+const ESTIMATE_PLAN_PROPERTY_PREFIX = "estimatePlan:";
+/** 1 プロパティに入れる文字数（マルチバイト文字でも 1 値 9KB の上限に収まる長さ） */
+const ESTIMATE_PLAN_CHUNK_LENGTH = 2000;
+
+/**
+ * 文字列を指定の長さごとに分割する
+ * @param {string} text
+ * @param {number} size
+ * @returns {Array<string>}
+ */
+const splitIntoChunks = (text, size) => {
+  /** @type {Array<string>} */
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) {
+    chunks.push(text.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * 分割して保存した値（キー接頭辞 + 連番）を連番順につなげる
+ * @param {Record<string, string>} props
+ * @param {string} prefix
+ * @returns {string|undefined} 保存されていなければ undefined
+ */
+const joinChunkedProperties = (props, prefix) => {
+  const keys = Object.keys(props)
+    .filter((k) => k.startsWith(prefix))
+    .sort(
+      (a, b) => Number(a.slice(prefix.length)) - Number(b.slice(prefix.length))
+    );
+  if (!keys.length) {
+    return undefined;
+  }
+  return keys.map((k) => props[k] ?? "").join("");
+};
+
+/** プレビューした計画を消す */
+const clearPendingEstimatePlan = () => {
+  const props = PropertiesService.getScriptProperties();
+  for (const key of props.getKeys()) {
+    if (key.startsWith(ESTIMATE_PLAN_PROPERTY_PREFIX)) {
+      props.deleteProperty(key);
+    }
+  }
+};
+
+/**
+ * プレビューした計画を保存する（前の計画は消す）
+ * @param {EstimatePlan} plan
+ */
+const savePendingEstimatePlan = (plan) => {
+  clearPendingEstimatePlan();
+  const chunks = splitIntoChunks(
+    JSON.stringify(plan),
+    ESTIMATE_PLAN_CHUNK_LENGTH
+  );
+  /** @type {Record<string, string>} */
+  const values = {};
+  for (let i = 0; i < chunks.length; i++) {
+    values[ESTIMATE_PLAN_PROPERTY_PREFIX + i] = chunks[i] ?? "";
+  }
+  PropertiesService.getScriptProperties().setProperties(values);
+  logInfo("Saved estimate plan", {
+    title: plan.titlePrefix,
+    chunks: chunks.length,
+  });
+};
+
+/**
+ * 保存したプレビューの計画を読み込む
+ * @returns {EstimatePlan|undefined} 保存されていなければ undefined
+ */
+const loadPendingEstimatePlan = () => {
+  const raw = joinChunkedProperties(
+    PropertiesService.getScriptProperties().getProperties(),
+    ESTIMATE_PLAN_PROPERTY_PREFIX
+  );
+  return raw === undefined
+    ? undefined
+    : /** @type {EstimatePlan} */ (JSON.parse(raw));
+};
+
+tests.push({
+  name: "estimate_plan:preview",
+  failMessage: "見積もり発行の計画・プレビューが不正です",
+  check: () => {
+    /** @type {(displayName: string, responseRequired: "必要" | "不要") => EstimateRequiredMemberRow} */
+    const member = (displayName, responseRequired) => ({
+      displayName,
+      email: `${displayName.toLowerCase()}@example.com`,
+      responseRequired,
+      slackMention: displayName,
+      slackUserId: "",
+      type: "user",
+    });
+    /** @type {Parameters<typeof planEstimate>[0]} */
+    const input = {
+      deadlineDate: "2025-09-05",
+      titlePrefix: "2025-09-05 async ポーカー",
+      team: DEFAULT_TEAM,
+      templates: {
+        googleForm: "f",
+        midSpreadsheet: "m",
+        resultSpreadsheet: "r",
+      },
+      driveFolderUrl: "https://drive.google.com/drive/folders/0AbCdEf",
+      issues: [
+        { title: "ログイン", url: "https://example.com/issues/1" },
+        { title: "", url: "" },
+      ],
+      members: [
+        member("Alice", "必要"),
+        member("Bob", "不要"),
+        member("Po", "必要"),
+      ],
+      po: {
+        emails: ["po@example.com"],
+        groupEmails: [],
+        memberEmails: ["po@example.com"],
+      },
+      sectionNotes: { "https://example.com/issues/1": "前回: violation" },
+      extraQuestions: [
+        {
+          title: "確信度",
+          kind: EXTRA_QUESTION_KIND.choice,
+          choices: ["高", "低"],
+          required: true,
+        },
+      ],
+      anonymous: false,
+    };
+    const plan = planEstimate(input);
+    // 解釈できない締切日は計画の時点で弾く（ファイルのコピー後に失敗させない）
+    let invalidDeadlineRejected = false;
+    try {
+      planEstimate({ ...input, deadlineDate: "2025年9月5日" });
+    } catch (_e) {
+      invalidDeadlineRejected = true;
+    }
+    const rows = buildEstimatePlanPreviewRows(plan);
+    const formGrants = plan.permissions.filter(
+      (p) => p.fileType === ESTIMATE_FILE_TYPES.form && p.view === "published"
+    );
+    const json = JSON.stringify(plan);
+    const chunks = splitIntoChunks(json, 7);
+    /** @type {Record<string, string>} */
+    const props = { other: "x" };
+    // 連番が 10 以上でも数値順につなげること
+    for (let i = chunks.length - 1; i >= 0; i--) {
+      props[`p:${i}`] = chunks[i] ?? "";
+    }
+    return (
+      plan.issues.length === 1 &&
+      plan.fileTitles.result === "2025-09-05 async ポーカー結果" &&
+      plan.sections[0]?.note === "前回: violation" &&
+      plan.sections[0]?.extraQuestions[0]?.title === "E1. 確信度" &&
+      rows.some(
+        (r) =>
+          r[0] === "Form セクション" && r[3]?.includes("E1. 確信度（高 / 低）")
+      ) &&
+      plan.permissions.length === 3 + 2 + 2 &&
+      formGrants.map((p) => `${p.email}:${p.notify}`).join(",") ===
+        "alice@example.com:true,bob@example.com:false" &&
+      plan.requestSlackText.includes(PLAN_FORM_URL_PLACEHOLDER) &&
+      rows.some((r) => r[0] === "権限" && r[3] === "回答者・通知あり") &&
+      rows.some(
+        (r) => r[1] === "フォルダ" && r[2] === "2025-09-05 async ポーカー"
+      ) &&
+      extractDriveFolderIdFromUrlOrUndefined(plan.driveFolderUrl) ===
+        "0AbCdEf" &&
+      rows.some(
+        (r) => r[0] === resultSummaryTable.tableName && r[1] === "E1"
+      ) &&
+      chunks.length > 10 &&
+      joinChunkedProperties(props, "p:") === json &&
+      joinChunkedProperties(props, "none:") === undefined &&
+      invalidDeadlineRejected
+    );
+  },
+});
+
+/** ===== 追加: 見積もり作成の再開 =================== */
+
+/**
+ * 見積もり作成の途中状態。手順を終えるたびに ScriptProperties に保存し、
+ * 実行時間の上限で止まっても続きから再開できるようにする。
+ * done は終えた手順の名前、current は実行中（中断した）手順の名前、
+ * permissionResults は plan.permissions の先頭から順の付与結果、
+ * continuationTriggerUid は続きを実行するトリガー（無ければ空）
+ * @typedef {{
+ *   id: string,
+ *   plan: EstimatePlan,
+ *   done: Array<string>,
+ *   current: string,
+ *   folderUrl: string,
+ *   midUrl: string,
+ *   formUrl: string,
+ *   resultUrl: string,
+ *   formResponseUrl: string,
+ *   permissionResults: Array<PermissionGrantResult>,
+ *   continuationTriggerUid: string,
+ *   startedAt: string,
+ *   updatedAt: string,
+ * }} EstimateCreationState
+ */
+/**
+ * completed が false の場合は続きをトリガーで実行する（URL は作成済みのものだけ入る）
+ * @typedef {{
+ *   date: string,
+ *   titlePrefix: string,
+ *   team: string,
+ *   folderUrl: string,
+ *   midUrl: string,
+ *   formUrl: string,
+ *   resultUrl: string,
+ *   permissionSummary: string,
+ *   completed: boolean,
+ * }} EstimateCreationResult
+ */
+
+/** 作成途中の状態を保存する ScriptProperties のキー接頭辞（続けて id と ":" + 連番） */
+const ESTIMATE_CREATION_PROPERTY_PREFIX = "estimateCreation:";
+/** 1 回の実行で手順を進める時間（Apps Script の 6 分の上限に余裕を持たせる） */
+const ESTIMATE_CREATION_TIME_BUDGET_MS = 4 * 60 * 1000;
+/** 中断してから続きを実行するまでの時間 */
+const ESTIMATE_CREATION_CONTINUE_DELAY_MS = 60 * 1000;
+const ESTIMATE_CREATION_CONTINUE_HANDLER = "onEstimateCreationContinue";
+/** 時間のかかる手順の途中で進捗を保存する間隔（権限・セクションの件数） */
+const ESTIMATE_CREATION_CHECKPOINT_INTERVAL = 10;
+
+/**
+ * @param {EstimatePlan} plan
+ * @returns {EstimateCreationState}
+ */
+const createEstimateCreationState = (plan) => {
+  const now = formatDateTime(new Date());
+  return {
+    id: Utilities.getUuid(),
+    plan,
+    done: [],
+    current: "",
+    folderUrl: "",
+    midUrl: "",
+    formUrl: "",
+    resultUrl: "",
+    formResponseUrl: "",
+    permissionResults: [],
+    continuationTriggerUid: "",
+    startedAt: now,
+    updatedAt: now,
+  };
+};
+
+/** @param {string} id */
+const estimateCreationPropertyPrefix = (id) =>
+  `${ESTIMATE_CREATION_PROPERTY_PREFIX}${id}:`;
+
+/** @param {string} id */
+const deleteEstimateCreationState = (id) => {
+  const props = PropertiesService.getScriptProperties();
+  const prefix = estimateCreationPropertyPrefix(id);
+  for (const key of props.getKeys()) {
+    if (key.startsWith(prefix)) {
+      props.deleteProperty(key);
+    }
+  }
+};
+
+/**
+ * 途中状態を保存する（同じ id の前の状態は置き換える）
+ * @param {EstimateCreationState} state
+ */
+const saveEstimateCreationState = (state) => {
+  state.updatedAt = formatDateTime(new Date());
+  deleteEstimateCreationState(state.id);
+  const chunks = splitIntoChunks(
+    JSON.stringify(state),
+    ESTIMATE_PLAN_CHUNK_LENGTH
+  );
+  const prefix = estimateCreationPropertyPrefix(state.id);
+  /** @type {Record<string, string>} */
+  const values = {};
+  for (let i = 0; i < chunks.length; i++) {
+    values[prefix + i] = chunks[i] ?? "";
+  }
+  PropertiesService.getScriptProperties().setProperties(values);
+};
+
+/**
+ * 保存されている作成途中の状態（開始の古い順）
+ * @returns {Array<EstimateCreationState>}
+ */
+const getEstimateCreationStates = () => {
+  const props = PropertiesService.getScriptProperties().getProperties();
+  const ids = new Set(
+    Object.keys(props)
+      .filter((k) => k.startsWith(ESTIMATE_CREATION_PROPERTY_PREFIX))
+      .map(
+        (k) =>
+          k.slice(ESTIMATE_CREATION_PROPERTY_PREFIX.length).split(":")[0] ?? ""
+      )
+  );
+  /** @type {Array<EstimateCreationState>} */
+  const states = [];
+  for (const id of ids) {
+    const raw = joinChunkedProperties(
+      props,
+      estimateCreationPropertyPrefix(id)
+    );
+    if (raw !== undefined) {
+      states.push(/** @type {EstimateCreationState} */ (JSON.parse(raw)));
+    }
+  }
+  return states.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+};
+
+/**
+ * 途中状態から、作成済みの変更を元に戻す処理を作成順に並べる。
+ * 実行中だった手順（current）は途中まで反映されている可能性があるため含める。
+ * @param {EstimateCreationState} state
+ * @returns {Array<{ label: string, action: () => void }>}
+ */
+const listEstimateCreationCompensations = (state) => {
+  const { team } = state.plan;
+  /** @type {(name: string) => boolean} */
+  const reached = (name) => state.done.includes(name) || state.current === name;
+  /** @type {Array<{ label: string, action: () => void }>} */
+  const compensations = [];
+  // フォルダは中のファイルより後に片付ける（逆順に実行するため先に積む）
+  if (state.folderUrl) {
+    const { folderUrl } = state;
+    compensations.push({
+      label: "フォルダをゴミ箱へ移動",
+      action: () => trashDriveFolderByUrl(folderUrl),
+    });
+  }
+  const files = [
+    { url: state.midUrl, fileType: ESTIMATE_FILE_TYPES.mid },
+    { url: state.formUrl, fileType: ESTIMATE_FILE_TYPES.form },
+    { url: state.resultUrl, fileType: ESTIMATE_FILE_TYPES.result },
+  ];
+  for (const { url, fileType } of files) {
+    if (url) {
+      compensations.push({
+        label: `${fileType}をゴミ箱へ移動`,
+        action: () => trashDriveFileByUrl(url, fileType),
+      });
+    }
+  }
+  if (state.formUrl && reached("linkForm")) {
+    compensations.push({
+      label: "Google Form の回答先の解除",
+      action: () => getFormFromUrl(state.formUrl).removeDestination(),
+    });
+  }
+  if (reached("history")) {
+    compensations.push({
+      label: `${team.history}の行を削除`,
+      action: () => {
+        const added = getEstimateHistoryRows(team).some(
+          (r) => r.midUrl === state.midUrl
+        );
+        if (added) {
+          deleteEstimateHistoryRow(state.midUrl, team);
+        }
+      },
+    });
+  }
+  if (reached("triggers")) {
+    compensations.push({
+      label: "締切・リマインドのトリガーを削除",
+      action: () => {
+        removeRoundTriggers(state.midUrl);
+      },
+    });
+  }
+  return compensations;
+};
+
+/**
+ * @param {EstimateCreationState} state
+ * @param {boolean} completed
+ * @returns {EstimateCreationResult}
+ */
+const toEstimateCreationResult = (state, completed) => ({
+  date: state.plan.deadlineDate,
+  titlePrefix: state.plan.titlePrefix,
+  team: state.plan.team.name,
+  folderUrl: state.folderUrl,
+  midUrl: state.midUrl,
+  formUrl: state.formUrl,
+  resultUrl: state.resultUrl,
+  permissionSummary: state.permissionResults.length
+    ? formatPermissionGrantSummary(state.permissionResults)
+    : "",
+  completed,
+});
+
+/**
+ * 続きを実行するトリガーを設置して途中状態を保存する
+ * @param {EstimateCreationState} state
+ */
+const suspendEstimateCreation = (state) => {
+  const trigger = ScriptApp.newTrigger(ESTIMATE_CREATION_CONTINUE_HANDLER)
+    .timeBased()
+    .after(ESTIMATE_CREATION_CONTINUE_DELAY_MS)
+    .create();
+  state.continuationTriggerUid = trigger.getUniqueId();
+  saveEstimateCreationState(state);
+  logInfo("Estimate creation suspended", {
+    id: state.id,
+    titlePrefix: state.plan.titlePrefix,
+    current: state.current,
+    done: state.done.length,
+    triggerUid: state.continuationTriggerUid,
+  });
+};
+
+/**
+ * 途中状態の続きの手順を実行する。時間が足りなくなったら中断して続きをトリガーに任せ、
+ * 失敗した場合は作成済みの変更を逆順に元に戻して、結果をまとめた例外を投げる。
+ * 呼び出し側でスクリプトロックを取っておくこと。
+ * @param {EstimateCreationState} state
+ * @returns {EstimateCreationResult}
+ */
+const runEstimateCreationSteps = (state) => {
+  const startedAt = Date.now();
+  const hasTimeLeft = () =>
+    Date.now() - startedAt < ESTIMATE_CREATION_TIME_BUDGET_MS;
+  const checkpoint = () => saveEstimateCreationState(state);
+  try {
+    for (const step of ESTIMATE_CREATION_STEPS) {
+      if (state.done.includes(step.name)) {
+        continue;
+      }
+      if (!hasTimeLeft()) {
+        suspendEstimateCreation(state);
+        return toEstimateCreationResult(state, false);
+      }
+      state.current = step.name;
+      // 実行時間の上限で強制終了しても、途中まで反映された手順を元に戻せるように保存しておく
+      checkpoint();
+      logInfo(`Estimate creation step: ${step.label}`, { id: state.id });
+      const finished = step.run(state, hasTimeLeft, checkpoint);
+      if (!finished) {
+        suspendEstimateCreation(state);
+        return toEstimateCreationResult(state, false);
+      }
+      state.done.push(step.name);
+      state.current = "";
+      checkpoint();
+    }
+  } catch (err) {
+    const e = err instanceof Error ? err : new Error(String(err));
+    const rollback = createRollbackStack();
+    for (const { label, action } of listEstimateCreationCompensations(state)) {
+      rollback.register(label, action);
     }
-    if (Object.prototype.hasOwnProperty.call(map, k) && map[k] !== v) {
-      logWarn("duplicate key in 見積もり必要_デバッグ", {
-        row: i + 1,
-        key: k,
-        prev: map[k],
-        next: v,
-      });
-      continue;
+    const results = rollback.rollback();
+    deleteEstimateCreationState(state.id);
+    logError("Estimate creation failed, rolled back", {
+      id: state.id,
+      title: state.plan.titlePrefix,
+      step: state.current,
+      error: e.message,
+      results,
+    });
+    throw new Error(formatRollbackReport(e.message, results));
+  }
+  deleteEstimateCreationState(state.id);
+  logInfo("Estimate creation completed", {
+    id: state.id,
+    titlePrefix: state.plan.titlePrefix,
+    midUrl: state.midUrl,
+  });
+  return toEstimateCreationResult(state, true);
+};
+
+/**
+ * 新しい見積もり作成を始める（他の作成や再開と同時に進めないようロックを取る）
+ * @param {EstimateCreationState} state
+ * @returns {EstimateCreationResult}
+ */
+const runEstimateCreation = (state) =>
+  withScriptLock("見積もり作成", () => runEstimateCreationSteps(state));
+
+/**
+ * ID のトリガーを削除する（既に実行・削除済みなら何もしない）
+ * @param {string} triggerUid
+ */
+const deleteProjectTriggerByUid = (triggerUid) => {
+  for (const trigger of ScriptApp.getProjectTriggers()) {
+    if (trigger.getUniqueId() === triggerUid) {
+      ScriptApp.deleteTrigger(trigger);
     }
-    map[k] = v;
   }
+};
 
-  _estimateDebugCache = map;
-  logInfo("Loaded table 見積もり必要_デバッグ", {
-    a1,
-    countRows: values.length - 1,
-    keys: Object.keys(map).length,
-    tableId: meta.tableId,
+/**
+ * 作成途中の状態を続きから実行する（トリガー・再開メニューの共通処理）
+ * 二重に実行しないよう、先に続きを実行するトリガーを削除する。呼び出し側でロックを取っておくこと。
+ * @param {EstimateCreationState} state
+ */
+const resumeEstimateCreationLocked = (state) => {
+  if (state.continuationTriggerUid) {
+    deleteProjectTriggerByUid(state.continuationTriggerUid);
+    state.continuationTriggerUid = "";
+  }
+  logInfo("Resuming estimate creation", {
+    id: state.id,
+    titlePrefix: state.plan.titlePrefix,
+    done: state.done,
   });
-  return map;
+  return runEstimateCreationSteps(state);
 };
 
 /**
- * 指定された Google Form のタイトル、説明、および全 Item をログ出力する。
- * @param {string} formUrl - Google Form の URL
- * @returns {{title: string, description?: string, items: Array<{index:number,type:string,title:string,helpText?:string,choices?:string[]}>}}
+ * 選んだ作成途中の見積もりを続きから実行する（再開メニュー）
+ * ロックを待つ間に他の実行が進めている可能性があるため、ロックを取ってから状態を読み直す。
+ * @param {EstimateCreationState} state
+ * @returns {EstimateCreationResult|undefined} 他の実行で作成が終わっていた場合は undefined
  */
-const debugLogForm = (formUrl) => {
-  const form = getFormFromUrl(formUrl);
-  const title = form.getTitle();
-  const description = form.getDescription();
-  logInfo("Form info", { title, description });
-  const items = form.getItems();
-  /** @type {Array<{index:number,type:string,title:string,helpText?:string,choices?:string[]}>} */
-  const out = [];
-  for (let i = 0; i < items.length; i++) {
-    const item = items[i];
-    const type = item.getType();
-    /** @type {{index:number,type:string,title:string,helpText?:string,choices?:string[]}} */
-    const info = {
-      index: i,
-      type: String(type),
-      title: item.getTitle(),
-    };
-    const helpText = item.getHelpText();
-    if (helpText) {
-      info.helpText = helpText;
+const resumeEstimateCreation = (state) =>
+  withScriptLock("見積もり作成の再開", () => {
+    const latest = getEstimateCreationStates().find((s) => s.id === state.id);
+    if (!latest) {
+      logWarn("Estimate creation state already finished", { id: state.id });
+      return undefined;
     }
-    if (type === FormApp.ItemType.MULTIPLE_CHOICE) {
-      info.choices = item
-        .asMultipleChoiceItem()
-        .getChoices()
-        .map(
-          /** @param {GoogleAppsScript.Forms.Choice} c */ (c) => c.getValue()
-        );
-    } else if (type === FormApp.ItemType.CHECKBOX) {
-      info.choices = item
-        .asCheckboxItem()
-        .getChoices()
-        .map(
-          /** @param {GoogleAppsScript.Forms.Choice} c */ (c) => c.getValue()
-        );
-    } else if (type === FormApp.ItemType.LIST) {
-      info.choices = item
-        .asListItem()
-        .getChoices()
-        .map(
-          /** @param {GoogleAppsScript.Forms.Choice} c */ (c) => c.getValue()
-        );
+    return resumeEstimateCreationLocked(latest);
+  });
+
+/**
+ * 続きを実行するトリガーが発火したときの処理
+ * @param {string} triggerUid
+ */
+const handleEstimateCreationContinueTrigger = (triggerUid) =>
+  withScriptLock("見積もり作成の続き", () => {
+    const state = getEstimateCreationStates().find(
+      (s) => s.continuationTriggerUid === triggerUid
+    );
+    if (!state) {
+      // 再開メニューから実行済みなどで状態が無い場合はトリガーだけ片付ける
+      logWarn("No estimate creation state for trigger", { triggerUid });
+      deleteProjectTriggerByUid(triggerUid);
+      return undefined;
     }
-    out.push(info);
-    logInfo("Form item", info);
+    return resumeEstimateCreationLocked(state);
+  });
+
+/**
+ * 作成途中の見積もりをダイアログで選ばせる
+ * @param {Array<EstimateCreationState>} states
+ * @returns {EstimateCreationState|undefined} キャンセル時・候補が無い場合は undefined
+ */
+const promptEstimateCreationState = (states) => {
+  const ui = SpreadsheetApp.getUi();
+  if (!states.length) {
+    ui.alert("作成途中の見積もりはありません");
+    return undefined;
   }
-  return { title, description, items: out };
+  const lines = states.map(
+    (s, i) =>
+      `${i + 1}. ${withTeamLabel(s.plan.team.name, s.plan.titlePrefix)}` +
+      `（${s.done.length}/${ESTIMATE_CREATION_STEPS.length} 手順済み、更新 ${s.updatedAt}）`
+  );
+  const response = ui.prompt(
+    "作成途中の見積もりを再開",
+    `番号を入力してください:\n${lines.join("\n")}`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return undefined;
+  }
+  const index = parseSelectionNumber(response.getResponseText(), states.length);
+  if (index === undefined) {
+    ui.alert("番号が不正です");
+    return undefined;
+  }
+  return states[index];
 };
 
+/**
+ * 見積もり作成の結果をユーザー向けの文にする
+ * @param {EstimateCreationResult} result
+ */
+const formatEstimateCreationResult = (result) =>
+  result.completed
+    ? `${result.titlePrefix} を発行しました` +
+      (result.permissionSummary
+        ? `\n\n権限の付与: ${result.permissionSummary}`
+        : "")
+    : `${result.titlePrefix} は途中まで作成しました。` +
+      `残りの手順は ${ESTIMATE_CREATION_CONTINUE_DELAY_MS / 60000} 分後に自動で再開します` +
+      "（メニューの「作成途中の見積もりを再開」からも実行できます）";
+
+tests.push({
+  name: "estimate_creation:resume",
+  failMessage: "作成途中の状態からの再開・ロールバックの対象が不正です",
+  check: () => {
+    const types = [
+      "TEXT",
+      "BREAK",
+      "PARA",
+      "LIST",
+      "BREAK",
+      "PARA",
+      "LIST",
+      "BREAK",
+      "PARA",
+    ];
+    const pattern = ["BREAK", "PARA", "LIST"];
+    /** @type {EstimateCreationState} */
+    const state = {
+      id: "1",
+      plan: /** @type {EstimatePlan} */ ({
+        titlePrefix: "2025-09-05 async ポーカー",
+        team: DEFAULT_TEAM,
+      }),
+      done: ["copyMid", "copyForm", "copyResult", "linkForm"],
+      current: "setupForm",
+      folderUrl: "",
+      midUrl: "m",
+      formUrl: "f",
+      resultUrl: "r",
+      formResponseUrl: "",
+      permissionResults: [],
+      continuationTriggerUid: "",
+      startedAt: "",
+      updatedAt: "",
+    };
+    const labels = (/** @type {EstimateCreationState} */ s) =>
+      listEstimateCreationCompensations(s).map((c) => c.label);
+    const atHistory = labels({
+      ...state,
+      done: [...state.done, "setupForm"],
+      current: "history",
+    });
+    return (
+      countFormSectionSets(types, 1, pattern, 5) === 2 &&
+      countFormSectionSets(types, 1, pattern, 1) === 1 &&
+      countFormSectionSets(types, 0, pattern, 5) === 0 &&
+      labels(state).join(",") ===
+        [
+          `${ESTIMATE_FILE_TYPES.mid}をゴミ箱へ移動`,
+          `${ESTIMATE_FILE_TYPES.form}をゴミ箱へ移動`,
+          `${ESTIMATE_FILE_TYPES.result}をゴミ箱へ移動`,
+          "Google Form の回答先の解除",
+        ].join(",") &&
+      labels({
+        ...state,
+        done: [],
+        current: "copyMid",
+        midUrl: "",
+        formUrl: "",
+        resultUrl: "",
+      }).length === 0 &&
+      atHistory[atHistory.length - 1] === `${DEFAULT_TEAM.history}の行を削除` &&
+      labels({ ...state, folderUrl: "d" })[0] === "フォルダをゴミ箱へ移動" &&
+      ESTIMATE_CREATION_STEPS.map((s) => s.name).indexOf("notifySlack") ===
+        ESTIMATE_CREATION_STEPS.length - 1 &&
+      !formatEstimateCreationResult(
+        toEstimateCreationResult(state, false)
+      ).includes("発行しました")
+    );
+  },
+});
+
 /** ===== エントリポイント（実行対象の公開） ============= */
 
 /** 個別テスト実行 */
@@ -2945,6 +10748,78 @@ const testEstimateRequiredMembersColumns = () =>
 const testEstimateIssueListColumns = () =>
   runTestByName("estimate_issue_list:columns");
 
+/** 見積もり必要_スケール: テスト実行ヘルパ */
+const testEstimateScaleParse = () => runTestByName("estimate_scale:parse");
+
+/** 確定の判定ルール: テスト実行ヘルパ */
+const testConsensusResolve = () => runTestByName("consensus:resolve");
+
+/** 結果まとめの集計: テスト実行ヘルパ */
+const testResultSummaryAggregate = () =>
+  runTestByName("result_summary:aggregate");
+
+/** 匿名モード: テスト実行ヘルパ */
+const testAnonymousPseudonyms = () => runTestByName("anonymous:pseudonyms");
+
+/** 見積もり必要_チーム: テスト実行ヘルパ */
+const testTeamsParse = () => runTestByName("teams:parse");
+
+/** 見積もり必要_ラウンド: テスト実行ヘルパ */
+const testRoundsOptions = () => runTestByName("rounds:options");
+const testRoundsPendingForPlan = () => runTestByName("rounds:pending_for_plan");
+
+/** 作成失敗時のロールバック: テスト実行ヘルパ */
+const testRollbackReverseOrder = () => runTestByName("rollback:reverse_order");
+
+/** 見積もり発行のプレビュー: テスト実行ヘルパ */
+const testEstimatePlanPreview = () => runTestByName("estimate_plan:preview");
+
+/** 古い見積もりのアーカイブ: テスト実行ヘルパ */
+const testArchiveSelect = () => runTestByName("archive:select");
+const testArchiveRemovalFailed = () => runTestByName("archive:removal_failed");
+
+/** 権限付与の再試行: テスト実行ヘルパ */
+const testPermissionsRetry = () => runTestByName("permissions:retry");
+const testShareGroups = () => runTestByName("share:groups");
+const testSetupValidate = () => runTestByName("setup:validate");
+const testFormSectionDetails = () => runTestByName("form_section:details");
+const testExtraQuestionsParse = () => runTestByName("extra_questions:parse");
+const testResultSummaryExtras = () => runTestByName("result_summary:extras");
+
+/** 権限の監査と修復: テスト実行ヘルパ */
+const testPermissionAuditDiff = () => runTestByName("permission_audit:diff");
+
+/** 見積もり作成の再開: テスト実行ヘルパ */
+const testEstimateCreationResume = () =>
+  runTestByName("estimate_creation:resume");
+
+/** 見積もり履歴からの対象選択: テスト実行ヘルパ */
+const testSelectionParseNumber = () => runTestByName("selection:parse_number");
+
+/** 締切トリガー: テスト実行ヘルパ */
+const testDeadlineParse = () => runTestByName("deadline:parse");
+
+/** 見積もり必要_設定: テスト実行ヘルパ */
+const testEstimateSettingsLoad = () => runTestByName("estimate_settings:load");
+
+/** Slack 通知: テスト実行ヘルパ */
+const testSlackMrkdwn = () => runTestByName("slack:mrkdwn");
+const testSlackPostStub = () => runTestByName("slack:post_stub");
+
+/** 未回答者リマインド: テスト実行ヘルパ */
+const testReminderMessage = () => runTestByName("reminder:message");
+const testReminderMentions = () => runTestByName("reminder:mentions");
+
+/** violation からの再見積もり: テスト実行ヘルパ */
+const testReestimateDeadline = () => runTestByName("reestimate:deadline");
+const testReestimateNote = () => runTestByName("reestimate:note");
+
+/** GitHub: テスト実行ヘルパ */
+const testGitHubParseIssueUrl = () => runTestByName("github:parse_issue_url");
+const testGitHubClientStub = () => runTestByName("github:client_stub");
+const testGitHubCommentMarker = () => runTestByName("github:comment_marker");
+const testGitHubImportOrder = () => runTestByName("github:import_order");
+
 /** コアテスト（書き込み等の副作用なし）*/
 const testCore = () =>
   runTestsByNames([
@@ -2961,6 +10836,38 @@ const testCore = () =>
     "estimate_deadline:length1",
     "estimate_required_members:columns",
     "estimate_issue_list:columns",
+    "teams:parse",
+    "rounds:options",
+    "rounds:pending_for_plan",
+    "rollback:reverse_order",
+    "estimate_plan:preview",
+    "estimate_creation:resume",
+    "archive:select",
+    "archive:removal_failed",
+    "permission_audit:diff",
+    "permissions:retry",
+    "share:groups",
+    "setup:validate",
+    "form_section:details",
+    "extra_questions:parse",
+    "result_summary:extras",
+    "estimate_scale:parse",
+    "consensus:resolve",
+    "result_summary:aggregate",
+    "anonymous:pseudonyms",
+    "selection:parse_number",
+    "deadline:parse",
+    "estimate_settings:load",
+    "slack:mrkdwn",
+    "slack:post_stub",
+    "reminder:message",
+    "reminder:mentions",
+    "reestimate:deadline",
+    "reestimate:note",
+    "github:parse_issue_url",
+    "github:client_stub",
+    "github:comment_marker",
+    "github:import_order",
   ]);
 
 /**
@@ -2976,21 +10883,470 @@ const onOpen = () => {
   const ui = SpreadsheetApp.getUi();
   ui.createMenu("拡張コマンド")
     .addItem("新規 async 見積もり発行", "runCreateEstimate")
+    .addItem(
+      "新規 async 見積もり発行（プレビュー）",
+      "runPreviewCreateEstimate"
+    )
+    .addItem("プレビューした見積もりを発行", "runConfirmEstimatePlan")
+    .addItem("作成途中の見積もりを再開", "runResumeEstimateCreation")
+    .addItem("結果まとめ集計", "runRefreshResultSummary")
+    .addItem("見積もりクローズ", "runCloseEstimate")
+    .addItem("見積もりキャンセル", "runCancelEstimate")
+    .addItem("古い見積もりをアーカイブ", "runArchiveOldEstimates")
+    .addItem("権限を監査", "runAuditPermissions")
+    .addItem("権限の差分を修復", "runRepairPermissions")
+    .addItem("セットアップを検証", "runValidateSetup")
+    .addItem("未回答者リマインド", "runRemindUnansweredMembers")
+    .addItem("violation から再見積もり発行", "runCreateReestimateFromRound")
+    .addItem("GitHub に見積もりを反映", "runSyncEstimatesToGitHub")
+    .addItem("GitHub から課題を取り込み", "runImportIssuesFromGitHub")
+    .addSeparator()
+    .addItem("締切トリガー一覧", "runListDeadlineTriggers")
+    .addItem("締切変更", "runRescheduleDeadline")
     .addToUi();
 };
 
 /**
  * テンプレートから見積もりファイルセットを作成するエントリポイント
- * 締切日を使用してタイトルプレフィックスを自動生成
+ * 見積もり必要_ラウンド があれば未発行のラウンドを選んで発行する。
+ * なければ 見積もり必要_締切 の締切日を使用してタイトルプレフィックスを自動生成
  * 使用例: runCreateEstimate()
  */
 const runCreateEstimate = () =>
   safeMain("runCreateEstimate", () => {
-    const deadline = getEstimateDeadline();
-    const deadlineDate = deadline.dueDate;
-    createEstimateFromTemplates(deadlineDate);
+    const plan = promptEstimatePlan("新規 async 見積もり発行");
+    if (!plan) {
+      return undefined;
+    }
+    const created = executeEstimatePlanWithReport(plan);
+    SpreadsheetApp.getUi().alert(formatEstimateCreationResult(created));
+    return created;
+  });
+
+/**
+ * 新規 async 見積もり発行の計画を作り、プレビューシートに書き出すエントリポイント（ファイルは作成しない）
+ * 使用例: runPreviewCreateEstimate()
+ */
+const runPreviewCreateEstimate = () =>
+  safeMain("runPreviewCreateEstimate", () => {
+    const plan = promptEstimatePlan("新規 async 見積もり発行（プレビュー）");
+    if (!plan) {
+      return undefined;
+    }
+    writeEstimatePlanPreview(plan);
+    savePendingEstimatePlan(plan);
+    SpreadsheetApp.getUi().alert(
+      `「${estimatePlanPreviewSheet.sheetName}」シートに ${plan.titlePrefix} の計画を書き出しました。\n内容を確認して「プレビューした見積もりを発行」を実行してください。`
+    );
+    return plan;
+  });
+
+/**
+ * プレビューした計画どおりに見積もりを発行するエントリポイント
+ * 使用例: runConfirmEstimatePlan()
+ */
+const runConfirmEstimatePlan = () =>
+  safeMain("runConfirmEstimatePlan", () => {
+    const plan = loadPendingEstimatePlan();
+    if (!plan) {
+      throw new Error(
+        "プレビューした計画がありません。先に「新規 async 見積もり発行（プレビュー）」を実行してください"
+      );
+    }
+    const ui = SpreadsheetApp.getUi();
+    const answer = ui.alert(
+      "プレビューした見積もりを発行",
+      `${plan.titlePrefix} を発行します（課題 ${plan.issues.length} 件、メンバー ${plan.members.length} 人、権限 ${plan.permissions.length} 件）。`,
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (answer !== ui.Button.OK) {
+      logInfo("Confirm estimate plan cancelled", { title: plan.titlePrefix });
+      return undefined;
+    }
+    // 二重に発行しないよう、実行前に計画を消す
+    clearPendingEstimatePlan();
+    // プレビューの後に発行済みになったり行がずれたりしていないか、ラウンドを読み直す
+    const freshPlan = plan.round
+      ? {
+          ...plan,
+          round: findPendingRoundForPlan(getEstimateRounds() ?? [], plan.round),
+        }
+      : plan;
+    const created = executeEstimatePlanWithReport(freshPlan);
+    deleteEstimatePlanPreview();
+    ui.alert(formatEstimateCreationResult(created));
+    return created;
+  });
+
+/**
+ * 見積もり履歴から回答受付中・締切済みの見積もりを選び、クローズするエントリポイント
+ * 使用例: runCloseEstimate()
+ */
+const runCloseEstimate = () =>
+  safeMain("runCloseEstimate", () => {
+    const candidates = getAllEstimateHistoryRows().filter(
+      (r) =>
+        r.status !== ESTIMATE_HISTORY_STATUS.closed &&
+        r.status !== ESTIMATE_HISTORY_STATUS.cancelled &&
+        r.status !== ESTIMATE_HISTORY_STATUS.archived
+    );
+    const target = promptEstimateHistoryRow("見積もりクローズ", candidates);
+    if (!target) {
+      return undefined;
+    }
+    const result = closeEstimate(target);
+    SpreadsheetApp.getUi().alert(
+      `${result.midText} をクローズしました（結果 ${result.exportedRows} 件）`
+    );
+    return result;
+  });
+
+/**
+ * 見積もり履歴から回答受付中・締切済みの見積もりを選び、結果まとめを最新の回答で集計するエントリポイント
+ * 使用例: runRefreshResultSummary()
+ */
+const runRefreshResultSummary = () =>
+  safeMain("runRefreshResultSummary", () => {
+    const candidates = getAllEstimateHistoryRows().filter(
+      (r) =>
+        r.status === ESTIMATE_HISTORY_STATUS.open ||
+        r.status === ESTIMATE_HISTORY_STATUS.deadlinePassed
+    );
+    const target = promptEstimateHistoryRow("結果まとめ集計", candidates);
+    if (!target) {
+      return undefined;
+    }
+    const results = refreshResultSummary(target.midUrl, target.team);
+    const counts = countBy(results.map((r) => r.status));
+    SpreadsheetApp.getUi().alert(
+      `${target.midText} の結果まとめを集計しました\n` +
+        [...counts].map(([status, n]) => `${status}: ${n} 件`).join("\n")
+    );
+    return results;
+  });
+
+/**
+ * 見積もり履歴から回答受付中・締切済みの見積もりを選び、キャンセルするエントリポイント
+ * 使用例: runCancelEstimate()
+ */
+const runCancelEstimate = () =>
+  safeMain("runCancelEstimate", () => {
+    const candidates = getAllEstimateHistoryRows().filter(
+      (r) =>
+        r.status === ESTIMATE_HISTORY_STATUS.open ||
+        r.status === ESTIMATE_HISTORY_STATUS.deadlinePassed
+    );
+    const target = promptEstimateHistoryRow("見積もりキャンセル", candidates);
+    if (!target) {
+      return;
+    }
+    cancelEstimate(target);
+    SpreadsheetApp.getUi().alert(`${target.midText} をキャンセルしました`);
+  });
+
+/**
+ * 設置済みの締切トリガーを一覧表示するエントリポイント
+ * 使用例: runListDeadlineTriggers()
+ */
+const runListDeadlineTriggers = () =>
+  safeMain("runListDeadlineTriggers", () => {
+    const records = listRoundTriggers();
+    logInfo("Round triggers", { records });
+    const lines = records.map((r) => `${r.at}  [${r.kind}] ${r.titlePrefix}`);
+    SpreadsheetApp.getUi().alert(
+      lines.length ? lines.join("\n") : "設置済みのトリガーはありません"
+    );
+    return records;
+  });
+
+/**
+ * 回答受付中・締切済みの見積もりを選び、締切日時を変更するエントリポイント
+ * 使用例: runRescheduleDeadline()
+ */
+const runRescheduleDeadline = () =>
+  safeMain("runRescheduleDeadline", () => {
+    const candidates = getAllEstimateHistoryRows().filter(
+      (r) =>
+        r.status === ESTIMATE_HISTORY_STATUS.open ||
+        r.status === ESTIMATE_HISTORY_STATUS.deadlinePassed
+    );
+    const target = promptEstimateHistoryRow("締切変更", candidates);
+    if (!target) {
+      return undefined;
+    }
+    const ui = SpreadsheetApp.getUi();
+    const resp = ui.prompt(
+      "締切変更",
+      "新しい締切日時を入力してください（例: 2025-08-30 16:00）",
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (resp.getSelectedButton() !== ui.Button.OK) {
+      return undefined;
+    }
+    const records = rescheduleDeadlineTrigger(
+      target,
+      parseDeadlineDateTime(resp.getResponseText())
+    );
+    ui.alert(`${target.midText} の締切を ${records[0]?.at} に変更しました`);
+    return records;
+  });
+
+/**
+ * 締切トリガーのハンドラ（installDeadlineTriggers が設置する）
+ * @param {GoogleAppsScript.Events.TimeDriven} e
+ */
+const onEstimateDeadline = (e) =>
+  safeMain("onEstimateDeadline", () => handleDeadlineTrigger(e.triggerUid));
+
+/**
+ * クローズ済みの見積もりを選び、violation / 全員 skip の課題で再見積もりを発行するエントリポイント
+ * 使用例: runCreateReestimateFromRound()
+ */
+const runCreateReestimateFromRound = () =>
+  safeMain("runCreateReestimateFromRound", () => {
+    const candidates = getAllEstimateHistoryRows().filter(
+      (r) => r.status === ESTIMATE_HISTORY_STATUS.closed
+    );
+    const target = promptEstimateHistoryRow("再見積もり発行", candidates);
+    if (!target) {
+      return undefined;
+    }
+    const ui = SpreadsheetApp.getUi();
+    const resp = ui.prompt(
+      "再見積もり発行",
+      "再見積もりの締切日を入力してください（例: 2025-09-12、時刻を付ける場合は 2025-09-12 16:00）",
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (resp.getSelectedButton() !== ui.Button.OK) {
+      return undefined;
+    }
+    const created = createReestimateFromRound(
+      target,
+      resp.getResponseText().trim()
+    );
+    SpreadsheetApp.getUi().alert(
+      created
+        ? formatEstimateCreationResult(created)
+        : "再見積もりが必要な課題はありません"
+    );
+    return created;
+  });
+
+/**
+ * クローズ済みの見積もりを選び、確定した見積もりを GitHub の issue に反映するエントリポイント
+ * 使用例: runSyncEstimatesToGitHub()
+ */
+const runSyncEstimatesToGitHub = () =>
+  safeMain("runSyncEstimatesToGitHub", () => {
+    const candidates = getAllEstimateHistoryRows().filter(
+      (r) => r.status === ESTIMATE_HISTORY_STATUS.closed
+    );
+    const target = promptEstimateHistoryRow(
+      "GitHub に見積もりを反映",
+      candidates
+    );
+    if (!target) {
+      return undefined;
+    }
+    const results = syncEstimatesToGitHub(target);
+    const failed = results.filter((r) => !r.ok).length;
+    SpreadsheetApp.getUi().alert(
+      `GitHub への反映: 成功 ${results.length - failed} 件 / 失敗 ${failed} 件`
+    );
+    return results;
+  });
+
+/**
+ * GitHub の検索結果で見積もり必要_課題リストを置き換えるエントリポイント
+ * 使用例: runImportIssuesFromGitHub()
+ */
+const runImportIssuesFromGitHub = () =>
+  safeMain("runImportIssuesFromGitHub", () => {
+    const team = promptEstimateTeam("GitHub から課題を取り込み");
+    if (!team) {
+      return undefined;
+    }
+    const rows = importIssuesFromGitHub(createGitHubClientFromSettings(), team);
+    SpreadsheetApp.getUi().alert(`${rows.length} 件の課題を取り込みました`);
+    return rows;
+  });
+
+/**
+ * 回答受付中の全ての見積もりについて、未回答の必須メンバーにリマインドするエントリポイント
+ * 使用例: runRemindUnansweredMembers()
+ */
+const runRemindUnansweredMembers = () =>
+  safeMain("runRemindUnansweredMembers", () => {
+    const count = remindAllOpenEstimates();
+    SpreadsheetApp.getUi().alert(`${count} 件の見積もりでリマインドしました`);
+    return count;
+  });
+
+/**
+ * 見積もり日から archive-after-days 日以上経ったクローズ済み・キャンセルの見積もりをアーカイブするエントリポイント
+ * 使用例: runArchiveOldEstimates()
+ */
+const runArchiveOldEstimates = () =>
+  safeMain("runArchiveOldEstimates", () => {
+    const days = getArchiveAfterDays();
+    const archiveFolderUrl = getArchiveFolderUrl();
+    const targets = selectArchivableRounds(
+      getAllEstimateHistoryRows(),
+      days,
+      new Date()
+    );
+    const ui = SpreadsheetApp.getUi();
+    if (!targets.length) {
+      ui.alert(`${days} 日以上前のアーカイブ対象の見積もりはありません`);
+      return [];
+    }
+    const answer = ui.alert(
+      "古い見積もりをアーカイブ",
+      `次の ${targets.length} 件のメンバーの権限を外し、アーカイブ先へ移動します:\n` +
+        targets.map((r) => withTeamLabel(r.team.name, r.midText)).join("\n"),
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (answer !== ui.Button.OK) {
+      return [];
+    }
+    /** @type {Array<ArchiveResult>} */
+    const results = [];
+    for (const target of targets) {
+      try {
+        results.push(archiveEstimateRound(target, archiveFolderUrl));
+      } catch (err) {
+        const e = err instanceof Error ? err : new Error(String(err));
+        logError("Failed to archive estimate", {
+          midText: target.midText,
+          error: e.message,
+        });
+        results.push({
+          midText: target.midText,
+          ok: false,
+          removed: 0,
+          failed: 0,
+          message: e.message,
+        });
+      }
+    }
+    ui.alert(formatArchiveResults(results));
+    return results;
+  });
+
+/**
+ * 全ての見積もりのファイルの権限を監査し、差分を「権限監査」シートに書き出すエントリポイント
+ * 使用例: runAuditPermissions()
+ */
+const runAuditPermissions = () =>
+  safeMain("runAuditPermissions", () => {
+    const { drifts, errors } = auditAllRoundPermissions();
+    writePermissionAudit(drifts, errors);
+    SpreadsheetApp.getUi().alert(
+      `「${permissionAuditSheet.sheetName}」シートに差分 ${drifts.length} 件を書き出しました` +
+        (errors.length
+          ? `（監査できなかった見積もり ${errors.length} 件）`
+          : "")
+    );
+    return drifts;
+  });
+
+/**
+ * 権限を監査し直し、差分を期待どおりに付与・削除して修復するエントリポイント
+ * 使用例: runRepairPermissions()
+ */
+const runRepairPermissions = () =>
+  safeMain("runRepairPermissions", () => {
+    const ui = SpreadsheetApp.getUi();
+    const { drifts } = auditAllRoundPermissions();
+    if (!drifts.length) {
+      ui.alert("権限の差分はありません");
+      return [];
+    }
+    const counts = Object.values(PERMISSION_DRIFT_KIND).map(
+      (kind) => `${kind} ${drifts.filter((d) => d.kind === kind).length} 件`
+    );
+    const answer = ui.alert(
+      "権限の差分を修復",
+      `${counts.join(" / ")} を修復します（不足は通知なしで付与、余分は削除、権限違いは付け直し）。`,
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (answer !== ui.Button.OK) {
+      return [];
+    }
+    const results = repairPermissionDrifts(drifts);
+    // 修復後の状態を監査シートに残す
+    const after = auditAllRoundPermissions();
+    writePermissionAudit(after.drifts, after.errors);
+    const failed = results.filter((r) => !r.ok).length;
+    ui.alert(
+      `権限の修復: 成功 ${results.length - failed} 件 / 失敗 ${failed} 件\n` +
+        `残りの差分 ${after.drifts.length} 件を「${permissionAuditSheet.sheetName}」シートに書き出しました`
+    );
+    return results;
+  });
+
+/**
+ * 操作用スプレッドシートのテーブルとテンプレートを検証し、「セットアップ検証」シートに書き出すエントリポイント
+ * 使用例: runValidateSetup()
+ */
+const runValidateSetup = () =>
+  safeMain("runValidateSetup", () => {
+    const findings = validateSetup();
+    writeSetupValidation(findings);
+    const count = (/** @type {string} */ severity) =>
+      findings.filter((f) => f.severity === severity).length;
+    SpreadsheetApp.getUi().alert(
+      `${SETUP_SEVERITY.error} ${count(SETUP_SEVERITY.error)} 件、${
+        SETUP_SEVERITY.warning
+      } ${count(SETUP_SEVERITY.warning)} 件を「${
+        setupValidationSheet.sheetName
+      }」シートに書き出しました`
+    );
+    return findings;
+  });
+
+/**
+ * 作成途中の見積もりを選び、残りの手順を実行するエントリポイント
+ * 使用例: runResumeEstimateCreation()
+ */
+const runResumeEstimateCreation = () =>
+  safeMain("runResumeEstimateCreation", () => {
+    const state = promptEstimateCreationState(getEstimateCreationStates());
+    if (!state) {
+      return undefined;
+    }
+    const ui = SpreadsheetApp.getUi();
+    try {
+      const created = resumeEstimateCreation(state);
+      ui.alert(
+        created
+          ? formatEstimateCreationResult(created)
+          : "この見積もりは他の実行で作成が終わっています"
+      );
+      return created;
+    } catch (err) {
+      const e = err instanceof Error ? err : new Error(String(err));
+      ui.alert(e.message);
+      throw e;
+    }
   });
 
+/**
+ * 見積もり作成の続きを実行するトリガーのハンドラ（実行時間の上限で中断したときに設置する）
+ * @param {GoogleAppsScript.Events.TimeDriven} e
+ */
+const onEstimateCreationContinue = (e) =>
+  safeMain("onEstimateCreationContinue", () =>
+    handleEstimateCreationContinueTrigger(e.triggerUid)
+  );
+
+/**
+ * リマインドトリガーのハンドラ（installDeadlineTriggers が設置する）
+ * @param {GoogleAppsScript.Events.TimeDriven} e
+ */
+const onEstimateReminder = (e) =>
+  safeMain("onEstimateReminder", () => handleReminderTrigger(e.triggerUid));
+
 /**
  * デバッグ用: Google Formのテンプレートコピーと基本セットアップのみ実行
  * 使用例: runDebugFormSetup()
@@ -3019,7 +11375,11 @@ const runDebugFormSetup = () =>
     logInfo("Debug: Retrieved issue list", { issueCount });
 
     // フォームのタイトルと見積もり課題セクションをセットアップ
-    setupFormSections(formUrl, titlePrefix, issueList);
+    setupFormSections(
+      formUrl,
+      titlePrefix,
+      buildFormSectionSpecs(issueList, {}, getEstimateExtraQuestions())
+    );
     logInfo("Debug: Setup form sections completed", {
       title: titlePrefix,
       targetCount: issueCount,